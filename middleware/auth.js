@@ -0,0 +1,149 @@
+/**
+ * Autenticação e autorização dos chamadores da API
+ *
+ * - autenticar: valida o Firebase ID token (Authorization: Bearer <token>)
+ * - autenticarStream: idem, aceitando também ?token= (EventSource não envia cabeçalhos)
+ * - exigirPapel: confirma que o usuário pertence à empresa da requisição
+ *   e possui um dos papéis permitidos
+ *
+ * Vínculo do usuário com a empresa:
+ * empresas/{empresaId}/usuarios/{uid}
+ * {
+ *   papel: "admin" | "financeiro" | "visualizador",
+ *   ativo: true
+ * }
+ */
+
+const admin = require('firebase-admin');
+const logger = require('../services/logger');
+
+const PAPEIS = {
+    ADMIN: 'admin',
+    FINANCEIRO: 'financeiro',
+    VISUALIZADOR: 'visualizador'
+};
+
+const TODOS_PAPEIS = Object.values(PAPEIS);
+
+/**
+ * Token Bearer do cabeçalho Authorization (null se ausente)
+ */
+function tokenDoCabecalho(req) {
+    const authorization = req.get('Authorization') || '';
+    const [tipo, token] = authorization.split(' ');
+
+    return tipo === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Middleware: valida o ID token e define req.usuario
+ */
+async function autenticar(req, res, next) {
+    return verificarToken(tokenDoCabecalho(req), req, res, next);
+}
+
+/**
+ * Middleware: como autenticar, mas aceita o token em ?token= para streams SSE
+ * Use apenas em rotas GET de leitura: o token na URL pode aparecer em logs de proxy.
+ */
+async function autenticarStream(req, res, next) {
+    const token = tokenDoCabecalho(req) || (typeof req.query.token === 'string' ? req.query.token : null);
+    return verificarToken(token, req, res, next);
+}
+
+async function verificarToken(token, req, res, next) {
+    if (!token) {
+        return res.status(401).json({
+            error: 'Autenticação necessária',
+            code: 'AUTH_REQUIRED'
+        });
+    }
+
+    try {
+        const decoded = await admin.auth().verifyIdToken(token);
+
+        req.usuario = {
+            uid: decoded.uid,
+            email: decoded.email || null
+        };
+
+        next();
+
+    } catch (error) {
+        logger.warn('Token de autenticação inválido', { codigo: error.code || error.message });
+        res.status(401).json({
+            error: 'Token de autenticação inválido ou expirado',
+            code: 'AUTH_INVALID_TOKEN'
+        });
+    }
+}
+
+/**
+ * Middleware: exige vínculo ativo com a empresa e um dos papéis informados
+ * A empresa pode vir de params, body ou query; valores divergentes são rejeitados
+ * para que a rota nunca opere sobre uma empresa diferente da autorizada.
+ * Define req.usuario.papel e req.usuario.empresaId.
+ */
+function exigirPapel(...papeis) {
+    const permitidos = papeis.length > 0 ? papeis : TODOS_PAPEIS;
+
+    return async (req, res, next) => {
+        try {
+            const candidatos = [req.params.empresaId, req.body?.empresaId, req.query.empresaId].filter(Boolean);
+            const empresaId = candidatos[0];
+
+            if (!empresaId) {
+                return res.status(400).json({
+                    error: 'empresaId é obrigatório',
+                    code: 'MISSING_COMPANY_ID'
+                });
+            }
+
+            if (candidatos.some(id => id !== empresaId)) {
+                return res.status(400).json({
+                    error: 'empresaId informado de forma divergente',
+                    code: 'CONFLICTING_COMPANY_ID'
+                });
+            }
+
+            const db = req.app.get('db');
+            const membroDoc = await db.collection('empresas').doc(empresaId)
+                .collection('usuarios').doc(req.usuario.uid).get();
+
+            const membro = membroDoc.exists ? membroDoc.data() : null;
+
+            if (!membro || membro.ativo === false) {
+                return res.status(403).json({
+                    error: 'Usuário não tem acesso a esta empresa',
+                    code: 'COMPANY_ACCESS_DENIED'
+                });
+            }
+
+            if (!permitidos.includes(membro.papel)) {
+                return res.status(403).json({
+                    error: 'Permissão insuficiente para esta operação',
+                    code: 'INSUFFICIENT_ROLE'
+                });
+            }
+
+            req.usuario.papel = membro.papel;
+            req.usuario.empresaId = empresaId;
+            logger.definirContexto({ empresaId, uid: req.usuario.uid });
+            next();
+
+        } catch (error) {
+            logger.error('Erro ao verificar permissões', error);
+            res.status(500).json({
+                error: 'Erro ao verificar permissões',
+                code: 'AUTHORIZATION_ERROR'
+            });
+        }
+    };
+}
+
+module.exports = {
+    PAPEIS,
+    autenticar,
+    autenticarStream,
+    exigirPapel
+};
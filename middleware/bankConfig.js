@@ -0,0 +1,112 @@
+/**
+ * Middleware para carregar configuração bancária da empresa
+ * Resolve o provedor pelo bankRegistry:
+ * - loadBankConfig (novas cobranças): usa o banco informado em `banco` (body ou query)
+ *   ou o banco padrão da empresa
+ * - loadBankConfigDaCobranca (cobranças existentes): usa o banco que emitiu a cobrança
+ * Define req.bankConfig (com id = empresaId e banco) e req.bankProvider.
+ */
+
+const bankRegistry = require('../services/bankRegistry');
+const logger = require('../services/logger');
+
+function obterEmpresaId(req) {
+    return req.body.empresaId || req.query.empresaId || req.params.empresaId;
+}
+
+/**
+ * Carrega a configuração do banco e segue para a rota (ou responde o erro)
+ */
+async function aplicarConfig(req, res, next, empresaId, bancoId) {
+    const db = req.app.get('db');
+    const resolvido = await bankRegistry.carregarConfigEmpresa(db, empresaId, bancoId);
+
+    if (!resolvido) {
+        return res.status(404).json({
+            error: 'Configuração bancária não encontrada para esta empresa',
+            code: 'BANK_CONFIG_NOT_FOUND',
+            message: 'Configure as credenciais bancárias em Configurações > Integrações Bancárias'
+        });
+    }
+
+    if (!resolvido.config.ativo) {
+        return res.status(400).json({
+            error: 'Integração bancária está desativada',
+            code: 'BANK_INTEGRATION_DISABLED'
+        });
+    }
+
+    req.bankConfig = resolvido.config;
+    req.bankProvider = resolvido.provider;
+    next();
+}
+
+async function loadBankConfig(req, res, next) {
+    try {
+        const empresaId = obterEmpresaId(req);
+        const bancoId = req.body.banco || req.query.banco || null;
+
+        if (!empresaId) {
+            return res.status(400).json({
+                error: 'empresaId é obrigatório',
+                code: 'MISSING_COMPANY_ID'
+            });
+        }
+
+        if (bancoId && !bankRegistry.obter(bancoId)) {
+            return res.status(400).json({
+                error: `Banco não suportado: ${bancoId}`,
+                code: 'BANK_NOT_SUPPORTED'
+            });
+        }
+
+        await aplicarConfig(req, res, next, empresaId, bancoId);
+
+    } catch (error) {
+        logger.error('Erro ao carregar config bancária', error);
+        res.status(500).json({
+            error: 'Erro ao carregar configuração bancária',
+            code: 'BANK_CONFIG_ERROR'
+        });
+    }
+}
+
+/**
+ * Para rotas de uma cobrança existente: localiza a cobrança e usa o banco que a emitiu
+ * (cobranças sem o campo banco foram emitidas pelo Inter), ignorando `banco` e o padrão.
+ * Define também req.cobrancaDoc.
+ * @param {Function} buscarCobranca - (db, empresaId, params) => DocumentSnapshot|null
+ * @param {string} mensagemNaoEncontrada - erro do 404 quando a cobrança não existe
+ */
+function loadBankConfigDaCobranca(buscarCobranca, mensagemNaoEncontrada = 'Cobrança não encontrada') {
+    return async (req, res, next) => {
+        try {
+            const empresaId = obterEmpresaId(req);
+
+            if (!empresaId) {
+                return res.status(400).json({
+                    error: 'empresaId é obrigatório',
+                    code: 'MISSING_COMPANY_ID'
+                });
+            }
+
+            const cobrancaDoc = await buscarCobranca(req.app.get('db'), empresaId, req.params);
+
+            if (!cobrancaDoc) {
+                return res.status(404).json({ error: mensagemNaoEncontrada });
+            }
+
+            req.cobrancaDoc = cobrancaDoc;
+            await aplicarConfig(req, res, next, empresaId, cobrancaDoc.data().banco || 'inter');
+
+        } catch (error) {
+            logger.error('Erro ao carregar config bancária', error);
+            res.status(500).json({
+                error: 'Erro ao carregar configuração bancária',
+                code: 'BANK_CONFIG_ERROR'
+            });
+        }
+    };
+}
+
+module.exports = { loadBankConfig, loadBankConfigDaCobranca };
@@ -0,0 +1,185 @@
+/**
+ * Idempotência para criação de cobranças
+ *
+ * A chave vem do cabeçalho Idempotency-Key ou, na ausência dele, do invoiceId do corpo.
+ * O registro fica em empresas/{empresaId}/idempotencia/{hash}, com a chave escopada pela
+ * operação e pelos parâmetros da rota (ex: o txid da devolução), e guarda o hash do payload
+ * e a resposta original. Deve ser usado depois de loadBankConfig (precisa de req.bankConfig).
+ *
+ * - Chave nova: a requisição é processada e a resposta 2xx é armazenada
+ * - Chave concluída com o mesmo payload: devolve a resposta original (Idempotent-Replayed: true)
+ * - Chave em processamento: 409 IDEMPOTENCY_IN_PROGRESS
+ * - Chave reutilizada com outro payload: 422 IDEMPOTENCY_KEY_MISMATCH
+ * - Respostas de erro liberam a chave para nova tentativa, exceto depois que a rota chamou
+ *   req.idempotencia.registrarResultadoBanco: a operação já existe no banco, então a resposta
+ *   de erro é armazenada como as demais e a nova tentativa não duplica a cobrança
+ */
+
+const crypto = require('crypto');
+const logger = require('../services/logger');
+
+const TTL_MS = (parseInt(process.env.IDEMPOTENCIA_TTL_HORAS, 10) || 24) * 60 * 60 * 1000;
+
+// Registro em processamento há mais tempo que isso é considerado abandonado
+const PROCESSANDO_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Serializa com chaves ordenadas para que a ordem dos campos não altere o hash
+ */
+function serializarOrdenado(valor) {
+    if (Array.isArray(valor)) {
+        return `[${valor.map(serializarOrdenado).join(',')}]`;
+    }
+    if (valor && typeof valor === 'object') {
+        return `{${Object.keys(valor).sort().map(k => `${JSON.stringify(k)}:${serializarOrdenado(valor[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(valor);
+}
+
+/**
+ * Instante em ms de um campo de data (Timestamp do Firestore, Date ou string)
+ */
+function paraMillis(valor) {
+    return typeof valor?.toMillis === 'function' ? valor.toMillis() : new Date(valor).getTime();
+}
+
+function sha256(texto) {
+    return crypto.createHash('sha256').update(texto).digest('hex');
+}
+
+/**
+ * Escopo da chave: operação mais os parâmetros da rota (mesma chave em outro recurso é outra operação)
+ */
+function escopoDaRota(escopo, params = {}) {
+    return [escopo, ...Object.keys(params).sort().map(nome => `${nome}=${params[nome]}`)].join(':');
+}
+
+/**
+ * Cria middleware de idempotência para um tipo de operação
+ * @param {string} escopoOperacao - identifica o endpoint (ex: 'pix.cob'), evitando colisão entre rotas
+ */
+function idempotencia(escopoOperacao) {
+    return async (req, res, next) => {
+        const chave = req.get('Idempotency-Key') || req.body?.invoiceId;
+
+        if (!chave) {
+            return next();
+        }
+
+        const escopo = escopoDaRota(escopoOperacao, req.params);
+
+        try {
+            const db = req.app.get('db');
+            const empresaId = req.bankConfig.id;
+            const hashPayload = sha256(serializarOrdenado(req.body || {}));
+            const agora = Date.now();
+
+            const registroRef = db.collection('empresas').doc(empresaId)
+                .collection('idempotencia').doc(sha256(`${escopo}:${chave}`));
+
+            // Transação garante que apenas uma requisição concorrente reserve a chave
+            const existente = await db.runTransaction(async (tx) => {
+                const registroDoc = await tx.get(registroRef);
+
+                if (registroDoc.exists) {
+                    const registro = registroDoc.data();
+                    const expirado = paraMillis(registro.expiraEm) <= agora;
+                    // Depois da chamada ao banco a chave não é liberada, mesmo que o processo tenha caído
+                    const abandonado = registro.status === 'processando'
+                        && !registro.bancoConcluidoEm
+                        && agora - paraMillis(registro.criadaEm) > PROCESSANDO_TIMEOUT_MS;
+
+                    if (!expirado && !abandonado) {
+                        return registro;
+                    }
+                }
+
+                tx.set(registroRef, {
+                    escopo,
+                    chave,
+                    hashPayload,
+                    status: 'processando',
+                    criadaEm: new Date(agora),
+                    expiraEm: new Date(agora + TTL_MS)
+                });
+
+                return null;
+            });
+
+            if (existente) {
+                if (existente.hashPayload !== hashPayload) {
+                    return res.status(422).json({
+                        error: 'Chave de idempotência já utilizada com outro conteúdo',
+                        code: 'IDEMPOTENCY_KEY_MISMATCH'
+                    });
+                }
+
+                if (existente.status === 'processando') {
+                    res.set('Retry-After', '2');
+                    return res.status(409).json({
+                        error: 'Requisição com esta chave de idempotência ainda está em processamento',
+                        code: 'IDEMPOTENCY_IN_PROGRESS'
+                    });
+                }
+
+                logger.info('Resposta idempotente reaproveitada', { escopo });
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existente.statusCode).json(existente.resposta);
+            }
+
+            let bancoConcluido = false;
+
+            req.idempotencia = {
+                /**
+                 * Chamado pela rota assim que o banco executa a operação
+                 * Guarda o resultado no registro para conferência caso a rota falhe depois disso.
+                 */
+                async registrarResultadoBanco(resultado) {
+                    bancoConcluido = true;
+                    try {
+                        await registroRef.update({
+                            resultadoBanco: JSON.parse(JSON.stringify(resultado ?? null)),
+                            bancoConcluidoEm: new Date()
+                        });
+                    } catch (error) {
+                        logger.error('Erro ao registrar resultado do banco na idempotência', error);
+                    }
+                }
+            };
+
+            // Armazena a resposta quando a rota responder
+            const jsonOriginal = res.json.bind(res);
+            res.json = (corpo) => {
+                const sucesso = res.statusCode >= 200 && res.statusCode < 300;
+
+                if (!sucesso && bancoConcluido) {
+                    logger.warn('Falha após a chamada ao banco; chave de idempotência mantida', { escopo, statusCode: res.statusCode });
+                }
+
+                const finalizar = sucesso || bancoConcluido
+                    ? registroRef.update({
+                        status: 'concluida',
+                        statusCode: res.statusCode,
+                        resposta: JSON.parse(JSON.stringify(corpo)),
+                        concluidaEm: new Date()
+                    })
+                    : registroRef.delete(); // Erro: libera a chave para nova tentativa
+
+                finalizar.catch(error => logger.error('Erro ao finalizar registro de idempotência', error));
+
+                return jsonOriginal(corpo);
+            };
+
+            next();
+
+        } catch (error) {
+            logger.error('Erro ao verificar idempotência', error);
+            res.status(500).json({
+                error: 'Erro ao verificar idempotência',
+                code: 'IDEMPOTENCY_ERROR'
+            });
+        }
+    };
+}
+
+module.exports = { idempotencia };
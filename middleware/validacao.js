@@ -0,0 +1,421 @@
+/**
+ * Validação declarativa do corpo das requisições
+ *
+ * Cada rota declara um esquema { campo: regra } montado com as regras abaixo e usa
+ * validarCorpo(esquema) antes de chamar o banco. O middleware valida todos os campos,
+ * normaliza os valores e substitui req.body pelo resultado:
+ * - valores monetários arredondados em 2 casas
+ * - datas (YYYY-MM-DD ou DD/MM/YYYY) convertidas para YYYY-MM-DD
+ * - CPF, CNPJ e CEP apenas com dígitos; UF em maiúsculas
+ * - campos não declarados são descartados
+ *
+ * Falhas: 400 { error, code: 'VALIDATION_ERROR', campos: [{ campo, codigo, mensagem }] }
+ * Códigos por campo: REQUIRED, INVALID_TYPE, INVALID_AMOUNT, OUT_OF_RANGE, TOO_LONG,
+ * INVALID_FORMAT, INVALID_OPTION, INVALID_CPF, INVALID_CNPJ, INVALID_CEP, INVALID_UF,
+ * INVALID_DATE, DATE_IN_PAST
+ */
+
+const UFS = [
+    'AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA',
+    'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO'
+];
+
+// "Hoje" das regras de data é o dia no fuso dos bancos
+const FUSO_HORARIO = 'America/Sao_Paulo';
+
+function adicionarErro(erros, campo, codigo, mensagem) {
+    erros.push({ campo, codigo, mensagem });
+    return undefined;
+}
+
+/**
+ * Monta uma regra: trata ausência/obrigatoriedade e aplica a validação do tipo
+ * @param {Object} opcoes - { obrigatorio, anulavel (null/'' viram null em vez de ausente),
+ *   validar: (valorNormalizado) => null | { codigo, mensagem } }
+ * @param {Function} aplicar - (valor, campo, erros) => valor normalizado (undefined se inválido)
+ */
+function regra(opcoes, aplicar) {
+    return {
+        aplicar(valor, campo, erros) {
+            if (valor === undefined || valor === null || valor === '') {
+                if (opcoes.obrigatorio) {
+                    return adicionarErro(erros, campo, 'REQUIRED', `${campo} é obrigatório`);
+                }
+                return opcoes.anulavel && valor !== undefined ? null : undefined;
+            }
+
+            const quantidadeErros = erros.length;
+            const normalizado = aplicar(valor, campo, erros);
+
+            if (erros.length === quantidadeErros && opcoes.validar) {
+                const falha = opcoes.validar(normalizado);
+                if (falha) return adicionarErro(erros, campo, falha.codigo, falha.mensagem);
+            }
+
+            return normalizado;
+        }
+    };
+}
+
+/**
+ * Texto com limite de tamanho (aceitaNumero converte números em texto)
+ * Espaços nas pontas são removidos, exceto com manterEspacos (segredos e senhas).
+ * @param {Object} opcoes - { obrigatorio, anulavel, max, formato (RegExp), opcoes (lista), aceitaNumero, manterEspacos, validar }
+ */
+function texto(opcoes = {}) {
+    return regra(opcoes, (valor, campo, erros) => {
+        if (typeof valor === 'number' && opcoes.aceitaNumero && Number.isFinite(valor)) {
+            valor = String(valor);
+        }
+
+        if (typeof valor !== 'string') {
+            return adicionarErro(erros, campo, 'INVALID_TYPE', `${campo} deve ser texto`);
+        }
+
+        const normalizado = opcoes.manterEspacos ? valor : valor.trim();
+
+        if (opcoes.max && normalizado.length > opcoes.max) {
+            return adicionarErro(erros, campo, 'TOO_LONG', `${campo} deve ter no máximo ${opcoes.max} caracteres`);
+        }
+
+        if (opcoes.formato && !opcoes.formato.test(normalizado)) {
+            return adicionarErro(erros, campo, 'INVALID_FORMAT', `${campo} em formato inválido`);
+        }
+
+        if (opcoes.opcoes && !opcoes.opcoes.includes(normalizado)) {
+            return adicionarErro(erros, campo, 'INVALID_OPTION', `${campo} deve ser: ${opcoes.opcoes.join(', ')}`);
+        }
+
+        return normalizado;
+    });
+}
+
+/**
+ * Valor monetário em reais: número (não texto), arredondado em 2 casas
+ * @param {Object} opcoes - { obrigatorio, min (padrão 0.01), max }
+ */
+function valor(opcoes = {}) {
+    const minimo = opcoes.min ?? 0.01;
+
+    return regra(opcoes, (numero, campo, erros) => {
+        if (typeof numero !== 'number' || !Number.isFinite(numero)) {
+            return adicionarErro(erros, campo, 'INVALID_TYPE', `${campo} deve ser um número`);
+        }
+
+        const arredondado = Math.round((numero + Number.EPSILON) * 100) / 100;
+
+        if (arredondado < minimo) {
+            return adicionarErro(erros, campo, 'INVALID_AMOUNT', `${campo} deve ser no mínimo ${minimo.toFixed(2)}`);
+        }
+
+        if (opcoes.max !== undefined && arredondado > opcoes.max) {
+            return adicionarErro(erros, campo, 'OUT_OF_RANGE', `${campo} deve ser no máximo ${opcoes.max.toFixed(2)}`);
+        }
+
+        return arredondado;
+    });
+}
+
+/**
+ * Número inteiro
+ * @param {Object} opcoes - { obrigatorio, min, max }
+ */
+function inteiro(opcoes = {}) {
+    return regra(opcoes, (numero, campo, erros) => {
+        if (!Number.isInteger(numero)) {
+            return adicionarErro(erros, campo, 'INVALID_TYPE', `${campo} deve ser um número inteiro`);
+        }
+
+        if ((opcoes.min !== undefined && numero < opcoes.min) || (opcoes.max !== undefined && numero > opcoes.max)) {
+            const faixa = opcoes.max !== undefined ? `entre ${opcoes.min ?? 0} e ${opcoes.max}` : `no mínimo ${opcoes.min}`;
+            return adicionarErro(erros, campo, 'OUT_OF_RANGE', `${campo} deve ser ${faixa}`);
+        }
+
+        return numero;
+    });
+}
+
+/**
+ * Booleano (aceitaTexto: "true"/"false" de formulários multipart)
+ * @param {Object} opcoes - { obrigatorio, aceitaTexto }
+ */
+function booleano(opcoes = {}) {
+    return regra(opcoes, (valorCampo, campo, erros) => {
+        if (opcoes.aceitaTexto && (valorCampo === 'true' || valorCampo === 'false')) {
+            return valorCampo === 'true';
+        }
+
+        if (typeof valorCampo !== 'boolean') {
+            return adicionarErro(erros, campo, 'INVALID_TYPE', `${campo} deve ser true ou false`);
+        }
+
+        return valorCampo;
+    });
+}
+
+/**
+ * Data de hoje (YYYY-MM-DD) no fuso dos bancos
+ */
+function hoje() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: FUSO_HORARIO });
+}
+
+/**
+ * Data no calendário, aceita YYYY-MM-DD ou DD/MM/YYYY e normaliza para YYYY-MM-DD
+ * @param {Object} opcoes - { obrigatorio, aPartirDeHoje }
+ */
+function data(opcoes = {}) {
+    return regra(opcoes, (valorCampo, campo, erros) => {
+        const texto = typeof valorCampo === 'string' ? valorCampo.trim() : '';
+        const iso = texto.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const br = texto.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+
+        if (!iso && !br) {
+            return adicionarErro(erros, campo, 'INVALID_DATE', `${campo} deve estar no formato YYYY-MM-DD ou DD/MM/YYYY`);
+        }
+
+        const [ano, mes, dia] = iso ? [iso[1], iso[2], iso[3]] : [br[3], br[2], br[1]];
+        const normalizada = `${ano}-${mes.padStart(2, '0')}-${dia.padStart(2, '0')}`;
+
+        // Date.UTC ajusta datas inexistentes (31/02 vira 03/03): a conversão de volta denuncia
+        const calendario = new Date(Date.UTC(Number(ano), Number(mes) - 1, Number(dia)));
+        if (calendario.toISOString().slice(0, 10) !== normalizada) {
+            return adicionarErro(erros, campo, 'INVALID_DATE', `${campo} não é uma data válida`);
+        }
+
+        if (opcoes.aPartirDeHoje && normalizada < hoje()) {
+            return adicionarErro(erros, campo, 'DATE_IN_PAST', `${campo} não pode ser anterior a hoje`);
+        }
+
+        return normalizada;
+    });
+}
+
+/**
+ * Dígitos verificadores do CPF (módulo 11)
+ */
+function cpfValido(numero) {
+    if (!/^\d{11}$/.test(numero) || /^(\d)\1{10}$/.test(numero)) return false;
+
+    const digito = (tamanho) => {
+        let soma = 0;
+        for (let i = 0; i < tamanho; i++) {
+            soma += Number(numero[i]) * (tamanho + 1 - i);
+        }
+        const resto = (soma * 10) % 11;
+        return resto === 10 ? 0 : resto;
+    };
+
+    return digito(9) === Number(numero[9]) && digito(10) === Number(numero[10]);
+}
+
+/**
+ * Dígitos verificadores do CNPJ (módulo 11, pesos 2 a 9)
+ */
+function cnpjValido(numero) {
+    if (!/^\d{14}$/.test(numero) || /^(\d)\1{13}$/.test(numero)) return false;
+
+    const digito = (tamanho) => {
+        let soma = 0;
+        for (let i = 0; i < tamanho; i++) {
+            soma += Number(numero[i]) * (((tamanho - 1 - i) % 8) + 2);
+        }
+        const resto = soma % 11;
+        return resto < 2 ? 0 : 11 - resto;
+    };
+
+    return digito(12) === Number(numero[12]) && digito(13) === Number(numero[13]);
+}
+
+/**
+ * Documento com pontuação opcional, normalizado para dígitos
+ */
+function documento(opcoes, codigo, rotulo, verificar) {
+    return regra(opcoes, (valorCampo, campo, erros) => {
+        if (typeof valorCampo !== 'string') {
+            return adicionarErro(erros, campo, 'INVALID_TYPE', `${campo} deve ser texto`);
+        }
+
+        const digitos = valorCampo.replace(/[\s.\-/]/g, '');
+        if (!verificar(digitos)) {
+            return adicionarErro(erros, campo, codigo, `${rotulo} inválido`);
+        }
+
+        return digitos;
+    });
+}
+
+function cpf(opcoes = {}) {
+    return documento(opcoes, 'INVALID_CPF', 'CPF', cpfValido);
+}
+
+function cnpj(opcoes = {}) {
+    return documento(opcoes, 'INVALID_CNPJ', 'CNPJ', cnpjValido);
+}
+
+function cep(opcoes = {}) {
+    return documento(opcoes, 'INVALID_CEP', 'CEP', digitos => /^\d{8}$/.test(digitos));
+}
+
+/**
+ * Sigla da unidade federativa (27 UFs)
+ */
+function uf(opcoes = {}) {
+    return regra(opcoes, (valorCampo, campo, erros) => {
+        const sigla = typeof valorCampo === 'string' ? valorCampo.trim().toUpperCase() : '';
+
+        if (!UFS.includes(sigla)) {
+            return adicionarErro(erros, campo, 'INVALID_UF', `${campo} deve ser a sigla de uma UF`);
+        }
+
+        return sigla;
+    });
+}
+
+/**
+ * Lista de itens validados pela mesma regra (itens repetidos são removidos)
+ * @param {Object} item - regra de cada item
+ * @param {Object} opcoes - { obrigatorio, min, max }
+ */
+function lista(item, opcoes = {}) {
+    return regra(opcoes, (valorCampo, campo, erros) => {
+        if (!Array.isArray(valorCampo)) {
+            return adicionarErro(erros, campo, 'INVALID_TYPE', `${campo} deve ser uma lista`);
+        }
+
+        if ((opcoes.min && valorCampo.length < opcoes.min) || (opcoes.max && valorCampo.length > opcoes.max)) {
+            return adicionarErro(erros, campo, 'OUT_OF_RANGE', `${campo} deve ter entre ${opcoes.min || 0} e ${opcoes.max || 'N'} itens`);
+        }
+
+        const itens = valorCampo.map((valorItem, indice) => item.aplicar(valorItem, `${campo}[${indice}]`, erros));
+        return [...new Set(itens.filter(valorItem => valorItem !== undefined))];
+    });
+}
+
+/**
+ * Objeto com esquema próprio; "validar" recebe o objeto normalizado para regras entre campos
+ * (só é chamado se os campos do objeto forem válidos)
+ */
+function objeto(esquema, opcoes = {}) {
+    return regra(opcoes, (valorCampo, campo, erros) => {
+        if (typeof valorCampo !== 'object' || Array.isArray(valorCampo)) {
+            return adicionarErro(erros, campo, 'INVALID_TYPE', `${campo} deve ser um objeto`);
+        }
+
+        return validarEsquema(esquema, valorCampo, erros, campo);
+    });
+}
+
+/**
+ * Pagador das cobranças: nome, CPF ou CNPJ e, opcionalmente, contato e endereço
+ * Tamanhos conforme as APIs do Inter (devedor do PIX e pagador do boleto).
+ * @param {Object} opcoes - { obrigatorio, nomeMax (padrão 200) }
+ */
+function pagador(opcoes = {}) {
+    return objeto({
+        nome: texto({ obrigatorio: true, max: opcoes.nomeMax || 200 }),
+        cpf: cpf(),
+        cnpj: cnpj(),
+        email: texto({ max: 50, formato: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ }),
+        telefone: texto({ max: 20, formato: /^[\d\s()+-]+$/ }),
+        endereco: objeto({
+            logradouro: texto({ max: 90 }),
+            numero: texto({ max: 10, aceitaNumero: true }),
+            complemento: texto({ max: 30 }),
+            bairro: texto({ max: 60 }),
+            cidade: texto({ max: 60 }),
+            uf: uf(),
+            cep: cep()
+        })
+    }, {
+        ...opcoes,
+        validar: (dados) => {
+            if (!dados.cpf && !dados.cnpj) {
+                return { codigo: 'REQUIRED', mensagem: 'CPF ou CNPJ do pagador é obrigatório' };
+            }
+            if (dados.cpf && dados.cnpj) {
+                return { codigo: 'INVALID_FORMAT', mensagem: 'Informe CPF ou CNPJ do pagador, não ambos' };
+            }
+            return null;
+        }
+    });
+}
+
+/**
+ * Identificador externo (invoiceId): texto ou número, normalizado para texto
+ */
+function identificador(opcoes = {}) {
+    return texto({ max: 100, aceitaNumero: true, ...opcoes });
+}
+
+/**
+ * Campos de escopo lidos por exigirPapel/loadBankConfig (empresa e banco da operação)
+ * Incluir nos esquemas das rotas que aceitam esses campos no corpo.
+ */
+const CAMPOS_ESCOPO = {
+    empresaId: texto({ max: 128 }),
+    banco: texto({ max: 50 })
+};
+
+/**
+ * Aplica o esquema aos dados
+ * @returns {Object} dados normalizados (apenas campos declarados e presentes)
+ */
+function validarEsquema(esquema, dados, erros, prefixo = '') {
+    const resultado = {};
+
+    for (const [nome, regraCampo] of Object.entries(esquema)) {
+        const campo = prefixo ? `${prefixo}.${nome}` : nome;
+        const normalizado = regraCampo.aplicar(dados[nome], campo, erros);
+
+        if (normalizado !== undefined) {
+            resultado[nome] = normalizado;
+        }
+    }
+
+    return resultado;
+}
+
+/**
+ * Middleware: valida req.body contra o esquema e substitui pelo corpo normalizado
+ * Usar antes de loadBankConfig/idempotencia, para que dados inválidos nunca cheguem ao banco.
+ */
+function validarCorpo(esquema) {
+    return (req, res, next) => {
+        const corpo = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+        const erros = [];
+        const normalizado = validarEsquema(esquema, corpo, erros);
+
+        if (erros.length > 0) {
+            return res.status(400).json({
+                error: erros[0].mensagem,
+                code: 'VALIDATION_ERROR',
+                campos: erros
+            });
+        }
+
+        req.body = normalizado;
+        next();
+    };
+}
+
+module.exports = {
+    CAMPOS_ESCOPO,
+    validarCorpo,
+    validarEsquema,
+    texto,
+    valor,
+    inteiro,
+    booleano,
+    data,
+    cpf,
+    cnpj,
+    cep,
+    uf,
+    lista,
+    objeto,
+    pagador,
+    identificador,
+    cpfValido,
+    cnpjValido
+};
@@ -0,0 +1,317 @@
+/**
+ * Verificação de autenticidade dos webhooks bancários
+ *
+ * Banco Inter
+ *
+ * Métodos suportados (configurados em WEBHOOK_VERIFICACAO, todos os listados são exigidos):
+ * - token: segredo por empresa embutido na URL cadastrada no Inter
+ *          (/api/webhook/inter/{empresaId}/{token}/pix)
+ * - certificado: certificado de cliente apresentado pelo Inter, validado por fingerprint
+ *          (TLS direto ou repassado pelo proxy no cabeçalho WEBHOOK_CLIENT_CERT_HEADER)
+ * - ip: endereço de origem dentro de WEBHOOK_INTER_IPS (IPs ou faixas CIDR IPv4)
+ *
+ * Asaas
+ * - token por empresa enviado pelo Asaas no cabeçalho asaas-access-token
+ *   (configurado junto com a URL /api/webhook/asaas no painel do Asaas)
+ *
+ * Requisições rejeitadas recebem 401 e são registradas em webhookRejeicoes.
+ */
+
+const crypto = require('crypto');
+const encryptionService = require('../services/encryption');
+const logger = require('../services/logger');
+
+const METODOS_VALIDOS = ['token', 'certificado', 'ip'];
+
+/**
+ * Lista de métodos exigidos (padrão: token)
+ */
+function metodosExigidos() {
+    const metodos = (process.env.WEBHOOK_VERIFICACAO || 'token')
+        .split(',')
+        .map(m => m.trim().toLowerCase())
+        .filter(Boolean);
+
+    const invalidos = metodos.filter(m => !METODOS_VALIDOS.includes(m));
+    if (invalidos.length > 0) {
+        throw new Error(`WEBHOOK_VERIFICACAO contém métodos inválidos: ${invalidos.join(', ')}`);
+    }
+
+    return metodos;
+}
+
+/**
+ * Gera um novo token secreto para a URL de webhook da empresa
+ */
+function gerarTokenWebhook() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Monta as URLs de webhook que devem ser cadastradas no Inter
+ * O Inter acrescenta /pix à URL cadastrada para o webhook PIX.
+ */
+function montarUrlsWebhook(baseUrl, empresaId, token) {
+    const base = `${baseUrl.replace(/\/$/, '')}/api/webhook/inter/${empresaId}/${token}`;
+    return {
+        pix: base,
+        boleto: `${base}/boleto`
+    };
+}
+
+/**
+ * Compara dois segredos em tempo constante
+ */
+function segredosIguais(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Converte IPv4 em inteiro (null se não for IPv4)
+ */
+function ipv4ParaInteiro(ip) {
+    const partes = ip.split('.');
+    if (partes.length !== 4) return null;
+
+    let valor = 0;
+    for (const parte of partes) {
+        const octeto = Number(parte);
+        if (!Number.isInteger(octeto) || octeto < 0 || octeto > 255) return null;
+        valor = (valor * 256) + octeto;
+    }
+    return valor;
+}
+
+/**
+ * Verifica se o IP pertence a uma entrada da allowlist (IP exato ou CIDR IPv4)
+ */
+function ipPermitido(ip, entrada) {
+    if (!entrada.includes('/')) {
+        return ip === entrada;
+    }
+
+    const [rede, prefixoTexto] = entrada.split('/');
+    const prefixo = Number(prefixoTexto);
+    const ipNum = ipv4ParaInteiro(ip);
+    const redeNum = ipv4ParaInteiro(rede);
+
+    if (ipNum === null || redeNum === null || !(prefixo >= 0 && prefixo <= 32)) return false;
+
+    const mascara = prefixo === 0 ? 0 : (0xFFFFFFFF << (32 - prefixo)) >>> 0;
+    return ((ipNum & mascara) >>> 0) === ((redeNum & mascara) >>> 0);
+}
+
+function verificarIp(req) {
+    const allowlist = (process.env.WEBHOOK_INTER_IPS || '').split(',').map(i => i.trim()).filter(Boolean);
+
+    if (allowlist.length === 0) {
+        return 'WEBHOOK_INTER_IPS não configurado';
+    }
+
+    const ip = (req.ip || '').replace(/^::ffff:/, '');
+
+    if (!allowlist.some(entrada => ipPermitido(ip, entrada))) {
+        return `IP ${ip} fora da allowlist`;
+    }
+
+    return null;
+}
+
+/**
+ * Obtém o certificado de cliente da conexão TLS ou do cabeçalho repassado pelo proxy
+ */
+function obterCertificadoCliente(req) {
+    if (typeof req.socket.getPeerCertificate === 'function') {
+        const peer = req.socket.getPeerCertificate();
+        if (peer && peer.raw) {
+            return new crypto.X509Certificate(peer.raw);
+        }
+    }
+
+    const header = process.env.WEBHOOK_CLIENT_CERT_HEADER;
+    const valor = header ? req.get(header) : null;
+
+    if (!valor) return null;
+
+    // Proxies costumam repassar o PEM com URL encoding
+    return new crypto.X509Certificate(decodeURIComponent(valor));
+}
+
+function verificarCertificado(req) {
+    const fingerprints = (process.env.WEBHOOK_INTER_CERT_FINGERPRINTS || '')
+        .split(',')
+        .map(f => f.trim().toUpperCase().replace(/[^0-9A-F]/g, ''))
+        .filter(Boolean);
+
+    if (fingerprints.length === 0) {
+        return 'WEBHOOK_INTER_CERT_FINGERPRINTS não configurado';
+    }
+
+    let certificado;
+    try {
+        certificado = obterCertificadoCliente(req);
+    } catch (error) {
+        return `Certificado de cliente inválido: ${error.message}`;
+    }
+
+    if (!certificado) {
+        return 'Certificado de cliente ausente';
+    }
+
+    const agora = Date.now();
+    if (new Date(certificado.validFrom).getTime() > agora || new Date(certificado.validTo).getTime() < agora) {
+        return 'Certificado de cliente fora da validade';
+    }
+
+    const fingerprint = certificado.fingerprint256.replace(/:/g, '').toUpperCase();
+    if (!fingerprints.includes(fingerprint)) {
+        return 'Certificado de cliente não reconhecido';
+    }
+
+    return null;
+}
+
+async function verificarToken(req) {
+    const { empresaId, token } = req.params;
+
+    if (!empresaId || !token) {
+        return 'URL sem token de webhook';
+    }
+
+    const db = req.app.get('db');
+    const configDoc = await db.collection('empresas').doc(empresaId)
+        .collection('configuracaoBancaria').doc('inter').get();
+
+    const tokenArmazenado = configDoc.exists ? configDoc.data().webhookToken : null;
+
+    if (!tokenArmazenado) {
+        return 'Empresa sem token de webhook configurado';
+    }
+
+    let tokenEsperado;
+    try {
+        tokenEsperado = encryptionService.decrypt(tokenArmazenado);
+    } catch (error) {
+        return `Token de webhook da empresa ilegível (${error.message})`;
+    }
+
+    if (!segredosIguais(token, tokenEsperado)) {
+        return 'Token de webhook inválido';
+    }
+
+    return null;
+}
+
+/**
+ * Registra a rejeição sem armazenar dados pessoais do payload
+ */
+async function registrarRejeicao(req, motivos, banco = 'inter', empresaId = null) {
+    try {
+        const itens = Array.isArray(req.body) ? req.body
+            : req.body?.payment ? [{ txid: req.body.payment.id }]
+            : (req.body?.pix || []);
+        const identificadores = itens
+            .map(item => item?.txid || item?.codigoSolicitacao || item?.nossoNumero)
+            .filter(Boolean)
+            .slice(0, 50);
+
+        await req.app.get('db').collection('webhookRejeicoes').add({
+            banco,
+            rota: req.params.token ? req.path.replace(req.params.token, '***') : req.path,
+            empresaId: empresaId || req.params.empresaId || null,
+            ip: req.ip || null,
+            motivos,
+            identificadores,
+            recebidoEm: new Date()
+        });
+    } catch (error) {
+        logger.error('Erro ao registrar rejeição de webhook', error);
+    }
+}
+
+/**
+ * Middleware: rejeita webhooks que não passam em todos os métodos exigidos
+ * Em caso de sucesso define req.webhookEmpresaId quando a URL identifica a empresa.
+ */
+async function verificarWebhookInter(req, res, next) {
+    try {
+        const motivos = [];
+
+        for (const metodo of metodosExigidos()) {
+            let motivo = null;
+            if (metodo === 'token') motivo = await verificarToken(req);
+            else if (metodo === 'certificado') motivo = verificarCertificado(req);
+            else if (metodo === 'ip') motivo = verificarIp(req);
+
+            if (motivo) motivos.push(`${metodo}: ${motivo}`);
+        }
+
+        if (motivos.length > 0) {
+            logger.warn('Webhook rejeitado', { banco: 'inter', motivos });
+            await registrarRejeicao(req, motivos);
+            return res.status(401).json({
+                error: 'Webhook não autenticado',
+                code: 'WEBHOOK_NOT_AUTHENTICATED'
+            });
+        }
+
+        req.webhookEmpresaId = req.params.empresaId || null;
+        logger.definirContexto({ empresaId: req.webhookEmpresaId });
+        next();
+
+    } catch (error) {
+        logger.error('Erro ao verificar webhook', error);
+        res.status(500).json({
+            error: 'Erro ao verificar webhook',
+            code: 'WEBHOOK_VERIFICATION_ERROR'
+        });
+    }
+}
+
+/**
+ * Verifica o cabeçalho asaas-access-token contra o token da empresa dona da cobrança
+ * Como o Asaas usa uma única URL, a empresa é identificada pela cobrança do evento.
+ * Em caso de falha registra a rejeição e retorna false.
+ */
+async function verificarTokenAsaas(req, empresaId) {
+    const tokenRecebido = req.get('asaas-access-token');
+    let motivo = null;
+
+    if (!tokenRecebido) {
+        motivo = 'Cabeçalho asaas-access-token ausente';
+    } else {
+        const configDoc = await req.app.get('db').collection('empresas').doc(empresaId)
+            .collection('configuracaoBancaria').doc('asaas').get();
+
+        const tokenArmazenado = configDoc.exists ? configDoc.data().webhookToken : null;
+
+        if (!tokenArmazenado) {
+            motivo = 'Empresa sem token de webhook configurado';
+        } else {
+            try {
+                if (!segredosIguais(tokenRecebido, encryptionService.decrypt(tokenArmazenado))) {
+                    motivo = 'Token de webhook inválido';
+                }
+            } catch (error) {
+                motivo = `Token de webhook da empresa ilegível (${error.message})`;
+            }
+        }
+    }
+
+    if (motivo) {
+        logger.warn('Webhook rejeitado', { banco: 'asaas', empresaId, motivos: [motivo] });
+        await registrarRejeicao(req, [`token: ${motivo}`], 'asaas', empresaId);
+        return false;
+    }
+
+    return true;
+}
+
+module.exports = {
+    verificarWebhookInter,
+    verificarTokenAsaas,
+    gerarTokenWebhook,
+    montarUrlsWebhook
+};
@@ -1,131 +1,291 @@
 /**
  * Rotas de Boleto
- * Endpoints para geração e consulta de boletos
- * TODO: Implementar integração completa com Banco Inter
+ * Endpoints para geração e consulta de boletos (pelo provedor bancário da empresa)
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
+const linkPdfRouter = express.Router();
+const cobrancaIndex = require('../services/cobrancaIndex');
+const notificacoes = require('../services/notificacoes');
+const auditoria = require('../services/auditoria');
+const encryptionService = require('../services/encryption');
+const { idempotencia } = require('../middleware/idempotency');
+const validacao = require('../middleware/validacao');
+const { exigirPapel, PAPEIS } = require('../middleware/auth');
+const { loadBankConfig, loadBankConfigDaCobranca } = require('../middleware/bankConfig');
+const logger = require('../services/logger');
+
+// nossoNumero da rota entra no contexto dos logs da requisição
+function contextoNossoNumero(req, res, next, nossoNumero) {
+    logger.definirContexto({ nossoNumero });
+    next();
+}
+
+router.param('nossoNumero', contextoNossoNumero);
+linkPdfRouter.param('nossoNumero', contextoNossoNumero);
+
+// Limites do Inter: nome do pagador até 100 caracteres e numDiasAgenda de 0 a 60
+const ESQUEMA_BOLETO = {
+    ...validacao.CAMPOS_ESCOPO,
+    valor: validacao.valor({ obrigatorio: true }),
+    descricao: validacao.texto({ max: 140 }),
+    pagador: validacao.pagador({ obrigatorio: true, nomeMax: 100 }),
+    vencimento: validacao.data({ obrigatorio: true, aPartirDeHoje: true }),
+    diasAposVencimento: validacao.inteiro({ min: 0, max: 60 }),
+    invoiceId: validacao.identificador()
+};
+
+// Validade do link assinado do PDF (pdfUrl)
+const LINK_PDF_VALIDADE_MS = (parseInt(process.env.BOLETO_PDF_LINK_VALIDADE_MIN, 10) || 30) * 60 * 1000;
 
 /**
- * Middleware para carregar configuração bancária da empresa
+ * Link temporário do PDF, aberto direto pelo navegador (sem o cabeçalho Authorization)
+ * A assinatura cobre empresa, boleto e expiração.
  */
-async function loadBankConfig(req, res, next) {
-    try {
-        const empresaId = req.body.empresaId || req.query.empresaId || req.params.empresaId;
+function gerarLinkPdf(empresaId, identificador) {
+    const expira = Date.now() + LINK_PDF_VALIDADE_MS;
+    const assinatura = encryptionService.assinar(`boleto.pdf:${empresaId}:${identificador}:${expira}`);
 
-        if (!empresaId) {
-            return res.status(400).json({
-                error: 'empresaId é obrigatório',
-                code: 'MISSING_COMPANY_ID'
-            });
-        }
+    return `/api/boleto/${encodeURIComponent(identificador)}/pdf?empresaId=${encodeURIComponent(empresaId)}&expira=${expira}&assinatura=${assinatura}`;
+}
 
-        const db = req.app.get('db');
-        const configRef = db.collection('empresas').doc(empresaId)
-            .collection('configuracaoBancaria').doc('inter');
+/**
+ * Middleware do link assinado: sem assinatura, a requisição segue para a rota autenticada
+ */
+function verificarLinkPdf(req, res, next) {
+    const { empresaId, expira, assinatura } = req.query;
 
-        const configDoc = await configRef.get();
+    if (!assinatura) {
+        return next('router');
+    }
 
-        if (!configDoc.exists) {
-            return res.status(404).json({
-                error: 'Configuração bancária não encontrada',
-                code: 'BANK_CONFIG_NOT_FOUND'
-            });
-        }
+    if (typeof empresaId !== 'string' || typeof assinatura !== 'string' || !(Number(expira) > Date.now())) {
+        return res.status(403).json({
+            error: 'Link do PDF inválido ou expirado',
+            code: 'INVALID_PDF_LINK'
+        });
+    }
 
-        const config = configDoc.data();
-        config.id = empresaId;
-        req.bankConfig = config;
-        next();
+    const esperada = Buffer.from(encryptionService.assinar(`boleto.pdf:${empresaId}:${req.params.nossoNumero}:${expira}`));
+    const recebida = Buffer.from(assinatura);
 
-    } catch (error) {
-        console.error('Erro ao carregar config:', error);
-        res.status(500).json({ error: 'Erro ao carregar configuração bancária' });
+    if (recebida.length !== esperada.length || !crypto.timingSafeEqual(recebida, esperada)) {
+        return res.status(403).json({
+            error: 'Link do PDF inválido ou expirado',
+            code: 'INVALID_PDF_LINK'
+        });
     }
+
+    next();
 }
 
 /**
- * POST /api/boleto - Criar boleto
+ * Busca boleto no Firestore pelo nossoNumero (ou codigoSolicitacao, enquanto
+ * o banco ainda não atribuiu o nossoNumero)
  */
-router.post('/', loadBankConfig, async (req, res) => {
-    try {
-        const { valor, descricao, pagador, vencimento } = req.body;
+async function buscarBoleto(db, empresaId, identificador) {
+    const cobrancasRef = db.collection('empresas').doc(empresaId).collection('cobrancas');
 
-        // Validações básicas
-        if (!valor || valor <= 0) {
-            return res.status(400).json({ error: 'Valor inválido' });
-        }
+    let snapshot = await cobrancasRef.where('nossoNumero', '==', identificador).get();
 
-        if (!vencimento) {
-            return res.status(400).json({ error: 'Data de vencimento é obrigatória' });
-        }
+    if (snapshot.empty) {
+        snapshot = await cobrancasRef.where('codigoSolicitacao', '==', identificador).get();
+    }
 
-        // TODO: Implementar integração com API de Boletos do Banco Inter
-        // Por enquanto, retorna placeholder
+    return snapshot.empty ? null : snapshot.docs[0];
+}
 
-        const nossoNumero = `QUALIFY${Date.now()}`;
+// Rotas de um boleto existente usam o banco que o emitiu
+const loadBankConfigDoBoleto = loadBankConfigDaCobranca(
+    (db, empresaId, { nossoNumero }) => buscarBoleto(db, empresaId, nossoNumero),
+    'Boleto não encontrado'
+);
+
+/**
+ * POST /api/boleto - Criar boleto
+ */
+router.post('/', exigirPapel(PAPEIS.ADMIN, PAPEIS.FINANCEIRO), auditoria.middleware('boleto.criar', 'cobranca'), validacao.validarCorpo(ESQUEMA_BOLETO), loadBankConfig, idempotencia('boleto'), async (req, res) => {
+    try {
+        const { valor, descricao, pagador, vencimento, diasAposVencimento, invoiceId } = req.body;
+
+        // seuNumero é limitado a 15 caracteres pelo Inter
+        const seuNumero = (invoiceId || String(Date.now())).substring(0, 15);
+
+        // Emite boleto no Banco Inter
+        const resultado = await req.bankProvider.emitirBoleto(req.bankConfig, {
+            valor,
+            descricao,
+            pagador,
+            vencimento,
+            seuNumero,
+            diasAposVencimento
+        });
+        await req.idempotencia?.registrarResultadoBanco(resultado);
 
         // Salva no Firestore
         const db = req.app.get('db');
         const empresaId = req.bankConfig.id;
 
+        const cobranca = {
+            tipo: 'boleto',
+            codigoSolicitacao: resultado.codigoSolicitacao,
+            seuNumero,
+            nossoNumero: resultado.nossoNumero,
+            linhaDigitavel: resultado.linhaDigitavel,
+            codigoBarras: resultado.codigoBarras,
+            txid: resultado.txid,
+            qrcode: resultado.pixCopiaECola,
+            invoiceId: invoiceId || resultado.codigoSolicitacao,
+            valor,
+            descricao: descricao || null,
+            pagador,
+            pagadorDocumento: pagador.cnpj || pagador.cpf,
+            vencimento,
+            status: 'pendente',
+            situacaoBanco: resultado.situacao,
+            banco: req.bankProvider.id,
+            criadaEm: new Date()
+        };
+
         const docRef = await db.collection('empresas').doc(empresaId)
-            .collection('cobrancas').add({
-                tipo: 'boleto',
-                nossoNumero,
-                valor: parseFloat(valor),
-                descricao,
-                pagador,
-                vencimento,
-                status: 'pendente',
-                banco: 'inter',
-                criadaEm: new Date()
-            });
+            .collection('cobrancas').add(cobranca);
+
+        res.locals.auditoria = { recursoId: docRef.id, depois: cobranca };
+
+        await cobrancaIndex.registrar(db, docRef, req.bankConfig.banco, {
+            codigoSolicitacao: resultado.codigoSolicitacao,
+            nossoNumero: resultado.nossoNumero,
+            txid: resultado.txid
+        });
+
+        const identificador = resultado.nossoNumero || resultado.codigoSolicitacao;
 
         res.json({
             success: true,
             id: docRef.id,
-            nossoNumero,
-            message: 'Boleto criado - integração completa em desenvolvimento',
-            linhaDigitavel: null, // Será preenchido quando integração estiver completa
-            codigoBarras: null,
-            pdfUrl: null
+            codigoSolicitacao: resultado.codigoSolicitacao,
+            nossoNumero: resultado.nossoNumero,
+            linhaDigitavel: resultado.linhaDigitavel,
+            codigoBarras: resultado.codigoBarras,
+            qrcode: resultado.pixCopiaECola,
+            status: 'pendente',
+            pdfUrl: gerarLinkPdf(empresaId, identificador)
         });
 
     } catch (error) {
-        console.error('Erro ao criar boleto:', error);
-        res.status(500).json({ error: error.message || 'Erro ao gerar boleto' });
+        logger.error('Erro ao criar boleto', error);
+        res.status(error.code === 'OPERATION_NOT_SUPPORTED' ? 400 : 500).json({
+            error: error.message || 'Erro ao gerar boleto',
+            code: error.code === 'OPERATION_NOT_SUPPORTED' ? error.code : 'BOLETO_CREATION_ERROR'
+        });
     }
 });
 
 /**
  * GET /api/boleto/:nossoNumero - Consultar boleto
+ * Atualiza o documento com a situação atual no banco
  */
-router.get('/:nossoNumero', loadBankConfig, async (req, res) => {
+router.get('/:nossoNumero', exigirPapel(), loadBankConfigDoBoleto, async (req, res) => {
     try {
-        const { nossoNumero } = req.params;
         const db = req.app.get('db');
-        const empresaId = req.bankConfig.id;
+        const boletoDoc = req.cobrancaDoc;
 
-        const snapshot = await db.collection('empresas').doc(empresaId)
-            .collection('cobrancas')
-            .where('nossoNumero', '==', nossoNumero)
-            .get();
+        const boleto = boletoDoc.data();
+        boleto.id = boletoDoc.id;
 
-        if (snapshot.empty) {
-            return res.status(404).json({ error: 'Boleto não encontrado' });
+        if (boleto.codigoSolicitacao) {
+            const resultado = await req.bankProvider.consultarBoleto(req.bankConfig, boleto.codigoSolicitacao);
+
+            const atualizacao = {
+                situacaoBanco: resultado.situacao,
+                nossoNumero: resultado.nossoNumero || boleto.nossoNumero || null,
+                linhaDigitavel: resultado.linhaDigitavel || boleto.linhaDigitavel || null,
+                codigoBarras: resultado.codigoBarras || boleto.codigoBarras || null
+            };
+
+            // Pagamento abaixo do valor nominal é mantido como paga_a_menor
+            // (sem valorRecebido, por exemplo baixa manual, o boleto fica como paga)
+            const novoStatus = resultado.status === 'paga'
+                && resultado.valorRecebido != null
+                && resultado.valorRecebido < boleto.valor
+                ? 'paga_a_menor'
+                : resultado.status;
+
+            if (novoStatus !== boleto.status) {
+                atualizacao.status = novoStatus;
+                if (resultado.status === 'paga') {
+                    atualizacao.dataPagamento = resultado.dataSituacao ? new Date(resultado.dataSituacao) : new Date();
+                    atualizacao.valorPago = resultado.valorRecebido;
+                    atualizacao.canalPagamento = resultado.origemRecebimento;
+                }
+            }
+
+            await boletoDoc.ref.update(atualizacao);
+            await notificacoes.publicarMudancaCobranca(db, boletoDoc.ref, boletoDoc.data(), atualizacao);
+
+            // nossoNumero pode ter sido atribuído depois da emissão
+            if (atualizacao.nossoNumero && atualizacao.nossoNumero !== boleto.nossoNumero) {
+                await cobrancaIndex.registrar(db, boletoDoc.ref, req.bankConfig.banco, { nossoNumero: atualizacao.nossoNumero });
+            }
+
+            Object.assign(boleto, atualizacao);
         }
 
-        const boleto = snapshot.docs[0].data();
-        boleto.id = snapshot.docs[0].id;
+        // O link expira: a consulta devolve um novo
+        if (boleto.codigoSolicitacao) {
+            boleto.pdfUrl = gerarLinkPdf(req.bankConfig.id, boleto.nossoNumero || boleto.codigoSolicitacao);
+        }
 
         res.json(boleto);
 
     } catch (error) {
-        console.error('Erro ao consultar boleto:', error);
-        res.status(500).json({ error: 'Erro ao consultar boleto' });
+        logger.error('Erro ao consultar boleto', error);
+        res.status(error.code === 'OPERATION_NOT_SUPPORTED' ? 400 : 500).json({
+            error: error.message || 'Erro ao consultar boleto',
+            code: error.code === 'OPERATION_NOT_SUPPORTED' ? error.code : 'BOLETO_QUERY_ERROR'
+        });
     }
 });
 
+/**
+ * Envia o PDF do boleto (rota autenticada e link assinado)
+ */
+async function enviarPdfBoleto(req, res) {
+    try {
+        const { nossoNumero } = req.params;
+        const boletoDoc = req.cobrancaDoc;
+
+        if (!boletoDoc.data().codigoSolicitacao) {
+            return res.status(404).json({ error: 'Boleto não encontrado' });
+        }
+
+        const pdf = await req.bankProvider.obterPdfBoleto(req.bankConfig, boletoDoc.data().codigoSolicitacao);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Length': pdf.length,
+            'Content-Disposition': `inline; filename="boleto-${nossoNumero}.pdf"`
+        });
+        res.end(pdf);
+
+    } catch (error) {
+        logger.error('Erro ao obter PDF do boleto', error);
+        res.status(error.code === 'OPERATION_NOT_SUPPORTED' ? 400 : 500).json({
+            error: error.message || 'Erro ao obter PDF do boleto',
+            code: error.code === 'OPERATION_NOT_SUPPORTED' ? error.code : 'BOLETO_PDF_ERROR'
+        });
+    }
+}
+
+/**
+ * GET /api/boleto/:nossoNumero/pdf - Baixar PDF do boleto
+ * Com Authorization: Bearer, como as demais rotas. O pdfUrl devolvido na emissão e na
+ * consulta usa o link assinado (expira/assinatura na query), atendido por linkPdfRouter.
+ */
+router.get('/:nossoNumero/pdf', exigirPapel(), loadBankConfigDoBoleto, enviarPdfBoleto);
+linkPdfRouter.get('/:nossoNumero/pdf', verificarLinkPdf, loadBankConfigDoBoleto, enviarPdfBoleto);
+
 module.exports = router;
+module.exports.linkPdf = linkPdfRouter;
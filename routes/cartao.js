@@ -0,0 +1,111 @@
+/**
+ * Rotas de Cartão de Crédito
+ * Endpoints para cobranças no cartão (pelo provedor bancário da empresa)
+ * Os dados do cartão são repassados ao provedor e nunca gravados no Firestore.
+ */
+
+const express = require('express');
+const router = express.Router();
+const cobrancaIndex = require('../services/cobrancaIndex');
+const { idempotencia } = require('../middleware/idempotency');
+const validacao = require('../middleware/validacao');
+const { exigirPapel, PAPEIS } = require('../middleware/auth');
+const { loadBankConfig } = require('../middleware/bankConfig');
+const logger = require('../services/logger');
+
+// Cartão tokenizado (token) ou dados completos do cartão
+const ESQUEMA_CARTAO = {
+    ...validacao.CAMPOS_ESCOPO,
+    valor: validacao.valor({ obrigatorio: true }),
+    descricao: validacao.texto({ max: 140 }),
+    pagador: validacao.pagador({ obrigatorio: true }),
+    cartao: validacao.objeto({
+        token: validacao.texto({ max: 100 }),
+        numero: validacao.texto({ formato: /^\d[\d ]{11,22}\d$/ }),
+        nomeTitular: validacao.texto({ max: 100 }),
+        mesValidade: validacao.texto({ formato: /^(0?[1-9]|1[0-2])$/, aceitaNumero: true }),
+        anoValidade: validacao.texto({ formato: /^\d{4}$/, aceitaNumero: true }),
+        cvv: validacao.texto({ formato: /^\d{3,4}$/, aceitaNumero: true })
+    }, {
+        obrigatorio: true,
+        validar: (cartao) => {
+            if (cartao.token) return null;
+            if (!cartao.numero || !cartao.nomeTitular || !cartao.mesValidade || !cartao.anoValidade || !cartao.cvv) {
+                return { codigo: 'REQUIRED', mensagem: 'Informe o token ou número, titular, validade e CVV do cartão' };
+            }
+            return null;
+        }
+    }),
+    parcelas: validacao.inteiro({ min: 1 }),
+    invoiceId: validacao.identificador()
+};
+
+/**
+ * POST /api/cartao - Criar cobrança no cartão de crédito
+ */
+router.post('/', exigirPapel(PAPEIS.ADMIN, PAPEIS.FINANCEIRO), validacao.validarCorpo(ESQUEMA_CARTAO), loadBankConfig, idempotencia('cartao'), async (req, res) => {
+    try {
+        const { valor, descricao, pagador, cartao, invoiceId } = req.body;
+        const parcelas = req.body.parcelas || 1;
+
+        const resultado = await req.bankProvider.criarCobrancaCartao(req.bankConfig, {
+            valor,
+            descricao,
+            pagador,
+            cartao,
+            parcelas,
+            invoiceId,
+            ip: req.ip
+        });
+        await req.idempotencia?.registrarResultadoBanco(resultado);
+
+        // Salva cobrança no Firestore (apenas bandeira e final do cartão)
+        const db = req.app.get('db');
+        const empresaId = req.bankConfig.id;
+
+        const docRef = await db.collection('empresas').doc(empresaId)
+            .collection('cobrancas').add({
+                tipo: 'cartao',
+                idExterno: resultado.id,
+                invoiceId: invoiceId || resultado.id,
+                valor,
+                descricao: descricao || null,
+                pagador,
+                pagadorDocumento: pagador.cnpj || pagador.cpf,
+                parcelas,
+                cartao: {
+                    bandeira: resultado.cartao.bandeira,
+                    final: resultado.cartao.final
+                },
+                status: resultado.status,
+                situacaoBanco: resultado.statusOriginal,
+                banco: req.bankProvider.id,
+                criadaEm: new Date(),
+                ...(resultado.status === 'paga' && {
+                    valorPago: resultado.valor,
+                    dataPagamento: new Date(),
+                    canalPagamento: 'CREDIT_CARD'
+                })
+            });
+
+        await cobrancaIndex.registrar(db, docRef, req.bankConfig.banco, { idExterno: resultado.id });
+
+        res.json({
+            success: true,
+            id: docRef.id,
+            idExterno: resultado.id,
+            status: resultado.status,
+            valor: resultado.valor,
+            cartao: resultado.cartao
+        });
+
+    } catch (error) {
+        logger.error('Erro ao criar cobrança no cartão', { erro: error.message });
+        res.status(error.code === 'OPERATION_NOT_SUPPORTED' ? 400 : 500).json({
+            error: error.message || 'Erro ao gerar cobrança no cartão',
+            code: error.code === 'OPERATION_NOT_SUPPORTED' ? error.code : 'CARD_CHARGE_ERROR'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+/**
+ * Rotas de Cobranças
+ * Listagem e busca das cobranças da empresa (todos os bancos e tipos)
+ *
+ * O Firestore aceita desigualdade em apenas um campo por consulta e exige que a
+ * ordenação comece por esse campo: por isso só um intervalo (data ou valor) pode ser
+ * usado por vez, e ele define a ordenação. Os índices compostos necessários estão em
+ * firestore.indexes.json.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { AggregateField, FieldPath } = require('firebase-admin/firestore');
+const { exigirPapel } = require('../middleware/auth');
+const logger = require('../services/logger');
+
+const STATUS_COBRANCA = [
+    'pendente', 'paga', 'paga_a_menor', 'cancelada', 'expirada',
+    'falha', 'devolvida', 'parcialmente_devolvida'
+];
+const TIPOS = ['pix', 'boleto', 'cartao'];
+const CAMPOS_ORDENACAO = ['criadaEm', 'vencimento', 'dataPagamento', 'valor'];
+
+// Campos ausentes em parte das cobranças (PIX imediato não tem vencimento, pendentes não têm
+// dataPagamento): o Firestore omite da ordenação os documentos sem o campo, então a ordenação
+// por eles só é aceita junto com o filtro de intervalo do mesmo campo, que já os exclui
+// (inclusive dos totais)
+const CAMPOS_ORDENACAO_COM_INTERVALO = ['vencimento', 'dataPagamento'];
+
+const LIMITE_PADRAO = 50;
+const LIMITE_MAXIMO = 200;
+
+// Filtros de intervalo: parâmetro da query -> campo e conversão do valor
+const INTERVALOS = {
+    criadaEm: { de: 'criadaDe', ate: 'criadaAte', converter: converterData },
+    vencimento: { de: 'vencimentoDe', ate: 'vencimentoAte', converter: converterDataTexto },
+    dataPagamento: { de: 'pagamentoDe', ate: 'pagamentoAte', converter: converterData },
+    valor: { de: 'valorMin', ate: 'valorMax', converter: converterValor }
+};
+
+class FiltroInvalidoError extends Error {
+    constructor(message) {
+        super(message);
+        this.code = 'INVALID_FILTER';
+    }
+}
+
+/**
+ * Aceita YYYY-MM-DD, DD/MM/YYYY ou ISO 8601
+ * Sem hora, considera o início (ou fim, no limite superior) do dia no horário de Brasília
+ */
+function converterData(texto, limiteSuperior) {
+    const iso = converterDataTexto(texto);
+    const data = new Date(texto.includes('T') ? texto : `${iso}T${limiteSuperior ? '23:59:59.999' : '00:00:00.000'}-03:00`);
+
+    if (isNaN(data.getTime())) {
+        throw new FiltroInvalidoError(`Data inválida: ${texto}`);
+    }
+    return data;
+}
+
+/**
+ * vencimento é armazenado como texto YYYY-MM-DD
+ */
+function converterDataTexto(texto) {
+    if (texto.includes('/')) {
+        const partes = texto.split('/');
+        if (partes.length === 3) {
+            return `${partes[2]}-${partes[1].padStart(2, '0')}-${partes[0].padStart(2, '0')}`;
+        }
+    }
+
+    const data = texto.substring(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(data)) {
+        throw new FiltroInvalidoError(`Data inválida: ${texto}`);
+    }
+    return data;
+}
+
+function converterValor(texto) {
+    const valor = parseFloat(texto);
+    if (isNaN(valor)) {
+        throw new FiltroInvalidoError(`Valor inválido: ${texto}`);
+    }
+    return valor;
+}
+
+/**
+ * Converte Timestamps do Firestore em ISO 8601 para a resposta
+ */
+function serializar(valor) {
+    if (valor && typeof valor.toDate === 'function') return valor.toDate().toISOString();
+    if (valor instanceof Date) return valor.toISOString();
+    if (Array.isArray(valor)) return valor.map(serializar);
+    if (valor && typeof valor === 'object') {
+        return Object.fromEntries(Object.entries(valor).map(([campo, item]) => [campo, serializar(item)]));
+    }
+    return valor;
+}
+
+/**
+ * Monta a consulta com os filtros de igualdade e o intervalo informado
+ * @returns {{query, ordenarPor, ordem, status}}
+ */
+function montarConsulta(cobrancasRef, params) {
+    let query = cobrancasRef;
+
+    const status = params.status ? String(params.status).split(',').map(s => s.trim()).filter(Boolean) : [];
+    const invalidos = status.filter(s => !STATUS_COBRANCA.includes(s));
+    if (invalidos.length > 0) {
+        throw new FiltroInvalidoError(`Status inválido: ${invalidos.join(', ')}`);
+    }
+    if (status.length === 1) query = query.where('status', '==', status[0]);
+    else if (status.length > 1) query = query.where('status', 'in', status);
+
+    if (params.tipo) {
+        if (!TIPOS.includes(params.tipo)) {
+            throw new FiltroInvalidoError(`Tipo inválido: ${params.tipo}`);
+        }
+        query = query.where('tipo', '==', params.tipo);
+    }
+
+    if (params.tipoCobranca) {
+        query = query.where('tipoCobranca', '==', params.tipoCobranca);
+    }
+
+    if (params.pagadorDocumento) {
+        query = query.where('pagadorDocumento', '==', String(params.pagadorDocumento).replace(/\D/g, ''));
+    }
+
+    const intervalos = Object.entries(INTERVALOS)
+        .filter(([, intervalo]) => params[intervalo.de] || params[intervalo.ate]);
+
+    if (intervalos.length > 1) {
+        throw new FiltroInvalidoError(
+            `Use apenas um intervalo por consulta (recebidos: ${intervalos.map(([campo]) => campo).join(', ')})`
+        );
+    }
+
+    let ordenarPor = params.ordenarPor || 'criadaEm';
+
+    if (intervalos.length === 1) {
+        const [campo, intervalo] = intervalos[0];
+
+        if (params.ordenarPor && params.ordenarPor !== campo) {
+            throw new FiltroInvalidoError(`Com filtro de intervalo em ${campo}, a ordenação deve ser por ${campo}`);
+        }
+        ordenarPor = campo;
+
+        if (params[intervalo.de]) query = query.where(campo, '>=', intervalo.converter(String(params[intervalo.de]), false));
+        if (params[intervalo.ate]) query = query.where(campo, '<=', intervalo.converter(String(params[intervalo.ate]), true));
+    }
+
+    if (!CAMPOS_ORDENACAO.includes(ordenarPor)) {
+        throw new FiltroInvalidoError(`ordenarPor deve ser um de: ${CAMPOS_ORDENACAO.join(', ')}`);
+    }
+
+    if (CAMPOS_ORDENACAO_COM_INTERVALO.includes(ordenarPor) && intervalos.length === 0) {
+        const { de, ate } = INTERVALOS[ordenarPor];
+        throw new FiltroInvalidoError(
+            `Ordenação por ${ordenarPor} exige o filtro ${de} ou ${ate} (cobranças sem ${ordenarPor} não seriam listadas)`
+        );
+    }
+
+    const ordem = params.ordem === 'asc' ? 'asc' : 'desc';
+
+    return { query, ordenarPor, ordem, status };
+}
+
+/**
+ * Quantidade e soma dos valores por status, com os demais filtros aplicados
+ */
+async function calcularTotais(cobrancasRef, params, statusFiltrados) {
+    const statusConsultados = statusFiltrados.length > 0 ? statusFiltrados : STATUS_COBRANCA;
+
+    const resultados = await Promise.all(statusConsultados.map(async (status) => {
+        const { query } = montarConsulta(cobrancasRef, { ...params, status, ordenarPor: undefined });
+        const snapshot = await query.aggregate({
+            quantidade: AggregateField.count(),
+            valor: AggregateField.sum('valor')
+        }).get();
+        const dados = snapshot.data();
+
+        return [status, { quantidade: dados.quantidade, valor: Math.round((dados.valor || 0) * 100) / 100 }];
+    }));
+
+    const porStatus = Object.fromEntries(resultados.filter(([, total]) => total.quantidade > 0));
+    const geral = Object.values(porStatus).reduce((total, item) => ({
+        quantidade: total.quantidade + item.quantidade,
+        valor: Math.round((total.valor + item.valor) * 100) / 100
+    }), { quantidade: 0, valor: 0 });
+
+    return { porStatus, geral };
+}
+
+/**
+ * GET /api/cobrancas - Listar cobranças da empresa
+ *
+ * Filtros: status (lista separada por vírgula), tipo, tipoCobranca, pagadorDocumento,
+ * criadaDe/criadaAte, vencimentoDe/vencimentoAte, pagamentoDe/pagamentoAte, valorMin/valorMax
+ * Ordenação: ordenarPor (criadaEm, vencimento, dataPagamento, valor), ordem (asc, desc);
+ * vencimento e dataPagamento exigem o filtro de intervalo do mesmo campo
+ * Paginação: limite (até 200) e cursor (proximoCursor da página anterior)
+ * Totais por status são calculados na primeira página (totais=false desativa)
+ */
+router.get('/', exigirPapel(), async (req, res) => {
+    try {
+        const { empresaId, cursor } = req.query;
+        const db = req.app.get('db');
+
+        const limite = Math.min(parseInt(req.query.limite, 10) || LIMITE_PADRAO, LIMITE_MAXIMO);
+        const cobrancasRef = db.collection('empresas').doc(empresaId).collection('cobrancas');
+
+        const { query, ordenarPor, ordem, status } = montarConsulta(cobrancasRef, req.query);
+
+        // Desempate pelo id do documento mantém a paginação estável
+        let pagina = query.orderBy(ordenarPor, ordem).orderBy(FieldPath.documentId(), ordem);
+
+        if (cursor) {
+            const cursorDoc = await cobrancasRef.doc(String(cursor)).get();
+
+            if (!cursorDoc.exists) {
+                return res.status(400).json({ error: 'Cursor inválido', code: 'INVALID_CURSOR' });
+            }
+            pagina = pagina.startAfter(cursorDoc);
+        }
+
+        const snapshot = await pagina.limit(limite + 1).get();
+        const docs = snapshot.docs.slice(0, limite);
+        const temMais = snapshot.docs.length > limite;
+
+        const resposta = {
+            cobrancas: docs.map(doc => ({ id: doc.id, ...serializar(doc.data()) })),
+            proximoCursor: temMais ? docs[docs.length - 1].id : null,
+            ordenarPor,
+            ordem
+        };
+
+        if (!cursor && req.query.totais !== 'false') {
+            resposta.totais = await calcularTotais(cobrancasRef, req.query, status);
+        }
+
+        res.json(resposta);
+
+    } catch (error) {
+        if (error.code === 'INVALID_FILTER') {
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+
+        // FAILED_PRECONDITION: combinação de filtros sem índice composto
+        if (error.code === 9) {
+            logger.error('Índice ausente para listagem de cobranças', { erro: error.message });
+            return res.status(400).json({
+                error: 'Combinação de filtros não suportada (índice ausente)',
+                code: 'INDEX_REQUIRED'
+            });
+        }
+
+        logger.error('Erro ao listar cobranças', error);
+        res.status(500).json({ error: 'Erro ao listar cobranças', code: 'CHARGE_LIST_ERROR' });
+    }
+});
+
+module.exports = router;
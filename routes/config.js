@@ -8,6 +8,15 @@ const router = express.Router();
 const multer = require('multer');
 const encryptionService = require('../services/encryption');
 const interBankService = require('../services/interBank');
+const bankRegistry = require('../services/bankRegistry');
+const certificadoService = require('../services/certificados');
+const { CertificadoInvalidoError } = certificadoService;
+const { gerarTokenWebhook, montarUrlsWebhook } = require('../middleware/webhookAuth');
+const { exigirPapel, PAPEIS } = require('../middleware/auth');
+const validacao = require('../middleware/validacao');
+const { FieldValue } = require('firebase-admin/firestore');
+const auditoria = require('../services/auditoria');
+const logger = require('../services/logger');
 
 // Configuração do Multer para upload de certificados
 const upload = multer({
@@ -16,47 +25,157 @@ const upload = multer({
         fileSize: 50 * 1024 // 50KB máximo para certificados
     },
     fileFilter: (req, file, cb) => {
-        // Aceita .crt, .key, .pem
-        const allowedExtensions = ['.crt', '.key', '.pem'];
+        // Aceita .crt, .key, .pem e o pacote .pfx/.p12
+        const allowedExtensions = ['.crt', '.key', '.pem', '.pfx', '.p12'];
         const ext = file.originalname.toLowerCase().slice(file.originalname.lastIndexOf('.'));
 
         if (allowedExtensions.includes(ext)) {
             cb(null, true);
         } else {
-            cb(new Error('Tipo de arquivo não permitido. Use .crt, .key ou .pem'));
+            cb(new Error('Tipo de arquivo não permitido. Use .crt, .key, .pem, .pfx ou .p12'));
         }
     }
 });
 
+// Inter: corpo multipart (sandbox chega como texto); chave PIX aleatória, e-mail, telefone ou documento
+const ESQUEMA_INTER = {
+    clientId: validacao.texto({ max: 200 }),
+    clientSecret: validacao.texto({ max: 200, manterEspacos: true }),
+    chavePix: validacao.texto({ obrigatorio: true, max: 77 }),
+    sandbox: validacao.booleano({ aceitaTexto: true }),
+    senhaPfx: validacao.texto({ max: 200, manterEspacos: true })
+};
+
+const ESQUEMA_ASAAS = {
+    apiKey: validacao.texto({ max: 500, manterEspacos: true }),
+    sandbox: validacao.booleano({ aceitaTexto: true })
+};
+
+const ESQUEMA_PREFERENCIAS = {
+    reemitirPixExpirado: validacao.booleano({ obrigatorio: true })
+};
+
+function bancoSuportado(banco) {
+    return bankRegistry.obter(banco) ? null : { codigo: 'INVALID_OPTION', mensagem: `Banco não suportado: ${banco}` };
+}
+
+const ESQUEMA_TESTE = {
+    banco: validacao.texto({ validar: bancoSuportado })
+};
+
+const ESQUEMA_PADRAO = {
+    banco: validacao.texto({ obrigatorio: true, validar: bancoSuportado })
+};
+
+/**
+ * URL pública da API (base das URLs de webhook cadastradas no banco)
+ */
+function obterBaseUrlPublica(req) {
+    return process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Certificado mTLS completo: par PEM ou pacote PFX/P12
+ */
+function temCertificado(config) {
+    return !!(config.pfxBase64 || (config.certBase64 && config.keyBase64));
+}
+
+function paraIso(valor) {
+    if (!valor) return null;
+    return (typeof valor.toDate === 'function' ? valor.toDate() : new Date(valor)).toISOString();
+}
+
+/**
+ * Metadados públicos do certificado mTLS (dias restantes recalculados na leitura)
+ */
+function serializarCertificado(certificado) {
+    if (!certificado?.validoAte) return null;
+
+    const validoAte = new Date(paraIso(certificado.validoAte));
+    const { diasRestantes, expirando } = certificadoService.situacao(validoAte);
+
+    return {
+        subject: certificado.subject,
+        issuer: certificado.issuer,
+        serial: certificado.serial,
+        fingerprint256: certificado.fingerprint256 || null,
+        validoDe: paraIso(certificado.validoDe),
+        validoAte: validoAte.toISOString(),
+        diasRestantes,
+        expirando,
+        expirado: validoAte <= new Date()
+    };
+}
+
+/**
+ * Cadastra o webhook PIX da empresa no Inter e registra o resultado na configuração
+ * Gera o token de webhook se a empresa ainda não tiver um.
+ * Com novoToken (troca de token), nada é gravado se o Inter recusar a nova URL:
+ * o token anterior continua válido e o cadastro anterior continua ativo.
+ */
+async function registrarWebhookPixEmpresa(req, configRef, config, novoToken = null) {
+    const atualizacao = {};
+    let token = novoToken || (config.webhookToken ? encryptionService.decrypt(config.webhookToken) : null);
+
+    if (!token || novoToken) {
+        token = token || gerarTokenWebhook();
+        atualizacao.webhookToken = encryptionService.encrypt(token);
+        atualizacao.webhookTokenGeradoEm = new Date();
+    }
+
+    const { pix: webhookUrl } = montarUrlsWebhook(obterBaseUrlPublica(req), config.id, token);
+
+    // A URL contém o token secreto - armazena apenas a versão mascarada
+    atualizacao.webhookPix = {
+        url: webhookUrl.replace(token, '***'),
+        atualizadoEm: new Date()
+    };
+
+    try {
+        await interBankService.registrarWebhookPix(config, webhookUrl);
+        atualizacao.webhookPix.status = 'registrado';
+        atualizacao.webhookPix.erro = null;
+        await configRef.update(atualizacao);
+        return atualizacao.webhookPix;
+    } catch (error) {
+        if (!novoToken) {
+            atualizacao.webhookPix.status = 'falha';
+            atualizacao.webhookPix.erro = error.message;
+            await configRef.update(atualizacao);
+        }
+        throw error;
+    }
+}
+
 /**
  * GET /api/config/:empresaId/bancaria
  * Retorna configuração bancária (sem dados sensíveis)
  */
-router.get('/:empresaId/bancaria', async (req, res) => {
+router.get('/:empresaId/bancaria', exigirPapel(PAPEIS.ADMIN, PAPEIS.FINANCEIRO), async (req, res) => {
     try {
         const { empresaId } = req.params;
         const db = req.app.get('db');
 
-        const configRef = db.collection('empresas').doc(empresaId)
-            .collection('configuracaoBancaria').doc('inter');
-
-        const configDoc = await configRef.get();
+        const resolvido = await bankRegistry.carregarConfigEmpresa(db, empresaId, req.query.banco || null);
 
-        if (!configDoc.exists) {
+        if (!resolvido) {
             return res.json({
                 configurado: false,
                 banco: null
             });
         }
 
-        const config = configDoc.data();
+        const { config } = resolvido;
 
         // Diagnóstico detalhado (sem expor dados sensíveis)
         const diagnostico = {
             clientIdLength: config.clientId?.length || 0,
             clientSecretLength: config.clientSecret?.length || 0,
+            apiKeyLength: config.apiKey?.length || 0,
             certBase64Length: config.certBase64?.length || 0,
             keyBase64Length: config.keyBase64?.length || 0,
+            pfxBase64Length: config.pfxBase64?.length || 0,
             ultimoTesteStatus: config.ultimoTesteStatus || null,
             ultimoTesteErro: config.ultimoTesteErro || null
         };
@@ -64,19 +183,25 @@ router.get('/:empresaId/bancaria', async (req, res) => {
         // Retorna dados públicos apenas
         res.json({
             configurado: true,
-            banco: 'inter',
+            banco: config.banco,
+            padrao: config.padrao === true,
             ativo: config.ativo || false,
             chavePix: config.chavePix || null,
             sandbox: config.sandbox || false,
-            temCertificado: !!(config.certBase64 && config.keyBase64),
-            temCredenciais: !!(config.clientId && config.clientSecret),
+            temCertificado: temCertificado(config),
+            formatoCertificado: config.pfxBase64 ? 'pfx' : (config.certBase64 ? 'pem' : null),
+            certificado: serializarCertificado(config.certificado),
+            temCredenciais: !!(config.apiKey || (config.clientId && config.clientSecret)),
+            temTokenWebhook: !!config.webhookToken,
+            reemitirPixExpirado: config.reemitirPixExpirado || false,
+            webhookPix: config.webhookPix || null,
             ultimoTeste: config.ultimoTeste || null,
             atualizadoEm: config.atualizadoEm || null,
             diagnostico: diagnostico
         });
 
     } catch (error) {
-        console.error('Erro ao buscar config:', error);
+        logger.error('Erro ao buscar config', error);
         res.status(500).json({ error: 'Erro ao buscar configuração' });
     }
 });
@@ -86,14 +211,18 @@ router.get('/:empresaId/bancaria', async (req, res) => {
  * Salva ou atualiza configuração do Banco Inter
  */
 router.post('/:empresaId/bancaria/inter',
-    upload.fields([
+    exigirPapel(PAPEIS.ADMIN),
+    auditoria.middleware('config.inter.salvar', 'configuracaoBancaria'),
+    logger.manterContexto(upload.fields([
         { name: 'certificado', maxCount: 1 },
-        { name: 'chavePrivada', maxCount: 1 }
-    ]),
+        { name: 'chavePrivada', maxCount: 1 },
+        { name: 'pfx', maxCount: 1 }
+    ])),
+    validacao.validarCorpo(ESQUEMA_INTER),
     async (req, res) => {
         try {
             const { empresaId } = req.params;
-            const { clientId, clientSecret, chavePix, sandbox } = req.body;
+            const { clientId, clientSecret, chavePix, sandbox, senhaPfx } = req.body;
             const db = req.app.get('db');
 
             // Busca configuração existente
@@ -101,6 +230,7 @@ router.post('/:empresaId/bancaria/inter',
                 .collection('configuracaoBancaria').doc('inter');
             const existingDoc = await configRef.get();
             const existingConfig = existingDoc.exists ? existingDoc.data() : {};
+            res.locals.auditoria = { recursoId: 'inter', antes: existingDoc.exists ? existingDoc.data() : null };
 
             // Validações - só exige se não tem credenciais salvas
             const temCredenciaisSalvas = !!(existingConfig.clientId && existingConfig.clientSecret);
@@ -117,46 +247,86 @@ router.post('/:empresaId/bancaria/inter',
                 });
             }
 
-            if (!chavePix) {
-                return res.status(400).json({
-                    error: 'Chave PIX é obrigatória'
-                });
-            }
-
             // Prepara dados para salvar (mantém existentes se não enviados)
             const configData = {
                 banco: 'inter',
                 clientId: clientId ? encryptionService.encrypt(clientId) : existingConfig.clientId,
                 clientSecret: clientSecret ? encryptionService.encrypt(clientSecret) : existingConfig.clientSecret,
                 chavePix: chavePix,
-                sandbox: sandbox === 'true' || sandbox === true,
+                sandbox: sandbox === true,
                 ativo: false, // Será ativado após teste
                 atualizadoEm: new Date()
             };
 
             // Processa certificados se enviados (mantém existentes se não enviados)
-            if (req.files) {
-                if (req.files.certificado && req.files.certificado[0]) {
-                    const certBuffer = req.files.certificado[0].buffer;
-                    configData.certBase64 = certBuffer.toString('base64');
-                } else if (existingConfig.certBase64) {
-                    configData.certBase64 = existingConfig.certBase64;
-                }
+            // Certificado e chave privada são gravados criptografados (base64 do arquivo)
+            const certArquivo = req.files?.certificado?.[0];
+            const keyArquivo = req.files?.chavePrivada?.[0];
+            const pfxArquivo = req.files?.pfx?.[0];
 
-                if (req.files.chavePrivada && req.files.chavePrivada[0]) {
-                    const keyBuffer = req.files.chavePrivada[0].buffer;
-                    configData.keyBase64 = keyBuffer.toString('base64');
-                } else if (existingConfig.keyBase64) {
-                    configData.keyBase64 = existingConfig.keyBase64;
+            if (pfxArquivo && (certArquivo || keyArquivo)) {
+                return res.status(400).json({
+                    error: 'Envie o pacote .pfx/.p12 ou o par certificado e chave privada, não ambos',
+                    code: 'INVALID_CERTIFICATE'
+                });
+            }
+
+            if (existingConfig.pfxBase64 && !pfxArquivo && !!certArquivo !== !!keyArquivo) {
+                return res.status(400).json({
+                    error: 'Para substituir o pacote .pfx/.p12 envie o certificado e a chave privada',
+                    code: 'INVALID_CERTIFICATE'
+                });
+            }
+
+            try {
+                if (pfxArquivo) {
+                    // Pacote PFX/P12 substitui o par PEM; a senha também é gravada criptografada
+                    configData.certificado = certificadoService.validarPfx(pfxArquivo.buffer, senhaPfx);
+                    configData.pfxBase64 = encryptionService.encrypt(pfxArquivo.buffer.toString('base64'));
+                    configData.pfxSenha = senhaPfx ? encryptionService.encrypt(senhaPfx) : FieldValue.delete();
+                    configData.certBase64 = FieldValue.delete();
+                    configData.keyBase64 = FieldValue.delete();
+
+                } else if (certArquivo || keyArquivo) {
+                    // Novo arquivo: valida o par (o arquivo não enviado é o já salvo) antes de gravar
+                    const lerSalvo = (valor) => Buffer.from(encryptionService.decrypt(valor), 'base64');
+                    const certContent = certArquivo ? certArquivo.buffer : (existingConfig.certBase64 && lerSalvo(existingConfig.certBase64));
+                    const keyContent = keyArquivo ? keyArquivo.buffer : (existingConfig.keyBase64 && lerSalvo(existingConfig.keyBase64));
+
+                    if (certContent && keyContent) {
+                        configData.certificado = certificadoService.validarPar(certContent, keyContent);
+                    } else if (certContent) {
+                        configData.certificado = certificadoService.validarCertificado(certContent);
+                    } else {
+                        certificadoService.validarChave(keyContent);
+                    }
+
+                    if (certArquivo) configData.certBase64 = encryptionService.encrypt(certArquivo.buffer.toString('base64'));
+                    if (keyArquivo) configData.keyBase64 = encryptionService.encrypt(keyArquivo.buffer.toString('base64'));
+
+                    // Par PEM substitui o pacote PFX/P12
+                    if (existingConfig.pfxBase64) {
+                        configData.pfxBase64 = FieldValue.delete();
+                        configData.pfxSenha = FieldValue.delete();
+                    }
+
+                } else if (senhaPfx && existingConfig.pfxBase64) {
+                    // Só a senha: confere com o pacote já salvo
+                    configData.certificado = certificadoService.validarPfx(
+                        Buffer.from(encryptionService.decrypt(existingConfig.pfxBase64), 'base64'), senhaPfx);
+                    configData.pfxSenha = encryptionService.encrypt(senhaPfx);
+                }
+            } catch (error) {
+                if (error instanceof CertificadoInvalidoError) {
+                    return res.status(400).json({ error: error.message, code: error.code });
                 }
-            } else {
-                // Mantém certificados existentes se não foram enviados novos
-                if (existingConfig.certBase64) configData.certBase64 = existingConfig.certBase64;
-                if (existingConfig.keyBase64) configData.keyBase64 = existingConfig.keyBase64;
+                throw error;
             }
 
             // Salva no Firestore
             await configRef.set(configData, { merge: true });
+            const salvo = (await configRef.get()).data();
+            res.locals.auditoria.depois = salvo;
 
             // Limpa cache de tokens
             interBankService.limparCache(empresaId);
@@ -164,43 +334,171 @@ router.post('/:empresaId/bancaria/inter',
             res.json({
                 success: true,
                 message: 'Configuração salva. Execute o teste de conexão para ativar.',
-                temCertificado: !!(configData.certBase64 && configData.keyBase64)
+                temCertificado: temCertificado(salvo),
+                certificado: serializarCertificado(salvo.certificado)
             });
 
         } catch (error) {
-            console.error('Erro ao salvar config:', error);
+            logger.error('Erro ao salvar config', error);
             res.status(500).json({ error: error.message || 'Erro ao salvar configuração' });
         }
     }
 );
 
 /**
- * POST /api/config/:empresaId/bancaria/testar
- * Testa conexão com o banco
+ * POST /api/config/:empresaId/bancaria/asaas
+ * Salva ou atualiza configuração do Asaas (API key, sem certificado)
+ * Retorna o token que deve ser cadastrado no painel do Asaas junto com a URL do webhook.
  */
-router.post('/:empresaId/bancaria/testar', async (req, res) => {
+router.post('/:empresaId/bancaria/asaas', exigirPapel(PAPEIS.ADMIN), auditoria.middleware('config.asaas.salvar', 'configuracaoBancaria'), validacao.validarCorpo(ESQUEMA_ASAAS), async (req, res) => {
     try {
         const { empresaId } = req.params;
+        const { apiKey, sandbox } = req.body;
         const db = req.app.get('db');
 
-        // Busca configuração
         const configRef = db.collection('empresas').doc(empresaId)
-            .collection('configuracaoBancaria').doc('inter');
+            .collection('configuracaoBancaria').doc('asaas');
+        const existingDoc = await configRef.get();
+        const existingConfig = existingDoc.exists ? existingDoc.data() : {};
+        res.locals.auditoria = { recursoId: 'asaas', antes: existingDoc.exists ? existingDoc.data() : null };
+
+        if (!apiKey && !existingConfig.apiKey) {
+            return res.status(400).json({
+                error: 'API key é obrigatória'
+            });
+        }
 
-        const configDoc = await configRef.get();
+        // Token do webhook é gerado uma única vez; o painel do Asaas guarda o valor
+        const tokenWebhook = existingConfig.webhookToken ?
+            encryptionService.decrypt(existingConfig.webhookToken) : gerarTokenWebhook();
+
+        const configData = {
+            banco: 'asaas',
+            apiKey: apiKey ? encryptionService.encrypt(apiKey) : existingConfig.apiKey,
+            sandbox: sandbox === true,
+            webhookToken: existingConfig.webhookToken || encryptionService.encrypt(tokenWebhook),
+            ativo: false, // Será ativado após teste
+            atualizadoEm: new Date()
+        };
 
-        if (!configDoc.exists) {
+        await configRef.set(configData, { merge: true });
+        res.locals.auditoria.depois = { ...existingConfig, ...configData };
+
+        res.json({
+            success: true,
+            message: 'Configuração salva. Execute o teste de conexão para ativar.',
+            webhook: {
+                url: `${obterBaseUrlPublica(req)}/api/webhook/asaas`,
+                token: tokenWebhook
+            }
+        });
+
+    } catch (error) {
+        logger.error('Erro ao salvar config Asaas', error);
+        res.status(500).json({ error: error.message || 'Erro ao salvar configuração' });
+    }
+});
+
+/**
+ * PATCH /api/config/:empresaId/bancaria/preferencias
+ * Atualiza preferências da integração (banco na query, padrão: banco padrão da empresa)
+ * reemitirPixExpirado: emite novo QR Code para a fatura quando uma cobrança imediata expira
+ */
+router.patch('/:empresaId/bancaria/preferencias', exigirPapel(PAPEIS.ADMIN), auditoria.middleware('config.preferencias.salvar', 'configuracaoBancaria'), validacao.validarCorpo(ESQUEMA_PREFERENCIAS), async (req, res) => {
+    try {
+        const { empresaId } = req.params;
+        const { reemitirPixExpirado } = req.body;
+        const db = req.app.get('db');
+
+        const resolvido = await bankRegistry.carregarConfigEmpresa(db, empresaId, req.query.banco || null);
+
+        if (!resolvido) {
+            return res.status(404).json({ error: 'Configuração bancária não encontrada' });
+        }
+
+        const atualizacao = {
+            reemitirPixExpirado,
+            atualizadoEm: new Date()
+        };
+        await resolvido.configRef.update(atualizacao);
+
+        res.locals.auditoria = {
+            recursoId: resolvido.provider.id,
+            antes: resolvido.config,
+            depois: { ...resolvido.config, ...atualizacao }
+        };
+
+        res.json({
+            success: true,
+            banco: resolvido.provider.id,
+            reemitirPixExpirado
+        });
+
+    } catch (error) {
+        logger.error('Erro ao salvar preferências', error);
+        res.status(500).json({ error: error.message || 'Erro ao salvar preferências' });
+    }
+});
+
+/**
+ * PUT /api/config/:empresaId/bancaria/padrao
+ * Define o banco padrão das novas cobranças da empresa (as existentes continuam no banco que as emitiu)
+ */
+router.put('/:empresaId/bancaria/padrao', exigirPapel(PAPEIS.ADMIN), auditoria.middleware('config.padrao.definir', 'configuracaoBancaria'), validacao.validarCorpo(ESQUEMA_PADRAO), async (req, res) => {
+    try {
+        const { empresaId } = req.params;
+        const { banco } = req.body;
+        const db = req.app.get('db');
+
+        res.locals.auditoria = { recursoId: banco, detalhes: { banco } };
+
+        if (!await bankRegistry.definirPadrao(db, empresaId, banco)) {
+            return res.status(404).json({
+                error: 'Configuração bancária não encontrada para este banco',
+                code: 'BANK_CONFIG_NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            banco
+        });
+
+    } catch (error) {
+        logger.error('Erro ao definir banco padrão', error);
+        res.status(500).json({ error: error.message || 'Erro ao definir banco padrão' });
+    }
+});
+
+/**
+ * POST /api/config/:empresaId/bancaria/testar
+ * Testa conexão com o banco
+ */
+router.post('/:empresaId/bancaria/testar', exigirPapel(PAPEIS.ADMIN), auditoria.middleware('config.testar', 'configuracaoBancaria'), validacao.validarCorpo(ESQUEMA_TESTE), async (req, res) => {
+    let configRef = null;
+    let provider = null;
+
+    try {
+        const { empresaId } = req.params;
+        const db = req.app.get('db');
+
+        // Busca configuração (banco informado ou configuração da empresa)
+        const resolvido = await bankRegistry.carregarConfigEmpresa(db, empresaId, req.body.banco || req.query.banco || null);
+
+        if (!resolvido) {
             return res.status(404).json({
                 error: 'Configuração não encontrada',
                 success: false
             });
         }
 
-        const config = configDoc.data();
-        config.id = empresaId;
+        const { config } = resolvido;
+        configRef = resolvido.configRef;
+        provider = resolvido.provider;
+        res.locals.auditoria = { recursoId: provider.id, antes: { ...config } };
 
-        // Tenta obter token (isso valida credenciais e certificados)
-        await interBankService.getAccessToken(config);
+        // Valida credenciais e certificados junto ao banco
+        await provider.testarConexao(config);
 
         // Se chegou aqui, conexão OK - ativa integração
         await configRef.update({
@@ -209,45 +507,247 @@ router.post('/:empresaId/bancaria/testar', async (req, res) => {
             ultimoTesteStatus: 'sucesso'
         });
 
+        // Recadastra o webhook PIX do Inter (falha aqui não invalida o teste de conexão)
+        let webhookPix = null;
+        if (provider.id === 'inter' && config.chavePix) {
+            try {
+                webhookPix = await registrarWebhookPixEmpresa(req, configRef, config);
+            } catch (webhookError) {
+                logger.warn('Conexão OK, mas falhou ao cadastrar webhook PIX', { erro: webhookError.message });
+                webhookPix = { status: 'falha', erro: webhookError.message };
+            }
+        }
+
+        res.locals.auditoria.depois = (await configRef.get()).data();
+
         res.json({
             success: true,
-            message: 'Conexão com Banco Inter estabelecida com sucesso!',
-            ativo: true
+            message: `Conexão com ${provider.nome} estabelecida com sucesso!`,
+            ativo: true,
+            webhookPix
         });
 
     } catch (error) {
-        console.error('Erro no teste de conexão:', error);
+        logger.error('Erro no teste de conexão', error);
 
         // Salva falha no Firestore
-        try {
-            const db = req.app.get('db');
-            const { empresaId } = req.params;
-
-            await db.collection('empresas').doc(empresaId)
-                .collection('configuracaoBancaria').doc('inter')
-                .update({
+        if (configRef) {
+            try {
+                await configRef.update({
                     ativo: false,
                     ultimoTeste: new Date(),
                     ultimoTesteStatus: 'falha',
                     ultimoTesteErro: error.message
                 });
-        } catch (e) {
-            console.error('Erro ao salvar status de falha:', e);
+                res.locals.auditoria.depois = (await configRef.get()).data();
+            } catch (e) {
+                logger.error('Erro ao salvar status de falha', e);
+            }
+        }
+
+        res.status(400).json({
+            success: false,
+            error: error.message || `Falha na conexão com ${provider?.nome || 'o banco'}`,
+            details: provider?.requerCertificado === false
+                ? 'Verifique as credenciais de API'
+                : 'Verifique Client ID, Client Secret e certificados'
+        });
+    }
+});
+
+/**
+ * POST /api/config/:empresaId/bancaria/webhook/token
+ * Gera (ou substitui) o token secreto das URLs de webhook da empresa
+ * As URLs retornadas devem ser cadastradas no Banco Inter
+ */
+router.post('/:empresaId/bancaria/webhook/token', exigirPapel(PAPEIS.ADMIN), auditoria.middleware('config.webhook.token.gerar', 'configuracaoBancaria'), async (req, res) => {
+    try {
+        const { empresaId } = req.params;
+        const db = req.app.get('db');
+
+        const configRef = db.collection('empresas').doc(empresaId)
+            .collection('configuracaoBancaria').doc('inter');
+
+        const configDoc = await configRef.get();
+
+        if (!configDoc.exists) {
+            return res.status(404).json({ error: 'Configuração não encontrada' });
+        }
+
+        const config = configDoc.data();
+        config.id = empresaId;
+        res.locals.auditoria = { recursoId: 'inter', antes: configDoc.data() };
+
+        const token = gerarTokenWebhook();
+
+        // Se o webhook PIX já estava cadastrado, o novo token só é gravado depois que o
+        // Inter aceitar a nova URL; antes disso as notificações chegam na URL anterior
+        let webhookPix = null;
+        if (config.webhookPix?.status === 'registrado') {
+            try {
+                webhookPix = await registrarWebhookPixEmpresa(req, configRef, config, token);
+            } catch (webhookError) {
+                logger.error('Erro ao cadastrar webhook com o novo token', webhookError);
+                return res.status(502).json({
+                    error: 'O Banco Inter recusou a nova URL de webhook. O token anterior continua válido.',
+                    code: 'WEBHOOK_REGISTRATION_FAILED',
+                    details: webhookError.message
+                });
+            }
+        } else {
+            await configRef.update({
+                webhookToken: encryptionService.encrypt(token),
+                webhookTokenGeradoEm: new Date()
+            });
+        }
+
+        res.locals.auditoria.depois = (await configRef.get()).data();
+
+        res.json({
+            success: true,
+            message: 'Token gerado. As URLs anteriores deixam de ser aceitas.',
+            urls: montarUrlsWebhook(obterBaseUrlPublica(req), empresaId, token),
+            webhookPix
+        });
+
+    } catch (error) {
+        logger.error('Erro ao gerar token de webhook', error);
+        res.status(500).json({ error: 'Erro ao gerar token de webhook' });
+    }
+});
+
+/**
+ * PUT /api/config/:empresaId/bancaria/webhook
+ * Cadastra (ou substitui) o webhook PIX da empresa no Banco Inter
+ */
+router.put('/:empresaId/bancaria/webhook', exigirPapel(PAPEIS.ADMIN), auditoria.middleware('config.webhook.cadastrar', 'configuracaoBancaria'), async (req, res) => {
+    try {
+        const { empresaId } = req.params;
+        const db = req.app.get('db');
+
+        const configRef = db.collection('empresas').doc(empresaId)
+            .collection('configuracaoBancaria').doc('inter');
+
+        const configDoc = await configRef.get();
+
+        if (!configDoc.exists) {
+            return res.status(404).json({ error: 'Configuração não encontrada', success: false });
+        }
+
+        const config = configDoc.data();
+        config.id = empresaId;
+        res.locals.auditoria = { recursoId: 'inter', antes: configDoc.data() };
+
+        if (!config.chavePix) {
+            return res.status(400).json({ error: 'Chave PIX não configurada', success: false });
         }
 
+        const webhookPix = await registrarWebhookPixEmpresa(req, configRef, config);
+        res.locals.auditoria.depois = (await configRef.get()).data();
+
+        res.json({
+            success: true,
+            message: 'Webhook PIX cadastrado no Banco Inter',
+            webhookPix
+        });
+
+    } catch (error) {
+        logger.error('Erro ao cadastrar webhook', error);
         res.status(400).json({
             success: false,
-            error: error.message || 'Falha na conexão com Banco Inter',
-            details: 'Verifique Client ID, Client Secret e certificados'
+            error: error.message || 'Falha ao cadastrar webhook no Banco Inter'
         });
     }
 });
 
+/**
+ * GET /api/config/:empresaId/bancaria/webhook
+ * Consulta o webhook PIX cadastrado no Banco Inter e compara com o esperado
+ */
+router.get('/:empresaId/bancaria/webhook', exigirPapel(PAPEIS.ADMIN), async (req, res) => {
+    try {
+        const { empresaId } = req.params;
+        const db = req.app.get('db');
+
+        const configDoc = await db.collection('empresas').doc(empresaId)
+            .collection('configuracaoBancaria').doc('inter').get();
+
+        if (!configDoc.exists) {
+            return res.status(404).json({ error: 'Configuração não encontrada' });
+        }
+
+        const config = configDoc.data();
+        config.id = empresaId;
+
+        const remoto = await interBankService.consultarWebhookPix(config);
+        const token = config.webhookToken ? encryptionService.decrypt(config.webhookToken) : null;
+        const esperado = token ? montarUrlsWebhook(obterBaseUrlPublica(req), empresaId, token).pix : null;
+
+        res.json({
+            registrado: !!remoto,
+            // URL cadastrada no banco, com o token mascarado quando for o desta empresa
+            url: remoto ? (token ? remoto.webhookUrl.replace(token, '***') : remoto.webhookUrl) : null,
+            criacao: remoto?.criacao || null,
+            sincronizado: !!remoto && remoto.webhookUrl === esperado,
+            webhookPix: config.webhookPix || null
+        });
+
+    } catch (error) {
+        logger.error('Erro ao consultar webhook', error);
+        res.status(400).json({ error: error.message || 'Falha ao consultar webhook no Banco Inter' });
+    }
+});
+
+/**
+ * DELETE /api/config/:empresaId/bancaria/webhook
+ * Remove o webhook PIX cadastrado no Banco Inter
+ */
+router.delete('/:empresaId/bancaria/webhook', exigirPapel(PAPEIS.ADMIN), auditoria.middleware('config.webhook.remover', 'configuracaoBancaria'), async (req, res) => {
+    try {
+        const { empresaId } = req.params;
+        const db = req.app.get('db');
+
+        const configRef = db.collection('empresas').doc(empresaId)
+            .collection('configuracaoBancaria').doc('inter');
+
+        const configDoc = await configRef.get();
+
+        if (!configDoc.exists) {
+            return res.status(404).json({ error: 'Configuração não encontrada' });
+        }
+
+        const config = configDoc.data();
+        config.id = empresaId;
+        res.locals.auditoria = { recursoId: 'inter', antes: configDoc.data() };
+
+        await interBankService.removerWebhookPix(config);
+
+        await configRef.update({
+            webhookPix: {
+                url: config.webhookPix?.url || null,
+                status: 'removido',
+                atualizadoEm: new Date(),
+                erro: null
+            }
+        });
+        res.locals.auditoria.depois = (await configRef.get()).data();
+
+        res.json({
+            success: true,
+            message: 'Webhook PIX removido do Banco Inter'
+        });
+
+    } catch (error) {
+        logger.error('Erro ao remover webhook', error);
+        res.status(400).json({ error: error.message || 'Falha ao remover webhook no Banco Inter' });
+    }
+});
+
 /**
  * GET /api/config/:empresaId/bancaria/debug
  * Endpoint de diagnóstico para verificar estado das credenciais
  */
-router.get('/:empresaId/bancaria/debug', async (req, res) => {
+router.get('/:empresaId/bancaria/debug', exigirPapel(PAPEIS.ADMIN), auditoria.middleware('config.debug.consultar', 'configuracaoBancaria'), async (req, res) => {
     try {
         const { empresaId } = req.params;
         const db = req.app.get('db');
@@ -256,6 +756,7 @@ router.get('/:empresaId/bancaria/debug', async (req, res) => {
             .collection('configuracaoBancaria').doc('inter');
 
         const configDoc = await configRef.get();
+        res.locals.auditoria = { recursoId: 'inter' };
 
         if (!configDoc.exists) {
             return res.json({ error: 'Configuração não encontrada' });
@@ -288,9 +789,13 @@ router.get('/:empresaId/bancaria/debug', async (req, res) => {
                 decryptedLength: clientSecretDecrypted?.length || 0,
                 decryptSuccess: !!clientSecretDecrypted
             },
+            // Valores fora do formato atual ou cifrados com chave antiga: npm run rotacionar-chaves
+            needsReencryption: ['clientId', 'clientSecret', 'webhookToken', 'certBase64', 'keyBase64', 'pfxBase64', 'pfxSenha']
+                .filter(campo => config[campo] && encryptionService.needsReencryption(config[campo])),
             certificates: {
                 certBase64Length: config.certBase64?.length || 0,
-                keyBase64Length: config.keyBase64?.length || 0
+                keyBase64Length: config.keyBase64?.length || 0,
+                pfxBase64Length: config.pfxBase64?.length || 0
             },
             chavePix: config.chavePix,
             sandbox: config.sandbox,
@@ -306,14 +811,18 @@ router.get('/:empresaId/bancaria/debug', async (req, res) => {
  * DELETE /api/config/:empresaId/bancaria/inter
  * Remove configuração bancária
  */
-router.delete('/:empresaId/bancaria/inter', async (req, res) => {
+router.delete('/:empresaId/bancaria/inter', exigirPapel(PAPEIS.ADMIN), auditoria.middleware('config.inter.remover', 'configuracaoBancaria'), async (req, res) => {
     try {
         const { empresaId } = req.params;
         const db = req.app.get('db');
 
-        await db.collection('empresas').doc(empresaId)
-            .collection('configuracaoBancaria').doc('inter')
-            .delete();
+        const configRef = db.collection('empresas').doc(empresaId)
+            .collection('configuracaoBancaria').doc('inter');
+
+        const configDoc = await configRef.get();
+        res.locals.auditoria = { recursoId: 'inter', antes: configDoc.exists ? configDoc.data() : null };
+
+        await configRef.delete();
 
         // Limpa cache
         interBankService.limparCache(empresaId);
@@ -324,7 +833,35 @@ router.delete('/:empresaId/bancaria/inter', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Erro ao remover config:', error);
+        logger.error('Erro ao remover config', error);
+        res.status(500).json({ error: 'Erro ao remover configuração' });
+    }
+});
+
+/**
+ * DELETE /api/config/:empresaId/bancaria/asaas
+ * Remove configuração do Asaas
+ */
+router.delete('/:empresaId/bancaria/asaas', exigirPapel(PAPEIS.ADMIN), auditoria.middleware('config.asaas.remover', 'configuracaoBancaria'), async (req, res) => {
+    try {
+        const { empresaId } = req.params;
+        const db = req.app.get('db');
+
+        const configRef = db.collection('empresas').doc(empresaId)
+            .collection('configuracaoBancaria').doc('asaas');
+
+        const configDoc = await configRef.get();
+        res.locals.auditoria = { recursoId: 'asaas', antes: configDoc.exists ? configDoc.data() : null };
+
+        await configRef.delete();
+
+        res.json({
+            success: true,
+            message: 'Configuração removida com sucesso'
+        });
+
+    } catch (error) {
+        logger.error('Erro ao remover config Asaas', error);
         res.status(500).json({ error: 'Erro ao remover configuração' });
     }
 });
@@ -333,34 +870,9 @@ router.delete('/:empresaId/bancaria/inter', async (req, res) => {
  * GET /api/config/:empresaId/bancos-disponiveis
  * Lista bancos disponíveis para integração
  */
-router.get('/:empresaId/bancos-disponiveis', (req, res) => {
+router.get('/:empresaId/bancos-disponiveis', exigirPapel(), (req, res) => {
     res.json({
-        bancos: [
-            {
-                id: 'inter',
-                nome: 'Banco Inter',
-                logo: '/assets/images/bancos/inter.png',
-                funcionalidades: ['pix', 'boleto'],
-                status: 'disponivel',
-                requerCertificado: true
-            },
-            {
-                id: 'asaas',
-                nome: 'Asaas',
-                logo: '/assets/images/bancos/asaas.png',
-                funcionalidades: ['pix', 'boleto', 'cartao'],
-                status: 'em_breve',
-                requerCertificado: false
-            },
-            {
-                id: 'pagarme',
-                nome: 'Pagar.me',
-                logo: '/assets/images/bancos/pagarme.png',
-                funcionalidades: ['pix', 'boleto', 'cartao'],
-                status: 'em_breve',
-                requerCertificado: false
-            }
-        ]
+        bancos: bankRegistry.catalogo()
     });
 });
 
@@ -0,0 +1,465 @@
+/**
+ * Rotas por Empresa
+ * Operações administrativas da empresa (reconciliação com o banco, webhooks de saída, auditoria)
+ */
+
+const express = require('express');
+const router = express.Router();
+const reconciliacaoService = require('../services/reconciliacao');
+const notificacoes = require('../services/notificacoes');
+const destinoWebhook = require('../services/destinoWebhook');
+const encryptionService = require('../services/encryption');
+const { exigirPapel, PAPEIS } = require('../middleware/auth');
+const validacao = require('../middleware/validacao');
+const { FieldPath } = require('firebase-admin/firestore');
+const logger = require('../services/logger');
+
+/**
+ * Converte Timestamps do Firestore em ISO 8601 para a resposta
+ */
+function serializarData(valor) {
+    if (valor && typeof valor.toDate === 'function') return valor.toDate().toISOString();
+    if (valor instanceof Date) return valor.toISOString();
+    return valor ?? null;
+}
+
+function serializarExecucao(execucao) {
+    return {
+        ...execucao,
+        iniciadaEm: serializarData(execucao.iniciadaEm),
+        concluidaEm: serializarData(execucao.concluidaEm),
+        janela: execucao.janela && {
+            inicio: serializarData(execucao.janela.inicio),
+            fim: serializarData(execucao.janela.fim)
+        }
+    };
+}
+
+/**
+ * GET /api/empresas/:empresaId/reconciliacoes/ultima
+ * Resultado da última reconciliação da empresa
+ */
+router.get('/:empresaId/reconciliacoes/ultima', exigirPapel(PAPEIS.ADMIN, PAPEIS.FINANCEIRO), async (req, res) => {
+    try {
+        const db = req.app.get('db');
+        const execucao = await reconciliacaoService.ultimaExecucao(db, req.params.empresaId);
+
+        if (!execucao) {
+            return res.status(404).json({
+                error: 'Nenhuma reconciliação executada para esta empresa',
+                code: 'RECONCILIATION_NOT_FOUND'
+            });
+        }
+
+        res.json(serializarExecucao(execucao));
+
+    } catch (error) {
+        logger.error('Erro ao buscar reconciliação', error);
+        res.status(500).json({ error: 'Erro ao buscar reconciliação', code: 'RECONCILIATION_QUERY_ERROR' });
+    }
+});
+
+/**
+ * GET /api/empresas/:empresaId/reconciliacoes
+ * Histórico das reconciliações (mais recentes primeiro, sem a lista de discrepâncias)
+ */
+router.get('/:empresaId/reconciliacoes', exigirPapel(PAPEIS.ADMIN, PAPEIS.FINANCEIRO), async (req, res) => {
+    try {
+        const db = req.app.get('db');
+        const limite = Math.min(parseInt(req.query.limite, 10) || 20, 100);
+
+        const snapshot = await db.collection('empresas').doc(req.params.empresaId)
+            .collection('reconciliacoes')
+            .orderBy('iniciadaEm', 'desc')
+            .limit(limite)
+            .get();
+
+        res.json({
+            reconciliacoes: snapshot.docs.map(doc => {
+                const { discrepancias, ...execucao } = doc.data();
+                return serializarExecucao({
+                    id: doc.id,
+                    ...execucao,
+                    totalDiscrepancias: discrepancias?.length || 0
+                });
+            })
+        });
+
+    } catch (error) {
+        logger.error('Erro ao listar reconciliações', error);
+        res.status(500).json({ error: 'Erro ao listar reconciliações', code: 'RECONCILIATION_QUERY_ERROR' });
+    }
+});
+
+/**
+ * POST /api/empresas/:empresaId/reconciliacoes
+ * Executa a reconciliação da empresa imediatamente
+ */
+router.post('/:empresaId/reconciliacoes', exigirPapel(PAPEIS.ADMIN), async (req, res) => {
+    try {
+        const db = req.app.get('db');
+        const execucao = await reconciliacaoService.reconciliarEmpresa(db, req.params.empresaId, 'manual');
+
+        res.status(execucao.status === 'sucesso' ? 200 : 502).json(serializarExecucao(execucao));
+
+    } catch (error) {
+        logger.error('Erro ao executar reconciliação', error);
+        res.status(500).json({ error: 'Erro ao executar reconciliação', code: 'RECONCILIATION_ERROR' });
+    }
+});
+
+/**
+ * Valida a URL de destino: HTTPS obrigatório em produção
+ * @returns {Object|null} erro de validação
+ */
+function validarUrlWebhook(url) {
+    let destino;
+    try {
+        destino = new URL(url);
+    } catch {
+        return { codigo: 'INVALID_FORMAT', mensagem: 'URL inválida' };
+    }
+
+    const protocolos = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+    if (!protocolos.includes(destino.protocol)) {
+        return { codigo: 'INVALID_FORMAT', mensagem: 'A URL do webhook deve usar HTTPS' };
+    }
+
+    return null;
+}
+
+/**
+ * Recusa URLs cujo host resolve para a rede interna (responde 400 no formato da validação)
+ * @returns {Promise<boolean>} true se a resposta de erro já foi enviada
+ */
+async function recusarDestinoInterno(res, url) {
+    const falha = await destinoWebhook.verificar(url);
+    if (!falha) return false;
+
+    res.status(400).json({
+        error: falha.mensagem,
+        code: 'VALIDATION_ERROR',
+        campos: [{ campo: 'url', codigo: falha.codigo, mensagem: falha.mensagem }]
+    });
+    return true;
+}
+
+const OPCOES_URL_WEBHOOK = { max: 2000, validar: validarUrlWebhook };
+const EVENTO_WEBHOOK = validacao.texto({ opcoes: ['*', ...notificacoes.EVENTOS_COBRANCA] });
+
+const ESQUEMA_WEBHOOK = {
+    url: validacao.texto({ obrigatorio: true, ...OPCOES_URL_WEBHOOK }),
+    eventos: validacao.lista(EVENTO_WEBHOOK, { obrigatorio: true, min: 1 }),
+    descricao: validacao.texto({ max: 200 })
+};
+
+// Alteração parcial: descricao vazia ou null apaga a descrição
+const ESQUEMA_ALTERACAO_WEBHOOK = {
+    url: validacao.texto(OPCOES_URL_WEBHOOK),
+    eventos: validacao.lista(EVENTO_WEBHOOK, { min: 1 }),
+    descricao: validacao.texto({ max: 200, anulavel: true }),
+    ativo: validacao.booleano()
+};
+
+/**
+ * Assinatura sem o segredo
+ */
+function serializarAssinatura(doc) {
+    const { segredo, ...assinatura } = doc.data();
+    return {
+        id: doc.id,
+        ...assinatura,
+        criadoEm: serializarData(assinatura.criadoEm),
+        atualizadoEm: serializarData(assinatura.atualizadoEm)
+    };
+}
+
+function serializarEntrega(doc) {
+    const entrega = doc.data();
+    return {
+        id: doc.id,
+        ...entrega,
+        proximaTentativa: entrega.status === 'pendente' ? serializarData(entrega.proximaTentativa) : null,
+        ultimaTentativaEm: serializarData(entrega.ultimaTentativaEm),
+        entregueEm: serializarData(entrega.entregueEm),
+        criadaEm: serializarData(entrega.criadaEm)
+    };
+}
+
+function webhooksRef(db, empresaId) {
+    return db.collection('empresas').doc(empresaId).collection('webhooks');
+}
+
+/**
+ * GET /api/empresas/:empresaId/webhooks
+ * Lista as assinaturas de webhook da empresa (sem os segredos)
+ */
+router.get('/:empresaId/webhooks', exigirPapel(PAPEIS.ADMIN), async (req, res) => {
+    try {
+        const db = req.app.get('db');
+        const snapshot = await webhooksRef(db, req.params.empresaId).orderBy('criadoEm', 'desc').get();
+
+        res.json({
+            webhooks: snapshot.docs.map(serializarAssinatura),
+            eventosDisponiveis: notificacoes.EVENTOS_COBRANCA
+        });
+
+    } catch (error) {
+        logger.error('Erro ao listar webhooks', error);
+        res.status(500).json({ error: 'Erro ao listar webhooks', code: 'WEBHOOK_QUERY_ERROR' });
+    }
+});
+
+/**
+ * POST /api/empresas/:empresaId/webhooks
+ * Cria uma assinatura { url, eventos, descricao }
+ * O segredo de assinatura é retornado apenas nesta resposta.
+ */
+router.post('/:empresaId/webhooks', exigirPapel(PAPEIS.ADMIN), validacao.validarCorpo(ESQUEMA_WEBHOOK), async (req, res) => {
+    try {
+        const { url, eventos, descricao } = req.body;
+        const db = req.app.get('db');
+
+        if (await recusarDestinoInterno(res, url)) return;
+
+        const segredo = notificacoes.gerarSegredo();
+        const agora = new Date();
+
+        const assinaturaRef = await webhooksRef(db, req.params.empresaId).add({
+            url,
+            eventos,
+            descricao: descricao || null,
+            segredo: encryptionService.encrypt(segredo),
+            ativo: true,
+            criadoEm: agora,
+            criadoPor: req.usuario.uid,
+            atualizadoEm: agora
+        });
+
+        res.status(201).json({
+            ...serializarAssinatura(await assinaturaRef.get()),
+            segredo
+        });
+
+    } catch (error) {
+        logger.error('Erro ao criar webhook', error);
+        res.status(500).json({ error: 'Erro ao criar webhook', code: 'WEBHOOK_SAVE_ERROR' });
+    }
+});
+
+/**
+ * PATCH /api/empresas/:empresaId/webhooks/:id
+ * Altera url, eventos, descricao ou ativo
+ */
+router.patch('/:empresaId/webhooks/:id', exigirPapel(PAPEIS.ADMIN), validacao.validarCorpo(ESQUEMA_ALTERACAO_WEBHOOK), async (req, res) => {
+    try {
+        const { url, eventos, descricao, ativo } = req.body;
+        const db = req.app.get('db');
+        const assinaturaRef = webhooksRef(db, req.params.empresaId).doc(req.params.id);
+
+        if (!(await assinaturaRef.get()).exists) {
+            return res.status(404).json({ error: 'Webhook não encontrado', code: 'WEBHOOK_NOT_FOUND' });
+        }
+
+        if (url !== undefined && await recusarDestinoInterno(res, url)) return;
+
+        const atualizacao = { atualizadoEm: new Date() };
+        if (url !== undefined) atualizacao.url = url;
+        if (eventos !== undefined) atualizacao.eventos = eventos;
+        if (descricao !== undefined) atualizacao.descricao = descricao || null;
+        if (ativo !== undefined) atualizacao.ativo = ativo;
+
+        await assinaturaRef.update(atualizacao);
+
+        res.json(serializarAssinatura(await assinaturaRef.get()));
+
+    } catch (error) {
+        logger.error('Erro ao atualizar webhook', error);
+        res.status(500).json({ error: 'Erro ao atualizar webhook', code: 'WEBHOOK_SAVE_ERROR' });
+    }
+});
+
+/**
+ * POST /api/empresas/:empresaId/webhooks/:id/segredo
+ * Gera um novo segredo de assinatura (o anterior deixa de valer imediatamente)
+ */
+router.post('/:empresaId/webhooks/:id/segredo', exigirPapel(PAPEIS.ADMIN), async (req, res) => {
+    try {
+        const db = req.app.get('db');
+        const assinaturaRef = webhooksRef(db, req.params.empresaId).doc(req.params.id);
+
+        if (!(await assinaturaRef.get()).exists) {
+            return res.status(404).json({ error: 'Webhook não encontrado', code: 'WEBHOOK_NOT_FOUND' });
+        }
+
+        const segredo = notificacoes.gerarSegredo();
+        await assinaturaRef.update({
+            segredo: encryptionService.encrypt(segredo),
+            atualizadoEm: new Date()
+        });
+
+        res.json({ success: true, segredo });
+
+    } catch (error) {
+        logger.error('Erro ao gerar segredo do webhook', error);
+        res.status(500).json({ error: 'Erro ao gerar segredo', code: 'WEBHOOK_SAVE_ERROR' });
+    }
+});
+
+/**
+ * DELETE /api/empresas/:empresaId/webhooks/:id
+ * Remove a assinatura (entregas pendentes deixam de ser enviadas)
+ */
+router.delete('/:empresaId/webhooks/:id', exigirPapel(PAPEIS.ADMIN), async (req, res) => {
+    try {
+        const db = req.app.get('db');
+        const assinaturaRef = webhooksRef(db, req.params.empresaId).doc(req.params.id);
+
+        if (!(await assinaturaRef.get()).exists) {
+            return res.status(404).json({ error: 'Webhook não encontrado', code: 'WEBHOOK_NOT_FOUND' });
+        }
+
+        await assinaturaRef.delete();
+
+        res.json({ success: true, message: 'Webhook removido' });
+
+    } catch (error) {
+        logger.error('Erro ao remover webhook', error);
+        res.status(500).json({ error: 'Erro ao remover webhook', code: 'WEBHOOK_DELETE_ERROR' });
+    }
+});
+
+/**
+ * GET /api/empresas/:empresaId/webhooks/:id/entregas
+ * Registro de entregas (mais recentes primeiro); filtro opcional por status
+ */
+router.get('/:empresaId/webhooks/:id/entregas', exigirPapel(PAPEIS.ADMIN, PAPEIS.FINANCEIRO), async (req, res) => {
+    try {
+        const db = req.app.get('db');
+        const limite = Math.min(parseInt(req.query.limite, 10) || 50, 200);
+
+        let query = webhooksRef(db, req.params.empresaId).doc(req.params.id).collection('entregas');
+        if (req.query.status) {
+            query = query.where('status', '==', String(req.query.status));
+        }
+
+        const snapshot = await query.orderBy('criadaEm', 'desc').limit(limite).get();
+
+        res.json({ entregas: snapshot.docs.map(serializarEntrega) });
+
+    } catch (error) {
+        logger.error('Erro ao listar entregas', error);
+        res.status(500).json({ error: 'Erro ao listar entregas', code: 'WEBHOOK_QUERY_ERROR' });
+    }
+});
+
+/**
+ * POST /api/empresas/:empresaId/webhooks/:id/entregas/:entregaId/reenviar
+ * Reenvia uma entrega (entregue, pendente ou com falha) imediatamente
+ */
+router.post('/:empresaId/webhooks/:id/entregas/:entregaId/reenviar', exigirPapel(PAPEIS.ADMIN), async (req, res) => {
+    try {
+        const db = req.app.get('db');
+        const entregaRef = webhooksRef(db, req.params.empresaId).doc(req.params.id)
+            .collection('entregas').doc(req.params.entregaId);
+
+        if (!(await entregaRef.get()).exists) {
+            return res.status(404).json({ error: 'Entrega não encontrada', code: 'DELIVERY_NOT_FOUND' });
+        }
+
+        await notificacoes.reenviar(db, entregaRef);
+
+        res.json(serializarEntrega(await entregaRef.get()));
+
+    } catch (error) {
+        logger.error('Erro ao reenviar entrega', error);
+        res.status(500).json({ error: 'Erro ao reenviar entrega', code: 'WEBHOOK_REDELIVERY_ERROR' });
+    }
+});
+
+/**
+ * Timestamps em ISO 8601 em todo o evento (estados antes/depois incluídos)
+ */
+function serializarEstado(valor) {
+    if (valor && typeof valor.toDate === 'function') return valor.toDate().toISOString();
+    if (valor instanceof Date) return valor.toISOString();
+    if (Array.isArray(valor)) return valor.map(serializarEstado);
+    if (valor && typeof valor === 'object') {
+        return Object.fromEntries(Object.entries(valor).map(([campo, item]) => [campo, serializarEstado(item)]));
+    }
+    return valor;
+}
+
+/**
+ * Data do filtro de auditoria (YYYY-MM-DD ou ISO 8601)
+ * @returns {Date|null} null se inválida
+ */
+function converterDataFiltro(texto) {
+    const data = new Date(String(texto));
+    return isNaN(data.getTime()) ? null : data;
+}
+
+/**
+ * GET /api/empresas/:empresaId/auditoria
+ * Eventos de auditoria (mais recentes primeiro)
+ * Filtros: acao, recursoId, uid, criadoDe/criadoAte. Paginação: limite (até 200) e cursor
+ */
+router.get('/:empresaId/auditoria', exigirPapel(PAPEIS.ADMIN), async (req, res) => {
+    try {
+        const { acao, recursoId, uid, criadoDe, criadoAte, cursor } = req.query;
+        const db = req.app.get('db');
+        const limite = Math.min(parseInt(req.query.limite, 10) || 50, 200);
+
+        const auditoriaRef = db.collection('empresas').doc(req.params.empresaId).collection('auditoria');
+        let query = auditoriaRef;
+
+        if (acao) query = query.where('acao', '==', String(acao));
+        if (recursoId) query = query.where('recurso.id', '==', String(recursoId));
+        if (uid) query = query.where('ator.uid', '==', String(uid));
+
+        for (const [texto, operador] of [[criadoDe, '>='], [criadoAte, '<=']]) {
+            if (!texto) continue;
+
+            const data = converterDataFiltro(texto);
+            if (!data) {
+                return res.status(400).json({ error: `Data inválida: ${texto}`, code: 'INVALID_FILTER' });
+            }
+            query = query.where('criadoEm', operador, data);
+        }
+
+        // Desempate pelo id do documento mantém a paginação estável
+        let pagina = query.orderBy('criadoEm', 'desc').orderBy(FieldPath.documentId(), 'desc');
+
+        if (cursor) {
+            const cursorDoc = await auditoriaRef.doc(String(cursor)).get();
+
+            if (!cursorDoc.exists) {
+                return res.status(400).json({ error: 'Cursor inválido', code: 'INVALID_CURSOR' });
+            }
+            pagina = pagina.startAfter(cursorDoc);
+        }
+
+        const snapshot = await pagina.limit(limite + 1).get();
+        const docs = snapshot.docs.slice(0, limite);
+
+        res.json({
+            eventos: docs.map(doc => ({ id: doc.id, ...serializarEstado(doc.data()) })),
+            proximoCursor: snapshot.docs.length > limite ? docs[docs.length - 1].id : null
+        });
+
+    } catch (error) {
+        // FAILED_PRECONDITION: combinação de filtros sem índice composto
+        if (error.code === 9) {
+            logger.error('Índice ausente para consulta de auditoria', { erro: error.message });
+            return res.status(400).json({
+                error: 'Combinação de filtros não suportada (índice ausente)',
+                code: 'INDEX_REQUIRED'
+            });
+        }
+
+        logger.error('Erro ao consultar auditoria', error);
+        res.status(500).json({ error: 'Erro ao consultar auditoria', code: 'AUDIT_QUERY_ERROR' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+/**
+ * Rotas de Faturas (invoices)
+ * Status da cobrança de uma fatura para o checkout (pix-checkout.js)
+ *
+ * - GET /status: consulta pontual
+ * - GET /events: Server-Sent Events com as mudanças de status em tempo real
+ *   (webhook, reconciliação e expiração gravam no Firestore; o stream escuta a fatura
+ *   com onSnapshot em vez de o checkout consultar repetidamente)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { autenticar, autenticarStream, exigirPapel } = require('../middleware/auth');
+const logger = require('../services/logger');
+
+const MAX_STREAMS_POR_EMPRESA = parseInt(process.env.SSE_MAX_STREAMS_POR_EMPRESA, 10) || 50;
+const HEARTBEAT_SEG = parseInt(process.env.SSE_HEARTBEAT_SEG, 10) || 25;
+
+// Intervalo de reconexão sugerido ao EventSource
+const RETRY_MS = 5000;
+
+// Streams abertos por empresa (neste processo)
+const streamsAbertos = new Map();
+
+function paraData(valor) {
+    if (!valor) return null;
+    return typeof valor.toDate === 'function' ? valor.toDate() : new Date(valor);
+}
+
+/**
+ * Resume a fatura pela cobrança mais recente (com reemissão, a fatura pode ter várias)
+ * Cobranças pendentes com prazo encerrado já aparecem como expiradas, antes da
+ * verificação periódica gravar o status.
+ * @returns {Object|null}
+ */
+function resumirFatura(invoiceId, docs) {
+    if (docs.length === 0) return null;
+
+    const cobrancaDoc = [...docs].sort((a, b) =>
+        (paraData(b.data().criadaEm)?.getTime() ?? 0) - (paraData(a.data().criadaEm)?.getTime() ?? 0)
+    )[0];
+    const cobranca = cobrancaDoc.data();
+
+    const status = cobranca.status || 'pendente';
+    const expiraEm = paraData(cobranca.expiraEm);
+    const expirada = status === 'pendente' && expiraEm && expiraEm <= new Date();
+
+    return {
+        invoiceId,
+        cobrancaId: cobrancaDoc.id,
+        status: expirada ? 'expirada' : status,
+        valor: cobranca.valor,
+        dataPagamento: paraData(cobranca.dataPagamento)?.toISOString() || null,
+        txid: cobranca.txid || null,
+        qrcode: cobranca.qrcode || null,
+        expiraEm: expiraEm ? expiraEm.toISOString() : null
+    };
+}
+
+function consultaFatura(db, empresaId, invoiceId) {
+    return db.collection('empresas').doc(empresaId)
+        .collection('cobrancas').where('invoiceId', '==', invoiceId);
+}
+
+/**
+ * GET /api/invoices/:invoiceId/status - Status da cobrança da fatura
+ * (compatibilidade com pix-checkout.js existente)
+ */
+router.get('/:invoiceId/status', autenticar, exigirPapel(), async (req, res) => {
+    try {
+        const { invoiceId } = req.params;
+        const db = req.app.get('db');
+
+        const snapshot = await consultaFatura(db, req.query.empresaId, invoiceId).get();
+        const resumo = resumirFatura(invoiceId, snapshot.docs);
+
+        if (!resumo) {
+            return res.status(404).json({ error: 'Cobrança não encontrada' });
+        }
+
+        res.json(resumo);
+
+    } catch (error) {
+        logger.error('Erro ao consultar status', error);
+        res.status(500).json({ error: 'Erro interno ao consultar status' });
+    }
+});
+
+/**
+ * GET /api/invoices/:invoiceId/events - Stream SSE do status da fatura
+ *
+ * Eventos:
+ * - status: resumo da fatura (mesmo formato de /status), enviado ao conectar e a cada mudança;
+ *   o id do evento (cobrancaId:status) permite ao EventSource retomar com Last-Event-ID
+ *   sem receber de novo o último status
+ * - erro: falha ao escutar a fatura (o stream é encerrado)
+ * Comentários periódicos (": heartbeat") mantêm a conexão aberta em proxies.
+ *
+ * O token pode ser enviado em ?token= (EventSource não permite cabeçalhos).
+ */
+router.get('/:invoiceId/events', autenticarStream, exigirPapel(), (req, res) => {
+    const { invoiceId } = req.params;
+    const empresaId = req.usuario.empresaId;
+    const db = req.app.get('db');
+
+    const abertos = streamsAbertos.get(empresaId) || 0;
+    if (abertos >= MAX_STREAMS_POR_EMPRESA) {
+        return res.status(429).json({
+            error: 'Limite de conexões em tempo real atingido para a empresa',
+            code: 'STREAM_LIMIT_REACHED'
+        });
+    }
+    streamsAbertos.set(empresaId, abertos + 1);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Desativa o buffer de proxies (nginx)
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    let ultimoId = req.get('Last-Event-ID') || null;
+    let timerExpiracao = null;
+    let encerrado = false;
+
+    const enviar = (resumo) => {
+        const id = `${resumo.cobrancaId}:${resumo.status}`;
+        if (id === ultimoId) return;
+
+        ultimoId = id;
+        res.write(`id: ${id}\nevent: status\ndata: ${JSON.stringify(resumo)}\n\n`);
+    };
+
+    // Sem gravação no Firestore, a passagem do prazo não dispara o onSnapshot
+    const agendarExpiracao = (resumo) => {
+        clearTimeout(timerExpiracao);
+        timerExpiracao = null;
+
+        if (resumo.status !== 'pendente' || !resumo.expiraEm) return;
+
+        const espera = new Date(resumo.expiraEm).getTime() - Date.now();
+        timerExpiracao = setTimeout(() => enviar({ ...resumo, status: 'expirada' }), Math.max(espera, 0) + 1000);
+    };
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_SEG * 1000);
+
+    const encerrar = () => {
+        if (encerrado) return;
+        encerrado = true;
+
+        clearInterval(heartbeat);
+        clearTimeout(timerExpiracao);
+        cancelarEscuta();
+        streamsAbertos.set(empresaId, (streamsAbertos.get(empresaId) || 1) - 1);
+        res.end();
+    };
+
+    const cancelarEscuta = consultaFatura(db, empresaId, invoiceId).onSnapshot(
+        (snapshot) => {
+            const resumo = resumirFatura(invoiceId, snapshot.docs);
+            if (!resumo || encerrado) return;
+
+            enviar(resumo);
+            agendarExpiracao(resumo);
+        },
+        (error) => {
+            logger.error('Erro no stream da fatura', { invoiceId, erro: error.message });
+            res.write(`event: erro\ndata: ${JSON.stringify({ error: 'Erro ao acompanhar a fatura', code: 'STREAM_ERROR' })}\n\n`);
+            encerrar();
+        }
+    );
+
+    req.on('close', encerrar);
+});
+
+module.exports = router;
@@ -4,108 +4,200 @@
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
-const interBankService = require('../services/interBank');
+const cobrancaIndex = require('../services/cobrancaIndex');
+const cobrancaStatus = require('../services/cobrancaStatus');
+const expiracaoService = require('../services/expiracao');
+const notificacoes = require('../services/notificacoes');
+const auditoria = require('../services/auditoria');
+const { idempotencia } = require('../middleware/idempotency');
+const validacao = require('../middleware/validacao');
+const { exigirPapel, PAPEIS } = require('../middleware/auth');
+const { loadBankConfig, loadBankConfigDaCobranca } = require('../middleware/bankConfig');
+const logger = require('../services/logger');
+
+// txid da rota entra no contexto dos logs da requisição
+router.param('txid', (req, res, next, txid) => {
+    logger.definirContexto({ txid });
+    next();
+});
+
+// Limite do solicitacaoPagador e da descrição da devolução no Inter
+const DESCRICAO_MAX = 140;
+
+const ESQUEMA_COB = {
+    ...validacao.CAMPOS_ESCOPO,
+    valor: validacao.valor({ obrigatorio: true }),
+    descricao: validacao.texto({ max: DESCRICAO_MAX }),
+    pagador: validacao.pagador({ obrigatorio: true }),
+    expiracao: validacao.inteiro({ min: 1 }),
+    invoiceId: validacao.identificador()
+};
+
+const ESQUEMA_COBV = {
+    ...validacao.CAMPOS_ESCOPO,
+    valor: validacao.valor({ obrigatorio: true }),
+    descricao: validacao.texto({ max: DESCRICAO_MAX }),
+    pagador: validacao.pagador({ obrigatorio: true }),
+    vencimento: validacao.data({ obrigatorio: true, aPartirDeHoje: true }),
+    diasAposVencimento: validacao.inteiro({ min: 0 }),
+    invoiceId: validacao.identificador()
+};
+
+const ESQUEMA_REVISAO = {
+    ...validacao.CAMPOS_ESCOPO,
+    valor: validacao.valor(),
+    expiracao: validacao.inteiro({ min: 1 }),
+    vencimento: validacao.data({ aPartirDeHoje: true }),
+    diasAposVencimento: validacao.inteiro({ min: 0 }),
+    pagador: validacao.pagador()
+};
+
+const ESQUEMA_CANCELAMENTO = {
+    ...validacao.CAMPOS_ESCOPO,
+    motivo: validacao.texto({ max: DESCRICAO_MAX })
+};
+
+const ESQUEMA_DEVOLUCAO = {
+    ...validacao.CAMPOS_ESCOPO,
+    valor: validacao.valor(),
+    descricao: validacao.texto({ max: DESCRICAO_MAX })
+};
 
 /**
- * Middleware para carregar configuração bancária da empresa
+ * Busca a cobrança PIX da empresa pelo txid
  */
-async function loadBankConfig(req, res, next) {
-    try {
-        const empresaId = req.body.empresaId || req.query.empresaId || req.params.empresaId;
+async function buscarCobrancaPix(db, empresaId, txid) {
+    const snapshot = await db.collection('empresas').doc(empresaId)
+        .collection('cobrancas').where('txid', '==', txid).limit(1).get();
 
-        if (!empresaId) {
-            return res.status(400).json({
-                error: 'empresaId é obrigatório',
-                code: 'MISSING_COMPANY_ID'
-            });
-        }
-
-        const db = req.app.get('db');
-        const configRef = db.collection('empresas').doc(empresaId)
-            .collection('configuracaoBancaria').doc('inter');
+    return snapshot.empty ? null : snapshot.docs[0];
+}
 
-        const configDoc = await configRef.get();
+/**
+ * Reserva o valor da devolução na cobrança antes de chamar o banco
+ * A entrada RESERVADA entra em devolucoes dentro de uma transação, então devoluções
+ * concorrentes enxergam o saldo já reduzido e não devolvem mais que o valor pago.
+ * Sem valor, reserva todo o saldo disponível.
+ * @returns {Promise<Object>} { cobranca, devolucao } ou { erro } com o corpo da resposta 400
+ */
+function reservarDevolucao(db, cobrancaRef, { id, valor, descricao, solicitadoPor }) {
+    return db.runTransaction(async (transaction) => {
+        const cobranca = (await transaction.get(cobrancaRef)).data();
+
+        if (!['paga', 'parcialmente_devolvida'].includes(cobranca.status)) {
+            return {
+                erro: {
+                    error: `Cobrança com status ${cobranca.status} não pode ser devolvida`,
+                    code: 'REFUND_NOT_ALLOWED'
+                }
+            };
+        }
 
-        if (!configDoc.exists) {
-            return res.status(404).json({
-                error: 'Configuração bancária não encontrada para esta empresa',
-                code: 'BANK_CONFIG_NOT_FOUND',
-                message: 'Configure as credenciais do Banco Inter em Configurações > Integrações Bancárias'
-            });
+        // Devoluções reservadas ou em processamento também ocupam saldo
+        const valorReservado = (cobranca.devolucoes || [])
+            .filter(devolucao => devolucao.status !== 'NAO_REALIZADO')
+            .reduce((total, devolucao) => total + devolucao.valor, 0);
+        const saldo = Math.round(((cobranca.valorPago ?? cobranca.valor) - valorReservado) * 100) / 100;
+        const valorDevolucao = valor ?? saldo;
+
+        if (!(valorDevolucao > 0) || valorDevolucao > saldo) {
+            return {
+                erro: {
+                    error: `Valor de devolução inválido (saldo disponível: ${saldo.toFixed(2)})`,
+                    code: 'INVALID_REFUND_AMOUNT'
+                }
+            };
         }
 
-        const config = configDoc.data();
+        const devolucao = {
+            id,
+            valor: valorDevolucao,
+            status: 'RESERVADA',
+            descricao,
+            solicitadoPor,
+            solicitadaEm: new Date()
+        };
 
-        if (!config.ativo) {
-            return res.status(400).json({
-                error: 'Integração bancária está desativada',
-                code: 'BANK_INTEGRATION_DISABLED'
-            });
-        }
+        transaction.update(cobrancaRef, { devolucoes: [...(cobranca.devolucoes || []), devolucao] });
 
-        // Adiciona ID da empresa ao config
-        config.id = empresaId;
-        req.bankConfig = config;
-        next();
+        return { cobranca, devolucao };
+    });
+}
 
-    } catch (error) {
-        console.error('Erro ao carregar config bancária:', error);
-        res.status(500).json({
-            error: 'Erro ao carregar configuração bancária',
-            code: 'BANK_CONFIG_ERROR'
+/**
+ * Remove a reserva quando a devolução não chegou a ser aceita pelo banco
+ */
+async function liberarReservaDevolucao(db, cobrancaRef, id) {
+    try {
+        await db.runTransaction(async (transaction) => {
+            const cobranca = (await transaction.get(cobrancaRef)).data();
+            transaction.update(cobrancaRef, {
+                devolucoes: (cobranca.devolucoes || []).filter(devolucao => devolucao.id !== id)
+            });
         });
+    } catch (error) {
+        logger.error('Erro ao liberar reserva de devolução', { devolucaoId: id, erro: error.message });
     }
 }
 
+// Rotas de uma cobrança existente usam o banco que a emitiu
+const loadBankConfigDaCobrancaPix = loadBankConfigDaCobranca((db, empresaId, { txid }) => buscarCobrancaPix(db, empresaId, txid));
+
+/**
+ * Gera o id da devolução (até 35 caracteres alfanuméricos, exigido pelo Bacen)
+ */
+function gerarIdDevolucao() {
+    return `D${Date.now()}${crypto.randomBytes(8).toString('hex')}`;
+}
+
 /**
  * POST /api/pix/cob - Criar cobrança PIX imediata
  */
-router.post('/cob', loadBankConfig, async (req, res) => {
+router.post('/cob', exigirPapel(PAPEIS.ADMIN, PAPEIS.FINANCEIRO), auditoria.middleware('pix.cob.criar', 'cobranca'), validacao.validarCorpo(ESQUEMA_COB), loadBankConfig, idempotencia('pix.cob'), async (req, res) => {
     try {
-        const { valor, descricao, pagador, expiracao } = req.body;
-
-        // Validações
-        if (!valor || valor <= 0) {
-            return res.status(400).json({ error: 'Valor inválido' });
-        }
-
-        if (!pagador || (!pagador.cpf && !pagador.cnpj)) {
-            return res.status(400).json({ error: 'CPF ou CNPJ do pagador é obrigatório' });
-        }
-
-        if (!pagador.nome) {
-            return res.status(400).json({ error: 'Nome do pagador é obrigatório' });
-        }
+        const { valor, descricao, pagador, expiracao, invoiceId } = req.body;
 
         // Cria cobrança no Banco Inter
-        const resultado = await interBankService.criarPixImediato(req.bankConfig, {
-            valor: parseFloat(valor),
+        const resultado = await req.bankProvider.criarPixImediato(req.bankConfig, {
+            valor,
             descricao,
             pagador,
             expiracao: expiracao || 3600
         });
+        await req.idempotencia?.registrarResultadoBanco(resultado);
 
         // Salva cobrança no Firestore
         const db = req.app.get('db');
         const empresaId = req.bankConfig.id;
 
-        await db.collection('empresas').doc(empresaId)
-            .collection('cobrancas').add({
-                tipo: 'pix',
-                tipoCobranca: 'imediata',
-                txid: resultado.txid,
-                invoiceId: req.body.invoiceId || resultado.txid,
-                valor: parseFloat(valor),
-                descricao,
-                pagador,
-                status: 'pendente',
-                qrcode: resultado.qrcode,
-                imagemQrcode: resultado.imagemQrcode,
-                banco: 'inter',
-                criadaEm: new Date(),
-                expiracao: resultado.expiracao
-            });
+        const criadaEm = new Date();
+
+        const cobranca = {
+            tipo: 'pix',
+            tipoCobranca: 'imediata',
+            txid: resultado.txid,
+            invoiceId: invoiceId || resultado.txid,
+            valor,
+            descricao: descricao || null,
+            pagador,
+            pagadorDocumento: pagador.cnpj || pagador.cpf,
+            status: 'pendente',
+            qrcode: resultado.qrcode,
+            imagemQrcode: resultado.imagemQrcode,
+            banco: req.bankProvider.id,
+            criadaEm,
+            expiracao: resultado.expiracao,
+            expiraEm: expiracaoService.calcularExpiraEm({ tipoCobranca: 'imediata', criadaEm, expiracao: resultado.expiracao })
+        };
+
+        const docRef = await db.collection('empresas').doc(empresaId)
+            .collection('cobrancas').add(cobranca);
+
+        res.locals.auditoria = { recursoId: docRef.id, depois: cobranca };
+
+        await cobrancaIndex.registrar(db, docRef, req.bankConfig.banco, { txid: resultado.txid });
 
         res.json({
             success: true,
@@ -117,10 +209,10 @@ router.post('/cob', loadBankConfig, async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Erro ao criar PIX imediato:', error);
-        res.status(500).json({
+        logger.error('Erro ao criar PIX imediato', error);
+        res.status(error.code === 'OPERATION_NOT_SUPPORTED' ? 400 : 500).json({
             error: error.message || 'Erro ao gerar cobrança PIX',
-            code: 'PIX_CREATION_ERROR'
+            code: error.code === 'OPERATION_NOT_SUPPORTED' ? error.code : 'PIX_CREATION_ERROR'
         });
     }
 });
@@ -128,65 +220,56 @@ router.post('/cob', loadBankConfig, async (req, res) => {
 /**
  * POST /api/pix/cobv - Criar cobrança PIX com vencimento
  */
-router.post('/cobv', loadBankConfig, async (req, res) => {
+router.post('/cobv', exigirPapel(PAPEIS.ADMIN, PAPEIS.FINANCEIRO), auditoria.middleware('pix.cobv.criar', 'cobranca'), validacao.validarCorpo(ESQUEMA_COBV), loadBankConfig, idempotencia('pix.cobv'), async (req, res) => {
     try {
-        let { valor, descricao, pagador, vencimento, diasAposVencimento, invoiceId } = req.body;
-
-        console.log('📥 Requisição PIX recebida:', { valor, vencimento, pagador, descricao });
-
-        // Validações
-        if (!valor || valor <= 0) {
-            return res.status(400).json({ error: 'Valor inválido' });
-        }
-
-        if (!vencimento) {
-            return res.status(400).json({ error: 'Data de vencimento é obrigatória' });
-        }
-
-        if (!pagador || (!pagador.cpf && !pagador.cnpj)) {
-            return res.status(400).json({ error: 'CPF ou CNPJ do pagador é obrigatório' });
-        }
-
-        // Converte data de DD/MM/YYYY para YYYY-MM-DD se necessário
-        if (vencimento.includes('/')) {
-            const partes = vencimento.split('/');
-            if (partes.length === 3) {
-                vencimento = `${partes[2]}-${partes[1].padStart(2, '0')}-${partes[0].padStart(2, '0')}`;
-                console.log('📅 Data convertida para:', vencimento);
-            }
-        }
+        const { valor, descricao, pagador, vencimento, invoiceId } = req.body;
+        const diasAposVencimento = req.body.diasAposVencimento ?? 30;
 
-        console.log('🔄 Chamando interBankService.criarPixVencimento...');
+        logger.debug('Requisição PIX com vencimento recebida', { valor, vencimento, pagador, descricao });
 
         // Cria cobrança no Banco Inter
-        const resultado = await interBankService.criarPixVencimento(req.bankConfig, {
-            valor: parseFloat(valor),
+        const resultado = await req.bankProvider.criarPixVencimento(req.bankConfig, {
+            valor,
             descricao,
             pagador,
             vencimento,
-            diasAposVencimento: diasAposVencimento || 30
+            diasAposVencimento
         });
+        await req.idempotencia?.registrarResultadoBanco(resultado);
 
         // Salva cobrança no Firestore
         const db = req.app.get('db');
         const empresaId = req.bankConfig.id;
 
-        await db.collection('empresas').doc(empresaId)
-            .collection('cobrancas').add({
-                tipo: 'pix',
+        const cobranca = {
+            tipo: 'pix',
+            tipoCobranca: 'vencimento',
+            txid: resultado.txid,
+            invoiceId: invoiceId || resultado.txid,
+            valor,
+            descricao: descricao || null,
+            pagador,
+            pagadorDocumento: pagador.cnpj || pagador.cpf,
+            vencimento,
+            diasAposVencimento,
+            expiraEm: expiracaoService.calcularExpiraEm({
                 tipoCobranca: 'vencimento',
-                txid: resultado.txid,
-                invoiceId: invoiceId || resultado.txid,
-                valor: parseFloat(valor),
-                descricao,
-                pagador,
                 vencimento,
-                status: 'pendente',
-                qrcode: resultado.qrcode,
-                imagemQrcode: resultado.imagemQrcode,
-                banco: 'inter',
-                criadaEm: new Date()
-            });
+                diasAposVencimento
+            }),
+            status: 'pendente',
+            qrcode: resultado.qrcode,
+            imagemQrcode: resultado.imagemQrcode,
+            banco: req.bankProvider.id,
+            criadaEm: new Date()
+        };
+
+        const docRef = await db.collection('empresas').doc(empresaId)
+            .collection('cobrancas').add(cobranca);
+
+        res.locals.auditoria = { recursoId: docRef.id, depois: cobranca };
+
+        await cobrancaIndex.registrar(db, docRef, req.bankConfig.banco, { txid: resultado.txid });
 
         res.json({
             success: true,
@@ -199,10 +282,10 @@ router.post('/cobv', loadBankConfig, async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Erro ao criar PIX com vencimento:', error);
-        res.status(500).json({
+        logger.error('Erro ao criar PIX com vencimento', error);
+        res.status(error.code === 'OPERATION_NOT_SUPPORTED' ? 400 : 500).json({
             error: error.message || 'Erro ao gerar cobrança PIX',
-            code: 'PIX_CREATION_ERROR'
+            code: error.code === 'OPERATION_NOT_SUPPORTED' ? error.code : 'PIX_CREATION_ERROR'
         });
     }
 });
@@ -210,40 +293,308 @@ router.post('/cobv', loadBankConfig, async (req, res) => {
 /**
  * GET /api/pix/:txid - Consultar status de cobrança PIX
  */
-router.get('/:txid', loadBankConfig, async (req, res) => {
+router.get('/:txid', exigirPapel(), loadBankConfigDaCobrancaPix, async (req, res) => {
     try {
         const { txid } = req.params;
-        const tipo = req.query.tipo || 'cob';
+        const tipo = req.query.tipo || (req.cobrancaDoc.data().tipoCobranca === 'vencimento' ? 'cobv' : 'cob');
 
-        const resultado = await interBankService.consultarPix(req.bankConfig, txid, tipo);
+        const resultado = await req.bankProvider.consultarPix(req.bankConfig, txid, tipo);
 
-        // Atualiza status no Firestore se mudou
+        // Atualiza status no Firestore se mudou (cobrança devolvida continua CONCLUIDA no banco)
         if (resultado.status === 'paga') {
             const db = req.app.get('db');
-            const empresaId = req.bankConfig.id;
-
-            const cobrancaRef = db.collection('empresas').doc(empresaId)
-                .collection('cobrancas').where('txid', '==', txid);
+            const cobrancaDoc = req.cobrancaDoc;
 
-            const snapshot = await cobrancaRef.get();
-
-            if (!snapshot.empty) {
-                const docRef = snapshot.docs[0].ref;
-                await docRef.update({
+            if (!cobrancaStatus.STATUS_DEVOLUCAO.includes(cobrancaDoc.data().status)) {
+                const atualizacao = {
                     status: 'paga',
                     dataPagamento: new Date(),
                     pixRecebidos: resultado.pix
-                });
+                };
+                await cobrancaDoc.ref.update(atualizacao);
+                await notificacoes.publicarMudancaCobranca(db, cobrancaDoc.ref, cobrancaDoc.data(), atualizacao);
             }
         }
 
         res.json(resultado);
 
     } catch (error) {
-        console.error('Erro ao consultar PIX:', error);
-        res.status(500).json({
+        logger.error('Erro ao consultar PIX', error);
+        res.status(error.code === 'OPERATION_NOT_SUPPORTED' ? 400 : 500).json({
             error: error.message || 'Erro ao consultar cobrança',
-            code: 'PIX_QUERY_ERROR'
+            code: error.code === 'OPERATION_NOT_SUPPORTED' ? error.code : 'PIX_QUERY_ERROR'
+        });
+    }
+});
+
+/**
+ * PATCH /api/pix/:txid - Revisar cobrança PIX pendente
+ * Aceita valor, pagador e, conforme o tipo, expiracao (imediata) ou vencimento/diasAposVencimento
+ */
+router.patch('/:txid', exigirPapel(PAPEIS.ADMIN, PAPEIS.FINANCEIRO), auditoria.middleware('pix.revisar', 'cobranca'), validacao.validarCorpo(ESQUEMA_REVISAO), loadBankConfigDaCobrancaPix, async (req, res) => {
+    try {
+        const { txid } = req.params;
+        const { valor, expiracao, vencimento, diasAposVencimento, pagador } = req.body;
+        const db = req.app.get('db');
+
+        const cobrancaDoc = req.cobrancaDoc;
+        const cobranca = cobrancaDoc.data();
+        const imediata = cobranca.tipoCobranca !== 'vencimento';
+        res.locals.auditoria = { recursoId: cobrancaDoc.id, antes: cobrancaDoc.data() };
+
+        if (cobranca.status !== 'pendente') {
+            return res.status(400).json({
+                error: `Cobrança com status ${cobranca.status} não pode ser alterada`,
+                code: 'CHARGE_NOT_EDITABLE'
+            });
+        }
+
+        if (imediata && (vencimento !== undefined || diasAposVencimento !== undefined)) {
+            return res.status(400).json({ error: 'Cobrança imediata não possui vencimento; use expiracao' });
+        }
+
+        if (!imediata && expiracao !== undefined) {
+            return res.status(400).json({ error: 'Cobrança com vencimento não possui expiracao; use vencimento' });
+        }
+
+        const alteracoes = {};
+        if (valor !== undefined) alteracoes.valor = valor;
+        if (expiracao !== undefined) alteracoes.expiracao = expiracao;
+        if (vencimento !== undefined) alteracoes.vencimento = vencimento;
+        if (diasAposVencimento !== undefined) alteracoes.diasAposVencimento = diasAposVencimento;
+        if (pagador) alteracoes.pagador = pagador;
+
+        if (Object.keys(alteracoes).length === 0) {
+            return res.status(400).json({ error: 'Nenhuma alteração informada' });
+        }
+
+        const resultado = await req.bankProvider.revisarPix(req.bankConfig, cobranca, alteracoes);
+
+        // Histórico com valor anterior e novo de cada campo alterado
+        const campos = {};
+        for (const [campo, novo] of Object.entries(alteracoes)) {
+            campos[campo] = { de: cobranca[campo] ?? null, para: novo };
+        }
+
+        const revisoes = [...(cobranca.revisoes || []), {
+            tipo: 'alteracao',
+            revisao: resultado.revisao,
+            campos,
+            alteradoPor: req.usuario?.uid || null,
+            alteradoEm: new Date()
+        }];
+
+        const atualizacao = { ...alteracoes, revisoes, atualizadaEm: new Date() };
+        if (pagador) atualizacao.pagadorDocumento = pagador.cnpj || pagador.cpf;
+        if (alteracoes.expiracao || alteracoes.vencimento || alteracoes.diasAposVencimento !== undefined) {
+            atualizacao.expiraEm = expiracaoService.calcularExpiraEm({ ...cobranca, ...alteracoes });
+        }
+        if (resultado.revisao !== null) atualizacao.revisao = resultado.revisao;
+        if (resultado.qrcode) {
+            atualizacao.qrcode = resultado.qrcode;
+            atualizacao.imagemQrcode = resultado.imagemQrcode;
+        }
+
+        await cobrancaDoc.ref.update(atualizacao);
+        res.locals.auditoria.depois = { ...cobranca, ...atualizacao };
+
+        res.json({
+            success: true,
+            txid,
+            revisao: resultado.revisao,
+            status: resultado.status,
+            qrcode: atualizacao.qrcode || cobranca.qrcode,
+            alteracoes: campos
+        });
+
+    } catch (error) {
+        logger.error('Erro ao revisar PIX', error);
+        res.status(error.code === 'OPERATION_NOT_SUPPORTED' ? 400 : 500).json({
+            error: error.message || 'Erro ao revisar cobrança',
+            code: error.code === 'OPERATION_NOT_SUPPORTED' ? error.code : 'PIX_UPDATE_ERROR'
+        });
+    }
+});
+
+/**
+ * DELETE /api/pix/:txid - Cancelar cobrança PIX pendente
+ */
+router.delete('/:txid', exigirPapel(PAPEIS.ADMIN, PAPEIS.FINANCEIRO), auditoria.middleware('pix.cancelar', 'cobranca'), validacao.validarCorpo(ESQUEMA_CANCELAMENTO), loadBankConfigDaCobrancaPix, async (req, res) => {
+    try {
+        const { txid } = req.params;
+        const motivo = req.body.motivo || req.query.motivo || null;
+        const db = req.app.get('db');
+
+        const cobrancaDoc = req.cobrancaDoc;
+        const cobranca = cobrancaDoc.data();
+        res.locals.auditoria = { recursoId: cobrancaDoc.id, antes: cobrancaDoc.data(), detalhes: { motivo } };
+
+        if (cobranca.status !== 'pendente') {
+            return res.status(400).json({
+                error: `Cobrança com status ${cobranca.status} não pode ser cancelada`,
+                code: 'CHARGE_NOT_EDITABLE'
+            });
+        }
+
+        const resultado = await req.bankProvider.cancelarPix(req.bankConfig, cobranca);
+
+        const revisoes = [...(cobranca.revisoes || []), {
+            tipo: 'cancelamento',
+            revisao: resultado.revisao,
+            motivo,
+            alteradoPor: req.usuario?.uid || null,
+            alteradoEm: new Date()
+        }];
+
+        const atualizacao = {
+            status: 'cancelada',
+            situacaoBanco: resultado.status,
+            dataCancelamento: new Date(),
+            motivoCancelamento: motivo,
+            revisoes
+        };
+        if (resultado.revisao !== null) atualizacao.revisao = resultado.revisao;
+
+        await cobrancaDoc.ref.update(atualizacao);
+        res.locals.auditoria.depois = { ...cobranca, ...atualizacao };
+        await notificacoes.publicarMudancaCobranca(db, cobrancaDoc.ref, cobranca, atualizacao);
+
+        res.json({
+            success: true,
+            txid,
+            status: 'cancelada',
+            situacaoBanco: resultado.status
+        });
+
+    } catch (error) {
+        logger.error('Erro ao cancelar PIX', error);
+        res.status(error.code === 'OPERATION_NOT_SUPPORTED' ? 400 : 500).json({
+            error: error.message || 'Erro ao cancelar cobrança',
+            code: error.code === 'OPERATION_NOT_SUPPORTED' ? error.code : 'PIX_CANCEL_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/pix/:txid/devolucao - Solicitar devolução (total ou parcial) de PIX recebido
+ * Sem valor, devolve o saldo ainda não devolvido.
+ */
+router.post('/:txid/devolucao', exigirPapel(PAPEIS.ADMIN, PAPEIS.FINANCEIRO), auditoria.middleware('pix.devolucao.solicitar', 'cobranca'), validacao.validarCorpo(ESQUEMA_DEVOLUCAO), loadBankConfigDaCobrancaPix, idempotencia('pix.devolucao'), async (req, res) => {
+    try {
+        const { txid } = req.params;
+        const { valor, descricao } = req.body;
+        const db = req.app.get('db');
+
+        const cobrancaDoc = req.cobrancaDoc;
+        res.locals.auditoria = { recursoId: cobrancaDoc.id, antes: cobrancaDoc.data() };
+
+        const reserva = await reservarDevolucao(db, cobrancaDoc.ref, {
+            id: gerarIdDevolucao(),
+            valor,
+            descricao: descricao || null,
+            solicitadoPor: req.usuario?.uid || null
+        });
+
+        if (reserva.erro) {
+            return res.status(400).json(reserva.erro);
+        }
+
+        const { cobranca, devolucao: reservada } = reserva;
+        let devolucao;
+
+        try {
+            // Pagamentos anteriores ao registro do endToEndId: busca no banco
+            if (!cobranca.endToEndId) {
+                const consulta = await req.bankProvider.consultarPix(req.bankConfig, txid, cobranca.tipoCobranca === 'vencimento' ? 'cobv' : 'cob');
+                const endToEndId = consulta.pix?.[0]?.endToEndId;
+
+                if (endToEndId) {
+                    cobranca.endToEndId = endToEndId;
+                    await cobrancaDoc.ref.update({ endToEndId });
+                    await cobrancaIndex.registrar(db, cobrancaDoc.ref, req.bankConfig.banco, { endToEndId });
+                }
+            }
+
+            devolucao = await req.bankProvider.solicitarDevolucao(req.bankConfig, cobranca, {
+                id: reservada.id,
+                valor: reservada.valor,
+                descricao
+            });
+        } catch (error) {
+            await liberarReservaDevolucao(db, cobrancaDoc.ref, reservada.id);
+            throw error;
+        }
+
+        await req.idempotencia?.registrarResultadoBanco(devolucao);
+
+        devolucao.descricao = reservada.descricao;
+        devolucao.solicitadoPor = reservada.solicitadoPor;
+
+        // Substitui a reserva pela devolução retornada pelo banco (mesmo id)
+        const { anterior, atualizacao } = await db.runTransaction(async (transaction) => {
+            const atual = (await transaction.get(cobrancaDoc.ref)).data();
+            const mesclada = cobrancaStatus.montarAtualizacaoDevolucoes(atual, [devolucao]);
+            transaction.update(cobrancaDoc.ref, mesclada);
+            return { anterior: atual, atualizacao: mesclada };
+        });
+
+        res.locals.auditoria.depois = { ...anterior, ...atualizacao };
+        res.locals.auditoria.detalhes = { devolucaoId: devolucao.id, valor: devolucao.valor };
+        await notificacoes.publicarMudancaCobranca(db, cobrancaDoc.ref, anterior, atualizacao);
+
+        res.json({
+            success: true,
+            txid,
+            devolucao,
+            status: atualizacao.status,
+            valorDevolvido: atualizacao.valorDevolvido
+        });
+
+    } catch (error) {
+        logger.error('Erro ao solicitar devolução PIX', error);
+        res.status(error.code === 'OPERATION_NOT_SUPPORTED' ? 400 : 500).json({
+            error: error.message || 'Erro ao solicitar devolução',
+            code: error.code === 'OPERATION_NOT_SUPPORTED' ? error.code : 'PIX_REFUND_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/pix/:txid/devolucao/:id - Consultar devolução
+ * Atualiza o histórico da cobrança com a situação atual no banco
+ */
+router.get('/:txid/devolucao/:id', exigirPapel(), loadBankConfigDaCobranca(
+    (db, empresaId, { txid }) => buscarCobrancaPix(db, empresaId, txid),
+    'Devolução não encontrada'
+), async (req, res) => {
+    try {
+        const { txid, id } = req.params;
+        const db = req.app.get('db');
+
+        const cobrancaDoc = req.cobrancaDoc;
+        const cobranca = cobrancaDoc.data();
+
+        if (!(cobranca.devolucoes || []).some(devolucao => devolucao.id === id)) {
+            return res.status(404).json({ error: 'Devolução não encontrada' });
+        }
+
+        const devolucao = await req.bankProvider.consultarDevolucao(req.bankConfig, cobranca, id);
+        const atualizacao = cobrancaStatus.montarAtualizacaoDevolucoes(cobranca, [devolucao]);
+        await cobrancaDoc.ref.update(atualizacao);
+        await notificacoes.publicarMudancaCobranca(db, cobrancaDoc.ref, cobranca, atualizacao);
+
+        res.json({
+            txid,
+            devolucao: atualizacao.devolucoes.find(item => item.id === id),
+            status: atualizacao.status,
+            valorDevolvido: atualizacao.valorDevolvido
+        });
+
+    } catch (error) {
+        logger.error('Erro ao consultar devolução PIX', error);
+        res.status(error.code === 'OPERATION_NOT_SUPPORTED' ? 400 : 500).json({
+            error: error.message || 'Erro ao consultar devolução',
+            code: error.code === 'OPERATION_NOT_SUPPORTED' ? error.code : 'PIX_REFUND_QUERY_ERROR'
         });
     }
 });
@@ -5,83 +5,191 @@
 
 const express = require('express');
 const router = express.Router();
+const cobrancaIndex = require('../services/cobrancaIndex');
+const cobrancaStatus = require('../services/cobrancaStatus');
+const bankRegistry = require('../services/bankRegistry');
+const auditoria = require('../services/auditoria');
+const logger = require('../services/logger');
+const { verificarWebhookInter, verificarTokenAsaas } = require('../middleware/webhookAuth');
 
 /**
- * POST /api/webhook/inter/pix
- * Webhook do Banco Inter para notificações PIX
+ * Verifica se a cobrança pertence à empresa identificada na URL do webhook
+ * (impede que o token de uma empresa altere cobranças de outra)
  */
-router.post('/inter/pix', async (req, res) => {
-    try {
-        console.log('📨 Webhook PIX recebido:', JSON.stringify(req.body, null, 2));
+function pertenceAEmpresaDoWebhook(req, cobrancaDoc) {
+    const empresaId = cobrancaDoc.ref.parent.parent.id;
+
+    if (req.webhookEmpresaId && req.webhookEmpresaId !== empresaId) {
+        logger.warn('Cobrança não pertence à empresa do webhook', { cobrancaId: cobrancaDoc.id, empresaCobranca: empresaId });
+        return false;
+    }
 
-        const { pix } = req.body;
+    return true;
+}
 
-        if (!pix || !Array.isArray(pix)) {
-            return res.status(200).send('OK'); // Inter espera 200 mesmo sem dados
+/**
+ * Registra na auditoria a mudança de status aplicada pelo webhook do banco
+ */
+async function auditarEvento(req, banco, cobrancaDoc, evento, atualizacao) {
+    const antes = cobrancaDoc.data();
+
+    await auditoria.registrar(req, {
+        empresaId: cobrancaDoc.ref.parent.parent.id,
+        acao: 'cobranca.webhook',
+        recurso: { tipo: 'cobranca', id: cobrancaDoc.id },
+        ator: { tipo: 'webhook', banco },
+        antes,
+        depois: { ...antes, ...atualizacao },
+        detalhes: {
+            tipo: evento.tipo,
+            situacaoBanco: evento.situacaoBanco || null
         }
+    });
+}
 
-        const db = req.app.get('db');
+/**
+ * Localiza e atualiza as cobranças de uma lista de eventos normalizados
+ */
+async function processarEventos(req, eventos) {
+    const db = req.app.get('db');
+
+    for (const evento of eventos) {
+        const identificacao = evento.chaves.map(chave => chave.valor).join('/');
+        const cobrancaDoc = await cobrancaIndex.resolverPrimeiro(db, evento.chaves, {
+            banco: 'inter',
+            empresaId: req.webhookEmpresaId || null
+        });
+
+        if (!cobrancaDoc) {
+            logger.warn('Cobrança não encontrada no índice', { identificacao });
+            continue;
+        }
 
-        for (const pagamento of pix) {
-            const { txid, valor, horario, pagador } = pagamento;
+        if (!pertenceAEmpresaDoWebhook(req, cobrancaDoc)) continue;
 
-            if (!txid) continue;
+        const atualizacao = await cobrancaStatus.aplicarEvento(db, cobrancaDoc, evento);
 
-            console.log(`💰 Pagamento PIX recebido: ${txid} - R$ ${valor}`);
+        if (!atualizacao) {
+            logger.info('Situação do banco ignorada', { situacao: evento.situacaoBanco, tipo: evento.tipo, identificacao });
+            continue;
+        }
 
-            // Busca cobrança em todas as empresas (webhook não envia empresaId)
-            // Isso é uma limitação - idealmente, usaríamos um identificador no txid
-            const empresasSnapshot = await db.collection('empresas').get();
+        await auditarEvento(req, 'inter', cobrancaDoc, evento, atualizacao);
 
-            for (const empresaDoc of empresasSnapshot.docs) {
-                const cobrancaSnapshot = await db.collection('empresas')
-                    .doc(empresaDoc.id)
-                    .collection('cobrancas')
-                    .where('txid', '==', txid)
-                    .get();
+        logger.info('Cobrança atualizada por webhook', {
+            empresaId: cobrancaDoc.ref.parent.parent.id,
+            cobrancaId: cobrancaDoc.id,
+            identificacao,
+            status: atualizacao.status
+        });
+    }
+}
 
-                if (!cobrancaSnapshot.empty) {
-                    const cobrancaRef = cobrancaSnapshot.docs[0].ref;
+/**
+ * POST /api/webhook/inter/:empresaId/:token/pix
+ * POST /api/webhook/inter/pix (legado - aceito apenas sem exigência de token)
+ * Webhook do Banco Inter para notificações PIX
+ */
+async function processarWebhookPix(req, res) {
+    try {
+        logger.info('Webhook PIX recebido', { itens: Array.isArray(req.body?.pix) ? req.body.pix.length : 0 });
+        logger.debug('Corpo do webhook PIX', { corpo: req.body });
 
-                    await cobrancaRef.update({
-                        status: 'paga',
-                        dataPagamento: new Date(horario),
-                        valorPago: parseFloat(valor),
-                        pagadorInfo: pagador || null,
-                        webhookRecebido: new Date()
-                    });
+        // Inter espera 200 mesmo sem dados
+        const eventos = bankRegistry.obter('inter').parseWebhook('pix', req.body);
 
-                    console.log(`✅ Cobrança ${txid} marcada como PAGA (empresa: ${empresaDoc.id})`);
-                    break;
-                }
-            }
-        }
+        await processarEventos(req, eventos);
 
         res.status(200).send('OK');
 
     } catch (error) {
-        console.error('❌ Erro ao processar webhook PIX:', error);
+        logger.error('Erro ao processar webhook PIX', error);
         res.status(200).send('OK'); // Retorna 200 para evitar retentativas
     }
-});
+}
 
 /**
- * POST /api/webhook/inter/boleto
+ * POST /api/webhook/inter/:empresaId/:token/boleto
+ * POST /api/webhook/inter/boleto (legado - aceito apenas sem exigência de token)
  * Webhook do Banco Inter para notificações de Boleto
  */
-router.post('/inter/boleto', async (req, res) => {
+async function processarWebhookBoleto(req, res) {
     try {
-        console.log('📨 Webhook Boleto recebido:', JSON.stringify(req.body, null, 2));
+        logger.info('Webhook Boleto recebido', { itens: Array.isArray(req.body) ? req.body.length : 1 });
+        logger.debug('Corpo do webhook Boleto', { corpo: req.body });
+
+        const eventos = bankRegistry.obter('inter').parseWebhook('boleto', req.body);
 
-        // TODO: Implementar processamento de webhook de boleto
-        // Estrutura similar ao PIX
+        await processarEventos(req, eventos);
 
         res.status(200).send('OK');
 
     } catch (error) {
-        console.error('❌ Erro ao processar webhook Boleto:', error);
+        logger.error('Erro ao processar webhook Boleto', error);
         res.status(200).send('OK');
     }
+}
+
+router.post('/inter/pix', verificarWebhookInter, processarWebhookPix);
+router.post('/inter/:empresaId/:token/pix', verificarWebhookInter, processarWebhookPix);
+router.post('/inter/boleto', verificarWebhookInter, processarWebhookBoleto);
+router.post('/inter/:empresaId/:token/boleto', verificarWebhookInter, processarWebhookBoleto);
+
+/**
+ * POST /api/webhook/asaas
+ * Webhook do Asaas (URL única para todas as empresas)
+ * A empresa é identificada pela cobrança e o token asaas-access-token é validado
+ * contra o token dessa empresa antes de qualquer alteração.
+ */
+router.post('/asaas', async (req, res) => {
+    try {
+        const db = req.app.get('db');
+        const eventos = bankRegistry.obter('asaas').parseWebhook('asaas', req.body);
+
+        logger.info('Webhook Asaas recebido', { evento: req.body?.event, pagamentoId: req.body?.payment?.id || null });
+
+        for (const evento of eventos) {
+            const cobrancaDoc = await cobrancaIndex.resolverPrimeiro(db, evento.chaves, { banco: 'asaas' });
+
+            if (!cobrancaDoc) {
+                // Pagamentos criados fora da API (painel do Asaas) não são rastreados
+                logger.warn('Cobrança não encontrada no índice', { identificacao: evento.chaves[0].valor });
+                continue;
+            }
+
+            const empresaId = cobrancaDoc.ref.parent.parent.id;
+
+            if (!await verificarTokenAsaas(req, empresaId)) {
+                return res.status(401).json({
+                    error: 'Webhook não autenticado',
+                    code: 'WEBHOOK_NOT_AUTHENTICATED'
+                });
+            }
+
+            if (cobrancaDoc.data().banco !== 'asaas') {
+                logger.warn('Cobrança não foi emitida pelo Asaas', { cobrancaId: cobrancaDoc.id });
+                continue;
+            }
+
+            const atualizacao = await cobrancaStatus.aplicarEvento(db, cobrancaDoc, evento);
+
+            if (!atualizacao) {
+                logger.info('Evento do banco ignorado', { situacao: evento.situacaoBanco, tipo: evento.tipo, cobrancaId: cobrancaDoc.id });
+                continue;
+            }
+
+            await auditarEvento(req, 'asaas', cobrancaDoc, evento, atualizacao);
+
+            logger.info('Cobrança atualizada por webhook', { empresaId, cobrancaId: cobrancaDoc.id, status: atualizacao.status });
+        }
+
+        // Asaas pausa a fila de webhooks após falhas consecutivas; só autenticação retorna erro
+        res.status(200).json({ received: true });
+
+    } catch (error) {
+        logger.error('Erro ao processar webhook Asaas', error);
+        res.status(200).json({ received: true });
+    }
 });
 
 /**
@@ -94,8 +202,10 @@ router.get('/health', (req, res) => {
         timestamp: new Date().toISOString(),
         endpoints: {
             'inter/pix': 'ativo',
-            'inter/boleto': 'ativo'
-        }
+            'inter/boleto': 'ativo',
+            'asaas': 'ativo'
+        },
+        verificacao: (process.env.WEBHOOK_VERIFICACAO || 'token').split(',').map(m => m.trim())
     });
 });
 
@@ -0,0 +1,54 @@
+/**
+ * Criptografa o certificado e a chave privada mTLS (certBase64 e keyBase64) das
+ * configurações bancárias gravadas antes da criptografia dos certificados.
+ * Valores já criptografados são mantidos; pode ser executado mais de uma vez.
+ *
+ * Uso: npm run criptografar-certificados [-- --simular]
+ */
+
+require('dotenv').config();
+const { initFirebaseAdmin } = require('../services/firebase');
+const encryptionService = require('../services/encryption');
+
+const CAMPOS = ['certBase64', 'keyBase64'];
+
+const simular = process.argv.includes('--simular');
+
+async function main() {
+    if (!encryptionService.isConfigured()) {
+        throw new Error('Nenhuma chave de encriptação configurada (ENCRYPTION_KEYS)');
+    }
+
+    const db = initFirebaseAdmin();
+    const snapshot = await db.collectionGroup('configuracaoBancaria').get();
+
+    let atualizadas = 0;
+
+    for (const configDoc of snapshot.docs) {
+        const config = configDoc.data();
+        const atualizacao = {};
+
+        for (const campo of CAMPOS) {
+            if (config[campo] && !encryptionService.isEncrypted(config[campo])) {
+                atualizacao[campo] = encryptionService.encrypt(config[campo]);
+            }
+        }
+
+        if (Object.keys(atualizacao).length === 0) continue;
+
+        console.log(`${simular ? '🔎' : '🔐'} ${configDoc.ref.path}: ${Object.keys(atualizacao).join(', ')}`);
+        if (!simular) {
+            await configDoc.ref.update(atualizacao);
+        }
+        atualizadas++;
+    }
+
+    console.log(`✅ ${atualizadas} de ${snapshot.size} configurações ${simular ? 'seriam criptografadas' : 'criptografadas'}`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('❌ Erro ao criptografar certificados:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,40 @@
+/**
+ * Popula o índice global de cobranças (indiceCobrancas) com as cobranças
+ * criadas antes da existência do índice ou indexadas antes da chave por banco.
+ *
+ * Uso: npm run indexar-cobrancas
+ */
+
+require('dotenv').config();
+const { initFirebaseAdmin } = require('../services/firebase');
+const cobrancaIndex = require('../services/cobrancaIndex');
+
+async function main() {
+    const db = initFirebaseAdmin();
+    const snapshot = await db.collectionGroup('cobrancas').get();
+
+    let indexadas = 0;
+
+    for (const cobrancaDoc of snapshot.docs) {
+        const cobranca = cobrancaDoc.data();
+        const identificadores = {};
+
+        for (const campo of cobrancaIndex.CAMPOS_INDEXADOS) {
+            if (cobranca[campo]) identificadores[campo] = cobranca[campo];
+        }
+
+        if (Object.keys(identificadores).length === 0) continue;
+
+        await cobrancaIndex.registrar(db, cobrancaDoc.ref, cobranca.banco || 'inter', identificadores);
+        indexadas++;
+    }
+
+    console.log(`✅ ${indexadas} de ${snapshot.size} cobranças indexadas`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('❌ Erro ao indexar cobranças:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,35 @@
+/**
+ * Preenche pagadorDocumento (CPF/CNPJ só com dígitos) nas cobranças criadas
+ * antes do filtro por documento do pagador em GET /api/cobrancas.
+ *
+ * Uso: npm run preencher-documento-pagador
+ */
+
+require('dotenv').config();
+const { initFirebaseAdmin } = require('../services/firebase');
+
+async function main() {
+    const db = initFirebaseAdmin();
+    const snapshot = await db.collectionGroup('cobrancas').get();
+
+    let atualizadas = 0;
+
+    for (const cobrancaDoc of snapshot.docs) {
+        const { pagador, pagadorDocumento } = cobrancaDoc.data();
+        const documento = (pagador?.cnpj || pagador?.cpf || '').replace(/\D/g, '');
+
+        if (!documento || pagadorDocumento === documento) continue;
+
+        await cobrancaDoc.ref.update({ pagadorDocumento: documento });
+        atualizadas++;
+    }
+
+    console.log(`✅ ${atualizadas} de ${snapshot.size} cobranças atualizadas`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('❌ Erro ao preencher documento do pagador:', error);
+        process.exit(1);
+    });
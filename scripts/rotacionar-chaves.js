@@ -0,0 +1,88 @@
+/**
+ * Recifra com a chave ativa (ENCRYPTION_KEY_ID) os segredos guardados no Firestore:
+ * - configuracaoBancaria: clientId, clientSecret, apiKey, webhookToken, certBase64, keyBase64, pfxBase64, pfxSenha
+ * - webhooks (assinaturas de webhooks de saída): segredo
+ *
+ * Valores no formato antigo (CryptoJS) ou cifrados com outra chave de ENCRYPTION_KEYS são
+ * decifrados e cifrados de novo. Depois de rodar, chaves antigas podem sair de ENCRYPTION_KEYS.
+ *
+ * Uso: npm run rotacionar-chaves [-- --simular] [-- --cifrar-texto-puro]
+ *   --simular            apenas lista o que seria alterado
+ *   --cifrar-texto-puro  cifra valores gravados sem criptografia (ENCRYPTION_KEY ausente no passado)
+ */
+
+require('dotenv').config();
+const { initFirebaseAdmin } = require('../services/firebase');
+const encryptionService = require('../services/encryption');
+
+const COLECOES = {
+    configuracaoBancaria: ['clientId', 'clientSecret', 'apiKey', 'webhookToken', 'certBase64', 'keyBase64', 'pfxBase64', 'pfxSenha'],
+    webhooks: ['segredo']
+};
+
+const simular = process.argv.includes('--simular');
+const cifrarTextoPuro = process.argv.includes('--cifrar-texto-puro');
+
+async function main() {
+    if (!encryptionService.isConfigured()) {
+        throw new Error('Nenhuma chave de encriptação configurada (ENCRYPTION_KEYS)');
+    }
+
+    const db = initFirebaseAdmin();
+    const resumo = { documentos: 0, recifrados: 0, textoPuro: 0, falhas: 0 };
+
+    for (const [colecao, campos] of Object.entries(COLECOES)) {
+        const snapshot = await db.collectionGroup(colecao).get();
+
+        for (const doc of snapshot.docs) {
+            const dados = doc.data();
+            const atualizacao = {};
+
+            for (const campo of campos) {
+                const valor = dados[campo];
+                if (!valor || !encryptionService.needsReencryption(valor)) continue;
+
+                if (!encryptionService.isEncrypted(valor)) {
+                    if (!cifrarTextoPuro) {
+                        console.warn(`⚠️ ${doc.ref.path}.${campo} não está criptografado (use --cifrar-texto-puro)`);
+                        resumo.textoPuro++;
+                        continue;
+                    }
+                    atualizacao[campo] = encryptionService.encrypt(valor);
+                    continue;
+                }
+
+                try {
+                    atualizacao[campo] = encryptionService.encrypt(encryptionService.decrypt(valor));
+                } catch (error) {
+                    console.error(`❌ ${doc.ref.path}.${campo}: ${error.message}`);
+                    resumo.falhas++;
+                }
+            }
+
+            const alterados = Object.keys(atualizacao);
+            if (alterados.length === 0) continue;
+
+            resumo.documentos++;
+            resumo.recifrados += alterados.length;
+            console.log(`${simular ? '🔎' : '🔁'} ${doc.ref.path}: ${alterados.join(', ')}`);
+
+            if (!simular) {
+                await doc.ref.update(atualizacao);
+            }
+        }
+    }
+
+    console.log(`✅ ${resumo.recifrados} campos em ${resumo.documentos} documentos ${simular ? 'seriam recifrados' : 'recifrados'} com a chave "${encryptionService.chaveAtiva}"`);
+    if (resumo.textoPuro > 0) console.warn(`⚠️ ${resumo.textoPuro} campos sem criptografia`);
+    if (resumo.falhas > 0) {
+        throw new Error(`${resumo.falhas} campos não puderam ser descriptografados`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('❌ Erro na rotação de chaves:', error.message);
+        process.exit(1);
+    });
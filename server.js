@@ -1,44 +1,21 @@
 /**
  * QUALIFY Banking API - Servidor Principal
  * Backend para integrações bancárias multi-tenant
- * Suporta: Banco Inter, extensível para outros
+ * Suporta: Banco Inter, extensível para outros via adapters (services/bankRegistry.js)
  */
 
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const admin = require('firebase-admin');
-
-// Inicialização do Firebase Admin
-const initFirebaseAdmin = () => {
-    try {
-        let serviceAccount;
-
-        // Tenta carregar do JSON em variável de ambiente (produção)
-        if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-            console.log('📦 Carregando Firebase de variável de ambiente...');
-            serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-        }
-        // Fallback para arquivo local (desenvolvimento)
-        else {
-            const serviceAccountPath = process.env.FIREBASE_SERVICE_ACCOUNT_PATH || './serviceAccountKey.json';
-            console.log('📁 Carregando Firebase de arquivo:', serviceAccountPath);
-            serviceAccount = require(serviceAccountPath);
-        }
-
-        admin.initializeApp({
-            credential: admin.credential.cert(serviceAccount)
-        });
-
-        console.log('✅ Firebase Admin inicializado com sucesso');
-        return admin.firestore();
-    } catch (error) {
-        console.error('❌ Erro ao inicializar Firebase Admin:', error.message);
-        console.log('⚠️  Configure FIREBASE_SERVICE_ACCOUNT ou serviceAccountKey.json');
-        process.exit(1);
-    }
-};
+const logger = require('./services/logger');
+const { initFirebaseAdmin } = require('./services/firebase');
+const { autenticar } = require('./middleware/auth');
+const bankRegistry = require('./services/bankRegistry');
+const reconciliacaoService = require('./services/reconciliacao');
+const expiracaoService = require('./services/expiracao');
+const notificacoes = require('./services/notificacoes');
+const certificadoService = require('./services/certificados');
 
 const db = initFirebaseAdmin();
 
@@ -49,10 +26,20 @@ const app = express();
 app.use(cors({
     origin: true, // Permite qualquer origem
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+    exposedHeaders: ['Idempotent-Replayed']
 }));
 
+// Necessário atrás de proxy (Render, load balancer) para req.ip refletir o cliente real
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+}
+
+// Contexto de log por requisição (requestId, rota, empresaId...)
+app.use(logger.middleware());
+
 // Parsing de JSON
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -63,13 +50,26 @@ app.set('db', db);
 // Rotas
 const pixRoutes = require('./routes/pix');
 const boletoRoutes = require('./routes/boleto');
+const cartaoRoutes = require('./routes/cartao');
+const cobrancasRoutes = require('./routes/cobrancas');
+const empresasRoutes = require('./routes/empresas');
 const configRoutes = require('./routes/config');
 const webhookRoutes = require('./routes/webhook');
-
-app.use('/api/pix', pixRoutes);
-app.use('/api/boleto', boletoRoutes);
-app.use('/api/config', configRoutes);
+const invoicesRoutes = require('./routes/invoices');
+
+// pdfUrl do boleto é um link assinado, aberto pelo navegador sem o token (antes das rotas autenticadas)
+app.use('/api/boleto', boletoRoutes.linkPdf);
+
+// Rotas autenticadas (Firebase ID token); webhooks e health check são públicos
+app.use('/api/pix', autenticar, pixRoutes);
+app.use('/api/boleto', autenticar, boletoRoutes);
+app.use('/api/cartao', autenticar, cartaoRoutes);
+app.use('/api/cobrancas', autenticar, cobrancasRoutes);
+app.use('/api/empresas', autenticar, empresasRoutes);
+app.use('/api/config', autenticar, configRoutes);
 app.use('/api/webhook', webhookRoutes);
+// Autenticação por rota: o stream SSE aceita o token na query string
+app.use('/api/invoices', invoicesRoutes);
 
 // Rota de health check
 app.get('/api/health', (req, res) => {
@@ -79,50 +79,15 @@ app.get('/api/health', (req, res) => {
         version: '1.0.0',
         services: {
             firebase: !!db,
-            inter: true,
-            asaas: false // Placeholder para expansão futura
+            // Um item por banco: true quando há adapter registrado
+            ...Object.fromEntries(bankRegistry.catalogo().map(banco => [banco.id, banco.status === 'disponivel']))
         }
     });
 });
 
-// Rota de status de invoice (compatibilidade com pix-checkout.js existente)
-app.get('/api/invoices/:invoiceId/status', async (req, res) => {
-    try {
-        const { invoiceId } = req.params;
-        const empresaId = req.query.empresaId;
-
-        if (!empresaId) {
-            return res.status(400).json({ error: 'empresaId é obrigatório' });
-        }
-
-        // Busca cobrança no Firestore
-        const cobrancaRef = db.collection('empresas').doc(empresaId)
-            .collection('cobrancas').where('invoiceId', '==', invoiceId);
-
-        const snapshot = await cobrancaRef.get();
-
-        if (snapshot.empty) {
-            return res.status(404).json({ error: 'Cobrança não encontrada' });
-        }
-
-        const cobranca = snapshot.docs[0].data();
-
-        res.json({
-            invoiceId,
-            status: cobranca.status || 'pendente',
-            valor: cobranca.valor,
-            dataPagamento: cobranca.dataPagamento || null
-        });
-
-    } catch (error) {
-        console.error('Erro ao consultar status:', error);
-        res.status(500).json({ error: 'Erro interno ao consultar status' });
-    }
-});
-
 // Middleware de tratamento de erros
 app.use((err, req, res, next) => {
-    console.error('❌ Erro não tratado:', err);
+    logger.error('Erro não tratado', err);
     res.status(500).json({
         error: 'Erro interno do servidor',
         message: process.env.NODE_ENV === 'development' ? err.message : undefined
@@ -137,16 +102,24 @@ app.use((req, res) => {
 // Inicialização do servidor
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => {
-    console.log(`
-╔════════════════════════════════════════════════════════════╗
-║          QUALIFY Banking API - v1.0.0                      ║
-╠════════════════════════════════════════════════════════════╣
-║  🚀 Servidor rodando em: http://localhost:${PORT}             ║
-║  📦 Ambiente: ${(process.env.NODE_ENV || 'development').padEnd(42)}║
-║  🔐 Firebase: Conectado                                    ║
-║  🏦 Bancos suportados: Inter (+ extensível)                ║
-╚════════════════════════════════════════════════════════════╝
-    `);
+    logger.info('Servidor iniciado', {
+        porta: Number(PORT),
+        ambiente: process.env.NODE_ENV || 'development',
+        versao: '1.0.0',
+        bancos: bankRegistry.catalogo().filter(banco => banco.status === 'disponivel').map(banco => banco.id)
+    });
+
+    // Recupera mudanças de status de cobranças cujo webhook se perdeu
+    reconciliacaoService.iniciar(db);
+
+    // Marca como expiradas as cobranças PIX com prazo encerrado
+    expiracaoService.iniciar(db);
+
+    // Novas tentativas dos webhooks de saída que falharam
+    notificacoes.iniciar(db);
+
+    // Alerta sobre certificados mTLS próximos do vencimento
+    certificadoService.iniciar(db);
 });
 
 module.exports = app;
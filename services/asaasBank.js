@@ -0,0 +1,463 @@
+/**
+ * Serviço de integração com Asaas (API v3)
+ * Autenticação por API key (cabeçalho access_token), sem mTLS.
+ * Suporta clientes, cobranças PIX, boleto e cartão de crédito.
+ *
+ * Mapeamento para os campos das cobranças no Firestore:
+ * - PIX: txid = id do pagamento no Asaas (pay_...)
+ * - Boleto: codigoSolicitacao = id do pagamento no Asaas
+ */
+
+const axios = require('axios');
+const encryptionService = require('./encryption');
+const { BankProvider } = require('./bankProvider');
+const logger = require('./logger').filho({ modulo: 'asaas' });
+
+class AsaasBankService extends BankProvider {
+    constructor() {
+        super({
+            id: 'asaas',
+            nome: 'Asaas',
+            logo: '/assets/images/bancos/asaas.png',
+            funcionalidades: ['pix', 'boleto', 'cartao'],
+            requerCertificado: false
+        });
+        this.baseUrlSandbox = process.env.ASAAS_API_URL_SANDBOX || 'https://sandbox.asaas.com/api/v3';
+        this.baseUrlProduction = process.env.ASAAS_API_URL_PRODUCTION || 'https://api.asaas.com/v3';
+    }
+
+    /**
+     * Obtém a URL base conforme ambiente
+     */
+    getBaseUrl(sandbox = false) {
+        return sandbox ? this.baseUrlSandbox : this.baseUrlProduction;
+    }
+
+    /**
+     * Cliente HTTP autenticado com a API key da empresa
+     */
+    criarCliente(empresaConfig) {
+        if (!empresaConfig.apiKey) {
+            throw new Error('API key do Asaas não configurada para esta empresa');
+        }
+
+        const apiKey = encryptionService.decrypt(empresaConfig.apiKey);
+
+        if (!apiKey) {
+            throw new Error('Não foi possível descriptografar a API key do Asaas');
+        }
+
+        return axios.create({
+            baseURL: this.getBaseUrl(empresaConfig.sandbox),
+            headers: {
+                'access_token': apiKey.trim(),
+                'Content-Type': 'application/json',
+                'User-Agent': 'qualify-banking-api'
+            }
+        });
+    }
+
+    /**
+     * Extrai mensagem de erro do formato { errors: [{ code, description }] }
+     */
+    mensagemErro(error) {
+        return error.response?.data?.errors?.map(e => e.description).join('; ') || error.message;
+    }
+
+    /**
+     * Mapeia status do pagamento no Asaas para status interno
+     */
+    mapearStatus(pagamento) {
+        if (pagamento.deleted) return 'cancelada';
+
+        switch (pagamento.status) {
+            case 'RECEIVED':
+            case 'CONFIRMED':
+            case 'RECEIVED_IN_CASH':
+                return 'paga';
+            case 'REFUNDED':
+                return 'devolvida';
+            default:
+                return 'pendente'; // PENDING, OVERDUE, AWAITING_RISK_ANALYSIS, ...
+        }
+    }
+
+    /**
+     * Testa conexão consultando a lista de clientes (valida a API key)
+     */
+    async testarConexao(empresaConfig) {
+        const cliente = this.criarCliente(empresaConfig);
+
+        try {
+            await cliente.get('/customers', { params: { limit: 1 } });
+            return { success: true };
+        } catch (error) {
+            throw new Error(`Falha na autenticação com Asaas: ${this.mensagemErro(error)}`);
+        }
+    }
+
+    /**
+     * Busca o cliente pelo CPF/CNPJ ou cria um novo
+     * @returns {Promise<string>} id do cliente (cus_...)
+     */
+    async obterOuCriarCliente(empresaConfig, pagador) {
+        const cliente = this.criarCliente(empresaConfig);
+        const cpfCnpj = (pagador.cnpj || pagador.cpf || '').replace(/\D/g, '');
+
+        try {
+            const busca = await cliente.get('/customers', { params: { cpfCnpj } });
+
+            if (busca.data.data?.length > 0) {
+                return busca.data.data[0].id;
+            }
+
+            const endereco = pagador.endereco || {};
+            const criado = await cliente.post('/customers', {
+                name: pagador.nome,
+                cpfCnpj,
+                email: pagador.email || undefined,
+                mobilePhone: pagador.telefone?.replace(/\D/g, '') || undefined,
+                postalCode: endereco.cep?.replace(/\D/g, '') || undefined,
+                address: endereco.logradouro || undefined,
+                addressNumber: endereco.numero || undefined,
+                complement: endereco.complemento || undefined,
+                province: endereco.bairro || undefined
+            });
+
+            logger.info('Cliente Asaas criado', { empresaId: empresaConfig.id });
+            return criado.data.id;
+
+        } catch (error) {
+            logger.error('Erro ao obter cliente Asaas', error);
+            throw new Error(`Falha ao cadastrar cliente no Asaas: ${this.mensagemErro(error)}`);
+        }
+    }
+
+    /**
+     * Cria pagamento no Asaas
+     */
+    async criarPagamento(empresaConfig, billingType, dados, extras = {}) {
+        const customer = await this.obterOuCriarCliente(empresaConfig, dados.pagador);
+        const cliente = this.criarCliente(empresaConfig);
+
+        const response = await cliente.post('/payments', {
+            customer,
+            billingType,
+            value: Number(dados.valor.toFixed(2)),
+            dueDate: dados.vencimento || new Date().toISOString().split('T')[0],
+            description: dados.descricao || 'Cobrança QUALIFY',
+            externalReference: dados.invoiceId || undefined,
+            ...extras
+        });
+
+        return response.data;
+    }
+
+    /**
+     * Cria cobrança PIX imediata (vencimento hoje)
+     */
+    async criarPixImediato(empresaConfig, dados) {
+        return this.criarPix(empresaConfig, dados);
+    }
+
+    /**
+     * Cria cobrança PIX com vencimento
+     */
+    async criarPixVencimento(empresaConfig, dados) {
+        return this.criarPix(empresaConfig, dados);
+    }
+
+    async criarPix(empresaConfig, dados) {
+        try {
+            const pagamento = await this.criarPagamento(empresaConfig, 'PIX', dados);
+            const qrCode = await this.criarCliente(empresaConfig).get(`/payments/${pagamento.id}/pixQrCode`);
+
+            return {
+                txid: pagamento.id,
+                status: pagamento.status,
+                qrcode: qrCode.data.payload,
+                imagemQrcode: qrCode.data.encodedImage ?
+                    `data:image/png;base64,${qrCode.data.encodedImage}` : null,
+                valor: pagamento.value?.toFixed(2),
+                criacao: pagamento.dateCreated,
+                expiracao: dados.expiracao,
+                vencimento: pagamento.dueDate
+            };
+
+        } catch (error) {
+            logger.error('Erro ao criar PIX no Asaas', error);
+            throw new Error(`Falha ao criar cobrança PIX: ${this.mensagemErro(error)}`);
+        }
+    }
+
+    /**
+     * Consulta cobrança PIX (txid = id do pagamento)
+     */
+    async consultarPix(empresaConfig, txid) {
+        try {
+            const response = await this.criarCliente(empresaConfig).get(`/payments/${txid}`);
+            const pagamento = response.data;
+
+            return {
+                txid: pagamento.id,
+                status: this.mapearStatus(pagamento),
+                statusOriginal: pagamento.status,
+                valor: pagamento.value?.toFixed(2),
+                pix: []
+            };
+
+        } catch (error) {
+            logger.error('Erro ao consultar PIX no Asaas', error);
+            throw new Error(`Falha ao consultar cobrança: ${this.mensagemErro(error)}`);
+        }
+    }
+
+    /**
+     * Revisa cobrança PIX pendente (expiração não se aplica: o QR Code vale até o vencimento)
+     */
+    async revisarPix(empresaConfig, cobranca, alteracoes) {
+        const cliente = this.criarCliente(empresaConfig);
+        const payload = { billingType: 'PIX' };
+
+        if (alteracoes.valor !== undefined) payload.value = Number(alteracoes.valor.toFixed(2));
+        if (alteracoes.vencimento) payload.dueDate = alteracoes.vencimento;
+        if (alteracoes.pagador) payload.customer = await this.obterOuCriarCliente(empresaConfig, alteracoes.pagador);
+
+        try {
+            const response = await cliente.post(`/payments/${cobranca.txid}`, payload);
+            const qrCode = await cliente.get(`/payments/${cobranca.txid}/pixQrCode`);
+
+            return {
+                txid: response.data.id,
+                revisao: null,
+                status: response.data.status,
+                qrcode: qrCode.data.payload,
+                imagemQrcode: qrCode.data.encodedImage ?
+                    `data:image/png;base64,${qrCode.data.encodedImage}` : null,
+                valor: response.data.value?.toFixed(2),
+                vencimento: response.data.dueDate
+            };
+
+        } catch (error) {
+            logger.error('Erro ao revisar PIX no Asaas', error);
+            throw new Error(`Falha ao revisar cobrança PIX: ${this.mensagemErro(error)}`);
+        }
+    }
+
+    /**
+     * Remove a cobrança PIX pendente
+     */
+    async cancelarPix(empresaConfig, cobranca) {
+        try {
+            await this.criarCliente(empresaConfig).delete(`/payments/${cobranca.txid}`);
+            return { txid: cobranca.txid, revisao: null, status: 'DELETED' };
+
+        } catch (error) {
+            logger.error('Erro ao remover PIX no Asaas', error);
+            throw new Error(`Falha ao cancelar cobrança PIX: ${this.mensagemErro(error)}`);
+        }
+    }
+
+    /**
+     * Emite boleto
+     */
+    async emitirBoleto(empresaConfig, dados) {
+        try {
+            const pagamento = await this.criarPagamento(empresaConfig, 'BOLETO', dados);
+            return await this.consultarBoleto(empresaConfig, pagamento.id);
+
+        } catch (error) {
+            logger.error('Erro ao emitir boleto no Asaas', error);
+            throw new Error(`Falha ao emitir boleto: ${this.mensagemErro(error)}`);
+        }
+    }
+
+    /**
+     * Consulta boleto (codigoSolicitacao = id do pagamento)
+     */
+    async consultarBoleto(empresaConfig, codigoSolicitacao) {
+        const cliente = this.criarCliente(empresaConfig);
+
+        try {
+            const [pagamentoResponse, linhaResponse] = await Promise.all([
+                cliente.get(`/payments/${codigoSolicitacao}`),
+                cliente.get(`/payments/${codigoSolicitacao}/identificationField`)
+            ]);
+
+            const pagamento = pagamentoResponse.data;
+            const linha = linhaResponse.data;
+
+            return {
+                codigoSolicitacao: pagamento.id,
+                seuNumero: pagamento.externalReference || null,
+                status: this.mapearStatus(pagamento),
+                situacao: pagamento.status,
+                dataSituacao: pagamento.clientPaymentDate || pagamento.paymentDate || null,
+                valor: pagamento.value,
+                valorRecebido: pagamento.status === 'RECEIVED' || pagamento.status === 'CONFIRMED' ? pagamento.value : null,
+                origemRecebimento: pagamento.billingType,
+                vencimento: pagamento.dueDate,
+                nossoNumero: linha.nossoNumero || pagamento.nossoNumero || null,
+                linhaDigitavel: linha.identificationField || null,
+                codigoBarras: linha.barCode || null,
+                pixCopiaECola: null,
+                txid: null,
+                bankSlipUrl: pagamento.bankSlipUrl || null
+            };
+
+        } catch (error) {
+            logger.error('Erro ao consultar boleto no Asaas', error);
+            throw new Error(`Falha ao consultar boleto: ${this.mensagemErro(error)}`);
+        }
+    }
+
+    /**
+     * Obtém o PDF do boleto a partir do bankSlipUrl do pagamento
+     */
+    async obterPdfBoleto(empresaConfig, codigoSolicitacao) {
+        try {
+            const response = await this.criarCliente(empresaConfig).get(`/payments/${codigoSolicitacao}`);
+
+            if (!response.data.bankSlipUrl) {
+                throw new Error('Pagamento sem boleto disponível');
+            }
+
+            const pdf = await axios.get(response.data.bankSlipUrl, { responseType: 'arraybuffer' });
+            return Buffer.from(pdf.data);
+
+        } catch (error) {
+            logger.error('Erro ao obter PDF do boleto no Asaas', error);
+            throw new Error(`Falha ao obter PDF do boleto: ${this.mensagemErro(error)}`);
+        }
+    }
+
+    /**
+     * Cria cobrança no cartão de crédito
+     * Aceita cartão tokenizado (dados.cartao.token) ou dados do cartão, que são
+     * repassados ao Asaas e nunca armazenados.
+     */
+    async criarCobrancaCartao(empresaConfig, dados) {
+        const { cartao, pagador } = dados;
+        const endereco = pagador.endereco || {};
+        const extras = { remoteIp: dados.ip };
+
+        if (cartao.token) {
+            extras.creditCardToken = cartao.token;
+        } else {
+            extras.creditCard = {
+                holderName: cartao.nomeTitular,
+                number: cartao.numero?.replace(/\D/g, ''),
+                expiryMonth: cartao.mesValidade,
+                expiryYear: cartao.anoValidade,
+                ccv: cartao.cvv
+            };
+            extras.creditCardHolderInfo = {
+                name: pagador.nome,
+                email: pagador.email,
+                cpfCnpj: (pagador.cnpj || pagador.cpf || '').replace(/\D/g, ''),
+                postalCode: endereco.cep?.replace(/\D/g, ''),
+                addressNumber: endereco.numero,
+                phone: pagador.telefone?.replace(/\D/g, '')
+            };
+        }
+
+        if (dados.parcelas > 1) {
+            extras.installmentCount = dados.parcelas;
+            extras.installmentValue = Number((dados.valor / dados.parcelas).toFixed(2));
+        }
+
+        try {
+            const pagamento = await this.criarPagamento(empresaConfig, 'CREDIT_CARD', dados, extras);
+
+            return {
+                id: pagamento.id,
+                status: this.mapearStatus(pagamento),
+                statusOriginal: pagamento.status,
+                valor: pagamento.value,
+                cartao: {
+                    bandeira: pagamento.creditCard?.creditCardBrand || null,
+                    final: pagamento.creditCard?.creditCardNumber || null,
+                    token: pagamento.creditCard?.creditCardToken || null
+                }
+            };
+
+        } catch (error) {
+            logger.error('Erro ao criar cobrança no cartão (Asaas)', error);
+            throw new Error(`Falha ao cobrar no cartão: ${this.mensagemErro(error)}`);
+        }
+    }
+
+    /**
+     * Solicita estorno total ou parcial do pagamento
+     */
+    async solicitarDevolucao(empresaConfig, cobranca, dados) {
+        const pagamentoId = cobranca.txid || cobranca.codigoSolicitacao || cobranca.idExterno;
+
+        try {
+            const response = await this.criarCliente(empresaConfig).post(`/payments/${pagamentoId}/refund`, {
+                value: dados.valor ? Number(dados.valor.toFixed(2)) : undefined,
+                description: dados.descricao || undefined
+            });
+
+            // O Asaas efetiva o estorno na própria requisição (parcial mantém o pagamento como RECEIVED)
+            return {
+                id: dados.id,
+                rtrId: null,
+                valor: dados.valor ?? response.data.value,
+                status: 'DEVOLVIDO',
+                motivo: null,
+                solicitadaEm: new Date(),
+                liquidadaEm: new Date()
+            };
+
+        } catch (error) {
+            logger.error('Erro ao estornar pagamento no Asaas', error);
+            throw new Error(`Falha ao solicitar devolução: ${this.mensagemErro(error)}`);
+        }
+    }
+
+    /**
+     * Converte webhook do Asaas em evento normalizado
+     * { event: 'PAYMENT_RECEIVED', payment: { id, billingType, value, status, ... } }
+     */
+    parseWebhook(tipo, body) {
+        const pagamento = body?.payment;
+
+        if (!pagamento?.id) {
+            return [];
+        }
+
+        const STATUS_POR_EVENTO = {
+            PAYMENT_RECEIVED: 'paga',
+            PAYMENT_CONFIRMED: 'paga',
+            PAYMENT_RECEIVED_IN_CASH: 'paga',
+            PAYMENT_DELETED: 'cancelada',
+            PAYMENT_REFUNDED: 'devolvida'
+        };
+
+        const tipoCobranca = pagamento.billingType === 'BOLETO' ? 'boleto'
+            : pagamento.billingType === 'CREDIT_CARD' ? 'cartao' : 'pix';
+
+        const dataEvento = pagamento.clientPaymentDate || pagamento.paymentDate || pagamento.confirmedDate;
+
+        return [{
+            tipo: tipoCobranca,
+            chaves: [
+                { campo: 'txid', valor: pagamento.id },
+                { campo: 'codigoSolicitacao', valor: pagamento.id },
+                { campo: 'idExterno', valor: pagamento.id }
+            ],
+            status: STATUS_POR_EVENTO[body.event] || null,
+            situacaoBanco: body.event,
+            data: dataEvento ? new Date(dataEvento) : new Date(),
+            valorPago: pagamento.value ?? null,
+            canalPagamento: pagamento.billingType,
+            pagador: null,
+            identificadores: {
+                nossoNumero: pagamento.nossoNumero || null
+            }
+        }];
+    }
+}
+
+module.exports = new AsaasBankService();
@@ -0,0 +1,189 @@
+/**
+ * Trilha de auditoria (somente inclusão)
+ * Registra quem alterou configurações bancárias e cobranças, de onde e o estado
+ * antes e depois da alteração. A API nunca altera nem remove eventos.
+ *
+ * Eventos: empresas/{empresaId}/auditoria/{eventoId}
+ * {
+ *   acao: "config.inter.salvar" | "pix.cob.criar" | "cobranca.webhook" | ...,
+ *   recurso: { tipo: "configuracaoBancaria" | "cobranca", id },
+ *   ator: { tipo: "usuario", uid, email, papel } | { tipo: "webhook", banco },
+ *   ip, userAgent, requestId,
+ *   resultado: "sucesso" | "falha", status (HTTP), erro,
+ *   antes, depois (segredos mascarados), camposAlterados,
+ *   detalhes,
+ *   criadoEm
+ * }
+ *
+ * Falha ao gravar o evento é registrada no log e não interrompe a operação auditada.
+ */
+
+const logger = require('./logger').filho({ modulo: 'auditoria' });
+
+const MASCARA = '***';
+
+// Segredos gravados nas configurações e cobranças (cifrados ou não, nunca entram no evento)
+const CAMPOS_SECRETOS = [
+    'clientId', 'clientSecret', 'apiKey', 'webhookToken', 'token',
+    'certBase64', 'keyBase64', 'pfxBase64', 'pfxSenha', 'segredo'
+];
+
+// Campos volumosos sem valor para a auditoria (imagem do QR Code em base64)
+const CAMPOS_OMITIDOS = ['imagemQrcode'];
+
+const PROFUNDIDADE_MAXIMA = 6;
+
+/**
+ * Cópia do estado com segredos mascarados, sem campos volumosos nem undefined
+ * (o Firestore rejeita undefined)
+ */
+function mascarar(valor, profundidade = 0) {
+    if (valor === undefined) return undefined;
+    if (valor === null || typeof valor !== 'object') return valor;
+    if (valor instanceof Date || typeof valor.toDate === 'function') return valor;
+    if (Buffer.isBuffer(valor)) return `[Buffer ${valor.length} bytes]`;
+    if (profundidade >= PROFUNDIDADE_MAXIMA) return '[...]';
+
+    if (Array.isArray(valor)) {
+        return valor.map(item => mascarar(item, profundidade + 1)).filter(item => item !== undefined);
+    }
+
+    const mascarado = {};
+    for (const [campo, item] of Object.entries(valor)) {
+        if (item === undefined || CAMPOS_OMITIDOS.includes(campo)) continue;
+
+        mascarado[campo] = CAMPOS_SECRETOS.includes(campo) && item !== null && item !== ''
+            ? MASCARA
+            : mascarar(item, profundidade + 1);
+    }
+    return mascarado;
+}
+
+/**
+ * Valor comparável entre estados (Timestamps e Dates pelo instante)
+ */
+function normalizar(valor) {
+    if (valor && typeof valor.toDate === 'function') return valor.toDate().toISOString();
+    if (valor instanceof Date) return valor.toISOString();
+    return JSON.stringify(valor ?? null);
+}
+
+/**
+ * Campos de primeiro nível alterados (calculado antes da máscara: a troca de
+ * um segredo aparece aqui mesmo com o valor mascarado)
+ */
+function camposAlterados(antes, depois) {
+    if (!antes || !depois) return null;
+
+    const campos = new Set([...Object.keys(antes), ...Object.keys(depois)]);
+    return [...campos]
+        .filter(campo => !CAMPOS_OMITIDOS.includes(campo))
+        .filter(campo => normalizar(antes[campo]) !== normalizar(depois[campo]))
+        .sort();
+}
+
+class AuditoriaService {
+    /**
+     * Ator da requisição autenticada (webhooks informam o ator no evento)
+     */
+    atorDaRequisicao(req) {
+        if (req.usuario) {
+            return {
+                tipo: 'usuario',
+                uid: req.usuario.uid,
+                email: req.usuario.email || null,
+                papel: req.usuario.papel || null
+            };
+        }
+
+        return { tipo: 'sistema' };
+    }
+
+    /**
+     * Grava um evento de auditoria
+     * @param {Object} req - requisição de origem (banco, ator, IP)
+     * @param {Object} evento - { empresaId, acao, recurso: { tipo, id }, antes, depois, resultado, status, erro, detalhes, ator }
+     * @returns {Promise<string|null>} id do evento (null se não foi possível gravar)
+     */
+    async registrar(req, evento) {
+        const { empresaId, acao, recurso, antes, depois, ator, requestId } = evento;
+
+        try {
+            if (!empresaId) {
+                logger.warn('Evento de auditoria sem empresa', { acao });
+                return null;
+            }
+
+            const db = req.app.get('db');
+            const registro = mascarar({
+                acao,
+                recurso: { tipo: recurso?.tipo || null, id: recurso?.id ?? null },
+                ator: ator || this.atorDaRequisicao(req),
+                ip: req.ip || null,
+                userAgent: req.get('User-Agent') || null,
+                requestId: requestId || logger.contexto().requestId || null,
+                resultado: evento.resultado || 'sucesso',
+                status: evento.status ?? null,
+                erro: evento.erro ? logger.redigir(String(evento.erro)) : null,
+                antes: antes ?? null,
+                depois: depois ?? null,
+                camposAlterados: camposAlterados(antes, depois),
+                detalhes: evento.detalhes ?? null
+            });
+            registro.criadoEm = new Date();
+
+            const eventoRef = await db.collection('empresas').doc(empresaId)
+                .collection('auditoria').add(registro);
+
+            return eventoRef.id;
+
+        } catch (error) {
+            logger.error('Não foi possível gravar o evento de auditoria', { acao, empresaId, erro: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Middleware: registra o evento da rota ao concluir a resposta (sucesso ou falha)
+     * Usar após exigirPapel. A rota informa o estado em res.locals.auditoria
+     * ({ recursoId, antes, depois, detalhes }); o resultado vem do status HTTP.
+     * Respostas repetidas pela idempotência não geram novo evento.
+     */
+    middleware(acao, tipoRecurso) {
+        return (req, res, next) => {
+            res.locals.auditoria = {};
+            const { requestId } = logger.contexto();
+
+            // Guarda a mensagem de erro da resposta
+            const jsonOriginal = res.json.bind(res);
+            res.json = (corpo) => {
+                if (res.statusCode >= 400) res.locals.auditoria.erro = corpo?.error || null;
+                return jsonOriginal(corpo);
+            };
+
+            res.on('finish', () => {
+                if (res.get('Idempotent-Replayed')) return;
+
+                const { recursoId, antes, depois, detalhes, erro } = res.locals.auditoria;
+
+                this.registrar(req, {
+                    empresaId: req.usuario?.empresaId,
+                    acao,
+                    recurso: { tipo: tipoRecurso, id: recursoId },
+                    antes,
+                    depois,
+                    detalhes,
+                    resultado: res.statusCode < 400 ? 'sucesso' : 'falha',
+                    status: res.statusCode,
+                    erro,
+                    requestId
+                });
+            });
+
+            next();
+        };
+    }
+}
+
+module.exports = new AuditoriaService();
+module.exports.mascarar = mascarar;
@@ -0,0 +1,167 @@
+/**
+ * Interface dos provedores bancários
+ * Cada banco é um adapter que estende BankProvider e é registrado em bankRegistry.
+ * Operações que o banco não suporta lançam OperacaoNaoSuportadaError.
+ *
+ * A configuração de cada banco fica em empresas/{empresaId}/configuracaoBancaria/{bancoId}
+ * e é passada aos métodos como empresaConfig (com id = empresaId).
+ */
+
+class OperacaoNaoSuportadaError extends Error {
+    constructor(bancoId, operacao) {
+        super(`Operação ${operacao} não suportada pelo banco ${bancoId}`);
+        this.name = 'OperacaoNaoSuportadaError';
+        this.code = 'OPERATION_NOT_SUPPORTED';
+    }
+}
+
+class BankProvider {
+    /**
+     * @param {Object} info
+     * @param {string} info.id - identificador usado no Firestore (ex: 'inter')
+     * @param {string} info.nome - nome exibido
+     * @param {string} info.logo - caminho do logo no frontend
+     * @param {string[]} info.funcionalidades - ex: ['pix', 'boleto']
+     * @param {boolean} info.requerCertificado - se exige certificado mTLS
+     */
+    constructor({ id, nome, logo, funcionalidades, requerCertificado }) {
+        this.id = id;
+        this.nome = nome;
+        this.logo = logo;
+        this.funcionalidades = funcionalidades;
+        this.requerCertificado = requerCertificado;
+    }
+
+    naoSuportado(operacao) {
+        return Promise.reject(new OperacaoNaoSuportadaError(this.id, operacao));
+    }
+
+    /**
+     * Valida credenciais e conectividade com o banco
+     */
+    async testarConexao(empresaConfig) {
+        return this.naoSuportado('testarConexao');
+    }
+
+    /**
+     * Cria cobrança PIX imediata
+     * @returns {Promise<{txid, status, qrcode, imagemQrcode, valor, criacao, expiracao}>}
+     */
+    async criarPixImediato(empresaConfig, dados) {
+        return this.naoSuportado('criarPixImediato');
+    }
+
+    /**
+     * Cria cobrança PIX com vencimento
+     * @returns {Promise<{txid, status, qrcode, imagemQrcode, valor, vencimento}>}
+     */
+    async criarPixVencimento(empresaConfig, dados) {
+        return this.naoSuportado('criarPixVencimento');
+    }
+
+    /**
+     * Consulta cobrança PIX
+     * @returns {Promise<{txid, status, statusOriginal, valor, pix}>} status no formato interno
+     */
+    async consultarPix(empresaConfig, txid, tipo) {
+        return this.naoSuportado('consultarPix');
+    }
+
+    /**
+     * Lista cobranças PIX criadas em um período (uma página), usado na reconciliação
+     * @param {Object} filtro - { tipo: 'cob' | 'cobv', inicio: Date, fim: Date, pagina }
+     * @returns {Promise<{cobrancas: Object[], paginaAtual, totalPaginas}>} itens no formato de consultarPix
+     */
+    async listarPix(empresaConfig, filtro) {
+        return this.naoSuportado('listarPix');
+    }
+
+    /**
+     * Revisa cobrança PIX pendente
+     * @param {Object} cobranca - documento da cobrança no Firestore
+     * @param {Object} alteracoes - { valor, expiracao, vencimento, diasAposVencimento, pagador }
+     * @returns {Promise<{txid, revisao, status, qrcode, imagemQrcode, valor, expiracao, vencimento}>}
+     */
+    async revisarPix(empresaConfig, cobranca, alteracoes) {
+        return this.naoSuportado('revisarPix');
+    }
+
+    /**
+     * Cancela (remove) cobrança PIX pendente
+     */
+    async cancelarPix(empresaConfig, cobranca) {
+        return this.naoSuportado('cancelarPix');
+    }
+
+    /**
+     * Emite boleto
+     * @returns {Promise<{codigoSolicitacao, nossoNumero, linhaDigitavel, codigoBarras, pixCopiaECola, txid, situacao}>}
+     */
+    async emitirBoleto(empresaConfig, dados) {
+        return this.naoSuportado('emitirBoleto');
+    }
+
+    /**
+     * Consulta boleto pelo identificador da solicitação no banco
+     */
+    async consultarBoleto(empresaConfig, codigoSolicitacao) {
+        return this.naoSuportado('consultarBoleto');
+    }
+
+    /**
+     * Obtém o PDF do boleto (Buffer)
+     */
+    async obterPdfBoleto(empresaConfig, codigoSolicitacao) {
+        return this.naoSuportado('obterPdfBoleto');
+    }
+
+    /**
+     * Cria cobrança no cartão de crédito
+     * @returns {Promise<{id, status, statusOriginal, valor, cartao}>}
+     */
+    async criarCobrancaCartao(empresaConfig, dados) {
+        return this.naoSuportado('criarCobrancaCartao');
+    }
+
+    /**
+     * Solicita devolução (total ou parcial) de um pagamento recebido
+     * @param {Object} cobranca - documento da cobrança no Firestore
+     * @param {Object} dados - { id, valor, descricao }
+     * @returns {Promise<{id, rtrId, valor, status, motivo, solicitadaEm, liquidadaEm}>}
+     *          status: EM_PROCESSAMENTO | DEVOLVIDO | NAO_REALIZADO
+     */
+    async solicitarDevolucao(empresaConfig, cobranca, dados) {
+        return this.naoSuportado('solicitarDevolucao');
+    }
+
+    /**
+     * Consulta uma devolução solicitada
+     */
+    async consultarDevolucao(empresaConfig, cobranca, devolucaoId) {
+        return this.naoSuportado('consultarDevolucao');
+    }
+
+    /**
+     * Converte o corpo de um webhook do banco em eventos normalizados:
+     * {
+     *   tipo: 'pix' | 'boleto' | 'cartao',
+     *   chaves: [{ campo, valor }],   // identificadores para localizar a cobrança, em ordem
+     *   status: 'paga' | 'cancelada' | 'expirada' | 'devolvida' | null,
+     *   situacaoBanco, data, valorPago, canalPagamento, pagador,
+     *   identificadores: { endToEndId, nossoNumero, linhaDigitavel, codigoBarras },
+     *   devolucoes: [{ id, valor, status, ... }]   // opcional, mesmo formato de solicitarDevolucao
+     * }
+     * @param {string} tipo - rota em que o webhook chegou (ex: 'pix', 'boleto')
+     * @returns {Object[]}
+     */
+    parseWebhook(tipo, body) {
+        throw new OperacaoNaoSuportadaError(this.id, 'parseWebhook');
+    }
+
+    /**
+     * Limpa caches da empresa (tokens, agentes), chamado quando a configuração muda
+     */
+    limparCache(empresaId) {}
+}
+
+module.exports = { BankProvider, OperacaoNaoSuportadaError };
@@ -0,0 +1,126 @@
+/**
+ * Registro dos provedores bancários
+ * As rotas resolvem aqui o provedor e a configuração de cada empresa,
+ * sem depender diretamente de um banco específico.
+ */
+
+const interBankService = require('./interBank');
+const asaasBankService = require('./asaasBank');
+
+// Bancos anunciados no frontend que ainda não possuem adapter
+const BANCOS_PLANEJADOS = [
+    {
+        id: 'pagarme',
+        nome: 'Pagar.me',
+        logo: '/assets/images/bancos/pagarme.png',
+        funcionalidades: ['pix', 'boleto', 'cartao'],
+        requerCertificado: false
+    }
+];
+
+class BankRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    /**
+     * Registra um adapter (instância de BankProvider)
+     */
+    registrar(provider) {
+        this.providers.set(provider.id, provider);
+    }
+
+    /**
+     * Obtém o provedor pelo id (null se não registrado)
+     */
+    obter(bancoId) {
+        return this.providers.get(bancoId) || null;
+    }
+
+    listar() {
+        return [...this.providers.values()];
+    }
+
+    /**
+     * Catálogo para o frontend: bancos disponíveis + planejados
+     */
+    catalogo() {
+        const disponiveis = this.listar().map(provider => ({
+            id: provider.id,
+            nome: provider.nome,
+            logo: provider.logo,
+            funcionalidades: provider.funcionalidades,
+            status: 'disponivel',
+            requerCertificado: provider.requerCertificado
+        }));
+
+        const planejados = BANCOS_PLANEJADOS
+            .filter(banco => !this.providers.has(banco.id))
+            .map(banco => ({ ...banco, status: 'em_breve' }));
+
+        return [...disponiveis, ...planejados];
+    }
+
+    /**
+     * Carrega a configuração bancária da empresa
+     * Sem bancoId, usa a configuração marcada como padrão (padrao: true) entre as ativas;
+     * sem padrão definido, segue a ordem de registro dos provedores (Inter primeiro),
+     * nunca a ordem dos documentos no Firestore.
+     * @returns {Promise<{provider, config, configRef}|null>} null se não houver configuração
+     */
+    async carregarConfigEmpresa(db, empresaId, bancoId = null) {
+        const colecao = db.collection('empresas').doc(empresaId).collection('configuracaoBancaria');
+        let configDoc;
+
+        if (bancoId) {
+            configDoc = await colecao.doc(bancoId).get();
+            if (!configDoc.exists) return null;
+        } else {
+            const snapshot = await colecao.get();
+            const docs = snapshot.docs.filter(doc => this.providers.has(doc.id));
+            if (docs.length === 0) return null;
+
+            const ativos = docs.filter(doc => doc.data().ativo);
+            const candidatos = ativos.length > 0 ? ativos : docs;
+            configDoc = candidatos.find(doc => doc.data().padrao)
+                || this.listar().map(provider => candidatos.find(doc => doc.id === provider.id)).find(Boolean);
+        }
+
+        const provider = this.obter(configDoc.id);
+        if (!provider) return null;
+
+        const config = configDoc.data();
+        config.id = empresaId;
+        config.banco = provider.id;
+
+        return { provider, config, configRef: configDoc.ref };
+    }
+
+    /**
+     * Define o banco padrão da empresa (usado nas novas cobranças sem o parâmetro banco)
+     * Marca padrao: true na configuração escolhida e remove a marca das demais.
+     * @returns {Promise<boolean>} false se a empresa não tiver configuração para o banco
+     */
+    async definirPadrao(db, empresaId, bancoId) {
+        const colecao = db.collection('empresas').doc(empresaId).collection('configuracaoBancaria');
+        const snapshot = await colecao.get();
+
+        if (!snapshot.docs.some(doc => doc.id === bancoId)) {
+            return false;
+        }
+
+        const batch = db.batch();
+        for (const doc of snapshot.docs) {
+            batch.update(doc.ref, { padrao: doc.id === bancoId });
+        }
+        await batch.commit();
+
+        return true;
+    }
+}
+
+const bankRegistry = new BankRegistry();
+bankRegistry.registrar(interBankService);
+bankRegistry.registrar(asaasBankService);
+
+module.exports = bankRegistry;
@@ -0,0 +1,259 @@
+/**
+ * Validação e acompanhamento dos certificados mTLS das empresas
+ *
+ * - validarPar: confere o PEM do certificado e da chave privada, se a chave corresponde
+ *   ao certificado e se o certificado está no período de validade (usada no upload)
+ * - validarPfx: mesmas verificações para o pacote .pfx/.p12 (certificado + chave + senha)
+ * - verificarValidade: marca as configurações cujo certificado vence em até
+ *   CERTIFICADO_ALERTA_DIAS dias (a cada CERTIFICADO_VERIFICACAO_HORAS horas)
+ *
+ * Metadados gravados em configuracaoBancaria/{banco}.certificado
+ * {
+ *   subject, issuer, serial, fingerprint256,
+ *   validoDe, validoAte,
+ *   expirando: boolean, diasRestantes, verificadoEm
+ * }
+ */
+
+const crypto = require('crypto');
+const tls = require('tls');
+const encryptionService = require('./encryption');
+const logger = require('./logger').filho({ modulo: 'certificados' });
+
+const ALERTA_DIAS = parseInt(process.env.CERTIFICADO_ALERTA_DIAS, 10) || 30;
+const INTERVALO_HORAS = parseInt(process.env.CERTIFICADO_VERIFICACAO_HORAS ?? '24', 10);
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+class CertificadoInvalidoError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CertificadoInvalidoError';
+        this.code = 'INVALID_CERTIFICATE';
+    }
+}
+
+class CertificadoService {
+    constructor() {
+        this.timer = null;
+        this.emExecucao = false;
+    }
+
+    /**
+     * Lê o certificado X.509 (PEM)
+     * @throws {CertificadoInvalidoError}
+     */
+    lerCertificado(certContent) {
+        try {
+            return new crypto.X509Certificate(certContent);
+        } catch (error) {
+            throw new CertificadoInvalidoError('Certificado inválido: envie o arquivo .crt/.pem em formato PEM');
+        }
+    }
+
+    /**
+     * Metadados públicos do certificado
+     */
+    extrairMetadados(certificado) {
+        return {
+            subject: certificado.subject.replace(/\n/g, ', '),
+            issuer: certificado.issuer.replace(/\n/g, ', '),
+            serial: certificado.serialNumber,
+            fingerprint256: certificado.fingerprint256,
+            validoDe: new Date(certificado.validFrom),
+            validoAte: new Date(certificado.validTo)
+        };
+    }
+
+    /**
+     * Valida o certificado enviado pela empresa (PEM e período de validade)
+     * @returns {Object} metadados do certificado
+     * @throws {CertificadoInvalidoError}
+     */
+    validarCertificado(certContent) {
+        const metadados = this.extrairMetadados(this.lerCertificado(certContent));
+        const agora = new Date();
+
+        if (metadados.validoDe > agora) {
+            throw new CertificadoInvalidoError(`Certificado ainda não é válido (válido a partir de ${metadados.validoDe.toISOString()})`);
+        }
+
+        if (metadados.validoAte <= agora) {
+            throw new CertificadoInvalidoError(`Certificado expirado em ${metadados.validoAte.toISOString()}`);
+        }
+
+        return { ...metadados, ...this.situacao(metadados.validoAte, agora) };
+    }
+
+    /**
+     * Lê a chave privada (PEM, sem senha)
+     * @throws {CertificadoInvalidoError}
+     */
+    validarChave(keyContent) {
+        try {
+            return crypto.createPrivateKey(keyContent);
+        } catch (error) {
+            throw new CertificadoInvalidoError('Chave privada inválida: envie o arquivo .key/.pem em formato PEM, sem senha');
+        }
+    }
+
+    /**
+     * Valida certificado e chave privada (a chave deve corresponder ao certificado)
+     * @returns {Object} metadados do certificado
+     * @throws {CertificadoInvalidoError}
+     */
+    validarPar(certContent, keyContent) {
+        const metadados = this.validarCertificado(certContent);
+        const chavePrivada = this.validarChave(keyContent);
+
+        if (!this.lerCertificado(certContent).checkPrivateKey(chavePrivada)) {
+            throw new CertificadoInvalidoError('A chave privada não corresponde ao certificado');
+        }
+
+        return metadados;
+    }
+
+    /**
+     * Abre o pacote PKCS#12 com a senha e retorna o certificado (DER)
+     * O OpenSSL confere a senha e se a chave do pacote corresponde ao certificado.
+     * @throws {CertificadoInvalidoError}
+     */
+    lerPfx(pfxContent, senha) {
+        let secureContext;
+        try {
+            secureContext = tls.createSecureContext({ pfx: pfxContent, passphrase: senha || undefined });
+        } catch (error) {
+            if (/mac verify failure|bad decrypt/i.test(error.message)) {
+                throw new CertificadoInvalidoError('Senha do arquivo .pfx/.p12 incorreta');
+            }
+            if (/key values mismatch/i.test(error.message)) {
+                throw new CertificadoInvalidoError('A chave privada não corresponde ao certificado');
+            }
+            if (/private key/i.test(error.message)) {
+                throw new CertificadoInvalidoError('Arquivo .pfx/.p12 sem chave privada');
+            }
+            throw new CertificadoInvalidoError('Arquivo .pfx/.p12 inválido');
+        }
+
+        // Socket sem conexão: só expõe o certificado carregado no contexto
+        const socket = new tls.TLSSocket(null, { secureContext });
+        const certificado = socket.getCertificate();
+        socket.destroy();
+
+        if (!certificado?.raw) {
+            throw new CertificadoInvalidoError('Arquivo .pfx/.p12 sem certificado');
+        }
+        return certificado.raw;
+    }
+
+    /**
+     * Valida o pacote .pfx/.p12 (senha, chave do certificado e período de validade)
+     * @returns {Object} metadados do certificado
+     * @throws {CertificadoInvalidoError}
+     */
+    validarPfx(pfxContent, senha) {
+        return this.validarCertificado(this.lerPfx(pfxContent, senha));
+    }
+
+    /**
+     * Dias restantes e alerta de expiração próxima
+     */
+    situacao(validoAte, agora = new Date()) {
+        const diasRestantes = Math.floor((validoAte.getTime() - agora.getTime()) / DIA_MS);
+
+        return {
+            diasRestantes,
+            expirando: diasRestantes <= ALERTA_DIAS,
+            verificadoEm: agora
+        };
+    }
+
+    /**
+     * Agenda a verificação periódica, executada também ao iniciar
+     * (CERTIFICADO_VERIFICACAO_HORAS=0 desativa)
+     */
+    iniciar(db) {
+        if (!INTERVALO_HORAS || INTERVALO_HORAS <= 0) {
+            logger.info('Verificação de validade dos certificados desativada');
+            return;
+        }
+
+        const executar = () => this.verificarValidade(db)
+            .catch(error => logger.error('Erro ao verificar validade dos certificados', error));
+
+        executar();
+        this.timer = setInterval(executar, INTERVALO_HORAS * 60 * 60 * 1000);
+        this.timer.unref();
+    }
+
+    parar() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Atualiza a situação dos certificados de todas as empresas
+     * Configurações anteriores aos metadados têm o certificado lido uma vez para preenchê-los.
+     * @returns {Promise<Array<{empresaId, banco, validoAte, diasRestantes}>>} certificados expirando
+     */
+    async verificarValidade(db) {
+        if (this.emExecucao) return [];
+        this.emExecucao = true;
+
+        try {
+            return await this.verificarConfiguracoes(db);
+        } finally {
+            this.emExecucao = false;
+        }
+    }
+
+    async verificarConfiguracoes(db) {
+        const snapshot = await db.collectionGroup('configuracaoBancaria').get();
+        const expirando = [];
+
+        for (const configDoc of snapshot.docs) {
+            const config = configDoc.data();
+            if (!config.certBase64 && !config.pfxBase64) continue;
+
+            const empresaId = configDoc.ref.parent.parent.id;
+
+            try {
+                let metadados = config.certificado;
+
+                if (!metadados?.validoAte) {
+                    const certContent = config.pfxBase64
+                        ? this.lerPfx(
+                            Buffer.from(encryptionService.decrypt(config.pfxBase64), 'base64'),
+                            config.pfxSenha ? encryptionService.decrypt(config.pfxSenha) : null
+                        )
+                        : Buffer.from(encryptionService.decrypt(config.certBase64), 'base64');
+                    metadados = this.extrairMetadados(this.lerCertificado(certContent));
+                }
+
+                const validoAte = typeof metadados.validoAte.toDate === 'function'
+                    ? metadados.validoAte.toDate()
+                    : new Date(metadados.validoAte);
+
+                const situacao = this.situacao(validoAte);
+                await configDoc.ref.update({ certificado: { ...metadados, ...situacao } });
+
+                if (situacao.expirando) {
+                    expirando.push({ empresaId, banco: configDoc.id, validoAte, diasRestantes: situacao.diasRestantes });
+                    logger.warn(situacao.diasRestantes < 0 ? 'Certificado mTLS expirado' : 'Certificado mTLS próximo do vencimento', {
+                        empresaId,
+                        banco: configDoc.id,
+                        validoAte,
+                        diasRestantes: situacao.diasRestantes
+                    });
+                }
+
+            } catch (error) {
+                logger.error('Não foi possível verificar o certificado', { config: configDoc.ref.path, erro: error.message });
+            }
+        }
+
+        return expirando;
+    }
+}
+
+module.exports = new CertificadoService();
+module.exports.CertificadoInvalidoError = CertificadoInvalidoError;
@@ -0,0 +1,141 @@
+/**
+ * Índice global de cobranças
+ * Mapeia identificadores do banco (txid, nossoNumero, codigoSolicitacao, endToEndId, idExterno)
+ * para a empresa e o documento da cobrança, permitindo que os webhooks
+ * localizem a cobrança com uma única leitura.
+ *
+ * A chave inclui o banco (nossoNumero é único apenas por banco e convênio) e
+ * cada documento guarda as cobranças por empresa, para que um mesmo
+ * identificador em empresas diferentes não sobrescreva o mapeamento da outra.
+ *
+ * indiceCobrancas/{banco}_{campo}_{valor}
+ * {
+ *   banco: "inter",
+ *   campo: "txid",
+ *   valor: "...",
+ *   cobrancas: { [empresaId]: cobrancaId },
+ *   atualizadoEm: Date
+ * }
+ *
+ * Documentos antigos ({campo}_{valor}, com empresaId e cobrancaId) ainda são lidos
+ * enquanto o índice não é refeito com npm run indexar-cobrancas.
+ */
+
+const logger = require('./logger');
+
+const COLECAO_INDICE = 'indiceCobrancas';
+const CAMPOS_INDEXADOS = ['txid', 'nossoNumero', 'codigoSolicitacao', 'endToEndId', 'idExterno'];
+
+class CobrancaIndexService {
+    /**
+     * ID do documento de índice para um identificador
+     */
+    chaveIndice(banco, campo, valor) {
+        return `${banco}_${campo}_${valor}`;
+    }
+
+    /**
+     * Registra os identificadores de uma cobrança no índice global
+     * @param {FirebaseFirestore.Firestore} db
+     * @param {FirebaseFirestore.DocumentReference} cobrancaRef - empresas/{empresaId}/cobrancas/{id}
+     * @param {string} banco - id do provedor que emitiu a cobrança
+     * @param {Object} identificadores - { txid, nossoNumero, codigoSolicitacao, endToEndId, idExterno }
+     */
+    async registrar(db, cobrancaRef, banco, identificadores) {
+        const empresaId = cobrancaRef.parent.parent.id;
+        const batch = db.batch();
+        let total = 0;
+
+        for (const campo of CAMPOS_INDEXADOS) {
+            const valor = identificadores[campo];
+            if (!valor) continue;
+
+            batch.set(db.collection(COLECAO_INDICE).doc(this.chaveIndice(banco, campo, valor)), {
+                banco,
+                campo,
+                valor,
+                cobrancas: { [empresaId]: cobrancaRef.id },
+                atualizadoEm: new Date()
+            }, { merge: true });
+            total++;
+        }
+
+        if (total > 0) {
+            await batch.commit();
+        }
+    }
+
+    /**
+     * Localiza a cobrança a partir de um identificador
+     * Com empresaId (conhecido pela URL do webhook), só aceita cobranças dessa empresa;
+     * sem ele, o identificador precisa apontar para uma única empresa.
+     * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>}
+     */
+    async resolver(db, banco, campo, valor, empresaId = null) {
+        if (!valor) return null;
+
+        const indiceDoc = await db.collection(COLECAO_INDICE).doc(this.chaveIndice(banco, campo, valor)).get();
+
+        if (!indiceDoc.exists) {
+            return this.resolverLegado(db, banco, campo, valor, empresaId);
+        }
+
+        const candidatos = Object.entries(indiceDoc.data().cobrancas || {});
+        let escolhido;
+
+        if (empresaId) {
+            escolhido = candidatos.find(([empresa]) => empresa === empresaId);
+        } else if (candidatos.length === 1) {
+            escolhido = candidatos[0];
+        } else if (candidatos.length > 1) {
+            logger.warn('Identificador do banco pertence a mais de uma empresa', { banco, campo, empresas: candidatos.length });
+        }
+
+        if (!escolhido) return null;
+
+        return this.carregarCobranca(db, escolhido[0], escolhido[1]);
+    }
+
+    /**
+     * Entradas gravadas antes da chave por banco: valem apenas se a cobrança
+     * for do mesmo banco (sem o campo banco, Inter) e da empresa esperada
+     */
+    async resolverLegado(db, banco, campo, valor, empresaId) {
+        const indiceDoc = await db.collection(COLECAO_INDICE).doc(`${campo}_${valor}`).get();
+
+        if (!indiceDoc.exists) {
+            return null;
+        }
+
+        const indice = indiceDoc.data();
+        if (empresaId && indice.empresaId !== empresaId) return null;
+
+        const cobrancaDoc = await this.carregarCobranca(db, indice.empresaId, indice.cobrancaId);
+        if (!cobrancaDoc || (cobrancaDoc.data().banco || 'inter') !== banco) return null;
+
+        return cobrancaDoc;
+    }
+
+    async carregarCobranca(db, empresaId, cobrancaId) {
+        const cobrancaDoc = await db.collection('empresas').doc(empresaId)
+            .collection('cobrancas').doc(cobrancaId).get();
+
+        return cobrancaDoc.exists ? cobrancaDoc : null;
+    }
+
+    /**
+     * Localiza a cobrança pela primeira chave encontrada no índice
+     * @param {Array<{campo, valor}>} chaves - em ordem de preferência
+     * @param {Object} escopo - { banco, empresaId (opcional) }
+     */
+    async resolverPrimeiro(db, chaves, { banco, empresaId = null }) {
+        for (const { campo, valor } of chaves) {
+            const cobrancaDoc = await this.resolver(db, banco, campo, valor, empresaId);
+            if (cobrancaDoc) return cobrancaDoc;
+        }
+        return null;
+    }
+}
+
+module.exports = new CobrancaIndexService();
+module.exports.CAMPOS_INDEXADOS = CAMPOS_INDEXADOS;
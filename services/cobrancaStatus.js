@@ -0,0 +1,149 @@
+/**
+ * Aplicação de eventos de pagamento às cobranças
+ * Converte os eventos normalizados dos provedores (BankProvider.parseWebhook)
+ * na atualização do documento em empresas/{empresaId}/cobrancas.
+ */
+
+const cobrancaIndex = require('./cobrancaIndex');
+const notificacoes = require('./notificacoes');
+
+const STATUS_DEVOLUCAO = ['devolvida', 'parcialmente_devolvida'];
+
+class CobrancaStatusService {
+    /**
+     * Mescla devoluções (pelo id) no histórico da cobrança e recalcula o status
+     * Só devoluções com status DEVOLVIDO contam no valor devolvido.
+     * @returns {{devolucoes: Object[], valorDevolvido: number, status: string}}
+     */
+    mesclarDevolucoes(cobranca, devolucoes) {
+        const historico = [...(cobranca.devolucoes || [])];
+
+        for (const devolucao of devolucoes) {
+            const indice = historico.findIndex(item => item.id === devolucao.id);
+            if (indice >= 0) {
+                // Preserva dados da solicitação (descricao, solicitadoPor) ausentes na resposta do banco
+                const atualizados = Object.fromEntries(
+                    Object.entries(devolucao).filter(([, valor]) => valor !== null && valor !== undefined)
+                );
+                historico[indice] = { ...historico[indice], ...atualizados };
+            } else {
+                historico.push(devolucao);
+            }
+        }
+
+        const valorDevolvido = Math.round(historico
+            .filter(item => item.status === 'DEVOLVIDO')
+            .reduce((total, item) => total + item.valor, 0) * 100) / 100;
+
+        const valorBase = cobranca.valorPago ?? cobranca.valor;
+        let status = cobranca.status;
+
+        if (valorDevolvido > 0) {
+            status = valorDevolvido >= valorBase ? 'devolvida' : 'parcialmente_devolvida';
+        }
+
+        return { devolucoes: historico, valorDevolvido, status };
+    }
+
+    /**
+     * Atualização da cobrança após mesclar devoluções (inclui dataDevolucao ao ficar devolvida)
+     */
+    montarAtualizacaoDevolucoes(cobranca, devolucoes) {
+        const atualizacao = this.mesclarDevolucoes(cobranca, devolucoes);
+
+        if (atualizacao.status === 'devolvida' && cobranca.status !== 'devolvida') {
+            atualizacao.dataDevolucao = new Date();
+        }
+
+        return atualizacao;
+    }
+
+    /**
+     * Monta a atualização da cobrança a partir de um evento
+     * Retorna null para eventos que não alteram o status.
+     */
+    montarAtualizacao(evento, cobranca) {
+        if (!evento.status) {
+            return null;
+        }
+
+        const atualizacao = {
+            status: evento.status,
+            webhookRecebido: new Date()
+        };
+
+        if (evento.situacaoBanco) {
+            atualizacao.situacaoBanco = evento.situacaoBanco;
+        }
+
+        switch (evento.status) {
+            case 'paga': {
+                const valorPago = evento.valorPago ?? cobranca.valor;
+
+                // Boleto pago abaixo do valor nominal é registrado separadamente para conferência
+                if (evento.tipo === 'boleto' && valorPago < cobranca.valor) {
+                    atualizacao.status = 'paga_a_menor';
+                }
+
+                // Reenvio da notificação de pagamento não desfaz uma devolução já registrada
+                if (STATUS_DEVOLUCAO.includes(cobranca.status)) {
+                    atualizacao.status = cobranca.status;
+                }
+
+                atualizacao.valorPago = valorPago;
+                atualizacao.dataPagamento = evento.data;
+                atualizacao.canalPagamento = evento.canalPagamento || null;
+                if (evento.pagador) atualizacao.pagadorInfo = evento.pagador;
+                break;
+            }
+            case 'cancelada':
+                atualizacao.dataCancelamento = evento.data;
+                break;
+            case 'expirada':
+                atualizacao.dataExpiracao = evento.data;
+                break;
+            case 'devolvida':
+                atualizacao.dataDevolucao = evento.data;
+                break;
+        }
+
+        // Preenche identificadores que podem não estar disponíveis na emissão
+        for (const [campo, valor] of Object.entries(evento.identificadores || {})) {
+            if (valor && !cobranca[campo]) atualizacao[campo] = valor;
+        }
+
+        // Notificação de devolução: o pagamento vem acompanhado do histórico de devoluções
+        if (evento.devolucoes?.length > 0) {
+            Object.assign(atualizacao, this.montarAtualizacaoDevolucoes({ ...cobranca, ...atualizacao }, evento.devolucoes));
+        }
+
+        return atualizacao;
+    }
+
+    /**
+     * Aplica o evento à cobrança e indexa os novos identificadores
+     * @returns {Promise<Object|null>} atualização aplicada (null se ignorado)
+     */
+    async aplicarEvento(db, cobrancaDoc, evento) {
+        const atualizacao = this.montarAtualizacao(evento, cobrancaDoc.data());
+
+        if (!atualizacao) {
+            return null;
+        }
+
+        await cobrancaDoc.ref.update(atualizacao);
+
+        // endToEndId identifica o pagamento (usado em devoluções); nossoNumero pode chegar depois
+        await cobrancaIndex.registrar(db, cobrancaDoc.ref, cobrancaDoc.data().banco || 'inter', {
+            endToEndId: atualizacao.endToEndId,
+            nossoNumero: atualizacao.nossoNumero
+        });
+
+        await notificacoes.publicarMudancaCobranca(db, cobrancaDoc.ref, cobrancaDoc.data(), atualizacao);
+
+        return atualizacao;
+    }
+}
+
+module.exports = new CobrancaStatusService();
+module.exports.STATUS_DEVOLUCAO = STATUS_DEVOLUCAO;
@@ -0,0 +1,125 @@
+/**
+ * Proteção dos webhooks de saída contra destinos internos (SSRF)
+ *
+ * As URLs são cadastradas pelas empresas e a resposta fica visível no registro de entregas,
+ * por isso o host só é aceito se todos os endereços resolvidos forem públicos. Bloqueados:
+ * loopback, redes privadas, link-local (inclui 169.254.169.254, metadados de nuvem),
+ * CGNAT, multicast, reservados e os equivalentes IPv6 (ULA, link-local, descarte, IPv4
+ * mapeado e os prefixos que embutem um IPv4: NAT64, 6to4 e Teredo).
+ *
+ * - verificar(url): cadastro e início de cada entrega (resolve o host e confere os endereços)
+ * - agentes: usados no envio; conferem de novo o endereço na conexão, para que o DNS
+ *   não aponte para a rede interna depois da verificação (DNS rebinding)
+ *
+ * WEBHOOKS_PERMITIR_REDE_PRIVADA=true libera destinos internos fora de produção (testes locais).
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const REDES_BLOQUEADAS = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'],
+    ['100::', 64, 'ipv6'],
+    ['2001::', 32, 'ipv6'],
+    ['2002::', 16, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+class DestinoWebhookService {
+    constructor() {
+        this.bloqueados = new net.BlockList();
+        for (const [rede, prefixo, tipo] of REDES_BLOQUEADAS) {
+            this.bloqueados.addSubnet(rede, prefixo, tipo);
+        }
+
+        const lookup = (hostname, opcoes, callback) => this.resolverNaConexao(hostname, opcoes, callback);
+        this.agentes = {
+            httpAgent: new http.Agent({ lookup }),
+            httpsAgent: new https.Agent({ lookup })
+        };
+    }
+
+    redePrivadaPermitida() {
+        return process.env.NODE_ENV !== 'production' && process.env.WEBHOOKS_PERMITIR_REDE_PRIVADA === 'true';
+    }
+
+    /**
+     * Endereço IP interno (IPv4 mapeado em IPv6 é conferido como IPv4)
+     */
+    enderecoBloqueado(endereco) {
+        if (this.redePrivadaPermitida()) return false;
+
+        const familia = net.isIP(endereco);
+        if (familia === 0) return true;
+
+        return this.bloqueados.check(endereco, familia === 4 ? 'ipv4' : 'ipv6');
+    }
+
+    /**
+     * Resolve o host da URL e confere todos os endereços
+     * @returns {Promise<Object|null>} { codigo, mensagem } se o destino não for aceito
+     */
+    async verificar(url) {
+        let host;
+        try {
+            host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+        } catch {
+            return { codigo: 'INVALID_FORMAT', mensagem: 'URL inválida' };
+        }
+
+        let enderecos;
+        if (net.isIP(host)) {
+            enderecos = [host];
+        } else {
+            try {
+                enderecos = (await dns.promises.lookup(host, { all: true })).map(item => item.address);
+            } catch {
+                return { codigo: 'UNRESOLVABLE_HOST', mensagem: `Não foi possível resolver o host ${host}` };
+            }
+        }
+
+        if (enderecos.some(endereco => this.enderecoBloqueado(endereco))) {
+            return { codigo: 'BLOCKED_DESTINATION', mensagem: 'A URL do webhook aponta para um endereço interno ou reservado' };
+        }
+
+        return null;
+    }
+
+    /**
+     * lookup dos agentes: falha a conexão se o host resolver para endereço interno
+     */
+    resolverNaConexao(hostname, opcoes, callback) {
+        dns.lookup(hostname, opcoes, (erro, endereco, familia) => {
+            if (erro) return callback(erro);
+
+            const enderecos = Array.isArray(endereco) ? endereco.map(item => item.address) : [endereco];
+
+            if (enderecos.some(item => this.enderecoBloqueado(item))) {
+                const bloqueio = new Error(`Destino bloqueado: ${hostname} resolve para endereço interno`);
+                bloqueio.code = 'BLOCKED_DESTINATION';
+                return callback(bloqueio);
+            }
+
+            callback(null, endereco, familia);
+        });
+    }
+}
+
+module.exports = new DestinoWebhookService();
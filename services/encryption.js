@@ -1,51 +1,187 @@
 /**
  * Serviço de encriptação para credenciais bancárias
- * Usa AES para armazenar dados sensíveis de forma segura
+ * AES-256-GCM (autenticado) com identificador da chave no valor cifrado:
+ *
+ *   enc:v1:<keyId>:<iv base64>:<tag base64>:<cifrado base64>
+ *
+ * Chaves (32 bytes, hex ou base64):
+ * - ENCRYPTION_KEYS: lista "id:chave" separada por vírgula; todas decifram
+ * - ENCRYPTION_KEY_ID: chave usada para cifrar (padrão: a primeira da lista)
+ * - ENCRYPTION_KEY (legado): passphrase do CryptoJS. Decifra os valores antigos
+ *   ("U2FsdGVkX1...") e, sem ENCRYPTION_KEYS, vira a chave "k0" (SHA-256 da passphrase)
+ *
+ * Em produção o servidor não inicia sem chave. Valores que não puderem ser decifrados
+ * geram CriptografiaError - nunca são tratados como texto puro.
+ * Para recifrar tudo com a chave ativa: npm run rotacionar-chaves
  */
 
+const crypto = require('crypto');
 const CryptoJS = require('crypto-js');
+const logger = require('./logger');
+
+const PREFIXO = 'enc:v1:';
+const PREFIXO_LEGADO = 'U2FsdGVkX1'; // "Salted__" em base64 (formato do CryptoJS)
+const ALGORITMO = 'aes-256-gcm';
+
+class CriptografiaError extends Error {
+    constructor(message, code = 'DECRYPTION_FAILED') {
+        super(message);
+        this.name = 'CriptografiaError';
+        this.code = code;
+    }
+}
+
+/**
+ * Chave de 32 bytes em hex (64 caracteres) ou base64
+ */
+function lerChave(id, texto) {
+    const chave = /^[0-9a-fA-F]{64}$/.test(texto) ? Buffer.from(texto, 'hex') : Buffer.from(texto, 'base64');
+
+    if (chave.length !== 32) {
+        throw new Error(`Chave de encriptação "${id}" deve ter 32 bytes (64 caracteres hex ou base64)`);
+    }
+    return chave;
+}
 
 class EncryptionService {
     constructor() {
-        this.key = process.env.ENCRYPTION_KEY;
-        if (!this.key) {
-            console.warn('⚠️ ENCRYPTION_KEY não definida! Credenciais não serão criptografadas.');
+        this.passphraseLegada = process.env.ENCRYPTION_KEY || null;
+        this.chaves = new Map();
+
+        for (const item of (process.env.ENCRYPTION_KEYS || '').split(',').map(s => s.trim()).filter(Boolean)) {
+            const separador = item.indexOf(':');
+            if (separador <= 0) {
+                throw new Error('ENCRYPTION_KEYS deve estar no formato id:chave[,id:chave]');
+            }
+            const id = item.substring(0, separador);
+            this.chaves.set(id, lerChave(id, item.substring(separador + 1)));
+        }
+
+        if (this.chaves.size === 0 && this.passphraseLegada) {
+            this.chaves.set('k0', crypto.createHash('sha256').update(this.passphraseLegada).digest());
+        }
+
+        this.chaveAtiva = process.env.ENCRYPTION_KEY_ID || this.chaves.keys().next().value || null;
+
+        if (this.chaveAtiva && !this.chaves.has(this.chaveAtiva)) {
+            throw new Error(`ENCRYPTION_KEY_ID "${this.chaveAtiva}" não está em ENCRYPTION_KEYS`);
+        }
+
+        if (!this.chaveAtiva) {
+            if (process.env.NODE_ENV === 'production') {
+                throw new Error('Nenhuma chave de encriptação configurada (ENCRYPTION_KEYS) - obrigatória em produção');
+            }
+            logger.warn('Nenhuma chave de encriptação configurada - não será possível salvar credenciais');
         }
     }
 
     /**
-     * Encripta um valor usando AES
+     * Encripta um valor com a chave ativa
      */
     encrypt(value) {
-        if (!this.key) {
-            console.warn('⚠️ Encriptação desativada - ENCRYPTION_KEY não definida');
-            return value;
+        if (!this.chaveAtiva) {
+            throw new CriptografiaError('Encriptação não configurada (ENCRYPTION_KEYS)', 'ENCRYPTION_NOT_CONFIGURED');
         }
-        return CryptoJS.AES.encrypt(value, this.key).toString();
+
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITMO, this.chaves.get(this.chaveAtiva), iv);
+        const cifrado = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+        return PREFIXO + [
+            this.chaveAtiva,
+            iv.toString('base64'),
+            cipher.getAuthTag().toString('base64'),
+            cifrado.toString('base64')
+        ].join(':');
     }
 
     /**
-     * Descriptografa um valor
+     * Descriptografa um valor (formato atual ou legado do CryptoJS)
+     * @throws {CriptografiaError} chave desconhecida, valor adulterado ou não cifrado
      */
     decrypt(encryptedValue) {
-        if (!this.key) {
-            return encryptedValue;
+        if (typeof encryptedValue !== 'string' || encryptedValue === '') {
+            throw new CriptografiaError('Valor cifrado ausente');
+        }
+
+        if (encryptedValue.startsWith(PREFIXO)) {
+            const [keyId, iv, tag, cifrado] = encryptedValue.substring(PREFIXO.length).split(':');
+            const chave = this.chaves.get(keyId);
+
+            if (!chave) {
+                throw new CriptografiaError(`Chave de encriptação "${keyId}" não configurada`);
+            }
+
+            try {
+                const decipher = crypto.createDecipheriv(ALGORITMO, chave, Buffer.from(iv, 'base64'));
+                decipher.setAuthTag(Buffer.from(tag, 'base64'));
+                return Buffer.concat([decipher.update(Buffer.from(cifrado, 'base64')), decipher.final()]).toString('utf8');
+            } catch (error) {
+                throw new CriptografiaError(`Falha ao descriptografar com a chave "${keyId}" (valor adulterado ou chave incorreta)`);
+            }
         }
+
+        if (encryptedValue.startsWith(PREFIXO_LEGADO)) {
+            return this.decryptLegado(encryptedValue);
+        }
+
+        throw new CriptografiaError('Valor não está criptografado');
+    }
+
+    /**
+     * Valores gravados pelo CryptoJS (passphrase ENCRYPTION_KEY)
+     */
+    decryptLegado(encryptedValue) {
+        if (!this.passphraseLegada) {
+            throw new CriptografiaError('Valor no formato antigo e ENCRYPTION_KEY não definida');
+        }
+
+        let texto = '';
         try {
-            const bytes = CryptoJS.AES.decrypt(encryptedValue, this.key);
-            return bytes.toString(CryptoJS.enc.Utf8);
+            texto = CryptoJS.AES.decrypt(encryptedValue, this.passphraseLegada).toString(CryptoJS.enc.Utf8);
         } catch (error) {
-            console.error('Erro ao descriptografar:', error.message);
-            return null;
+            texto = '';
+        }
+
+        if (!texto) {
+            throw new CriptografiaError('Falha ao descriptografar valor no formato antigo (ENCRYPTION_KEY incorreta?)');
+        }
+        return texto;
+    }
+
+    /**
+     * true se o valor já está cifrado (formato atual ou legado)
+     */
+    isEncrypted(value) {
+        return typeof value === 'string' && (value.startsWith(PREFIXO) || value.startsWith(PREFIXO_LEGADO));
+    }
+
+    /**
+     * true se o valor não está cifrado com a chave ativa no formato atual
+     */
+    needsReencryption(value) {
+        return !(typeof value === 'string' && value.startsWith(`${PREFIXO}${this.chaveAtiva}:`));
+    }
+
+    /**
+     * Assinatura HMAC-SHA256 (base64url) com a chave ativa, usada em links temporários
+     * O texto deve identificar a finalidade (ex: 'boleto.pdf:...') para não valer em outro uso.
+     */
+    assinar(texto) {
+        if (!this.chaveAtiva) {
+            throw new CriptografiaError('Encriptação não configurada (ENCRYPTION_KEYS)', 'ENCRYPTION_NOT_CONFIGURED');
         }
+
+        return crypto.createHmac('sha256', this.chaves.get(this.chaveAtiva)).update(texto).digest('base64url');
     }
 
     /**
      * Verifica se a chave de encriptação está configurada
      */
     isConfigured() {
-        return !!this.key;
+        return !!this.chaveAtiva;
     }
 }
 
 module.exports = new EncryptionService();
+module.exports.CriptografiaError = CriptografiaError;
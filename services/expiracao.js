@@ -0,0 +1,222 @@
+/**
+ * Expiração de cobranças PIX
+ * Marca como expiradas as cobranças pendentes cujo prazo terminou e, se a empresa
+ * habilitar reemitirPixExpirado, emite um novo QR Code para a mesma fatura.
+ *
+ * O instante de expiração é gravado em expiraEm na criação da cobrança:
+ * - cob (imediata): criadaEm + expiracao (segundos)
+ * - cobv (vencimento): fim do dia de vencimento + diasAposVencimento (validadeAposVencimento no Inter)
+ *
+ * Cobranças sem expiraEm (anteriores a este campo) são cobertas pela reconciliação,
+ * que calcula a expiração pelo calendário retornado pelo banco.
+ */
+
+const bankRegistry = require('./bankRegistry');
+const cobrancaIndex = require('./cobrancaIndex');
+const cobrancaStatus = require('./cobrancaStatus');
+const notificacoes = require('./notificacoes');
+const logger = require('./logger').filho({ modulo: 'expiracao' });
+
+const INTERVALO_MIN = parseInt(process.env.EXPIRACAO_INTERVALO_MIN ?? '5', 10);
+const MAX_REEMISSOES = parseInt(process.env.PIX_MAX_REEMISSOES ?? '3', 10);
+
+// Cobranças processadas por execução
+const LOTE = 200;
+
+class ExpiracaoService {
+    constructor() {
+        this.timer = null;
+        this.emExecucao = false;
+    }
+
+    /**
+     * Calcula o instante de expiração de uma cobrança PIX (campos do documento)
+     * @returns {Date|null}
+     */
+    calcularExpiraEm({ tipoCobranca, criadaEm, expiracao, vencimento, diasAposVencimento }) {
+        if (tipoCobranca === 'vencimento') {
+            if (!vencimento) return null;
+
+            const limite = new Date(`${vencimento}T23:59:59.999-03:00`);
+            limite.setDate(limite.getDate() + (diasAposVencimento ?? 30));
+            return limite;
+        }
+
+        if (!criadaEm || !expiracao) return null;
+
+        const inicio = typeof criadaEm.toDate === 'function' ? criadaEm.toDate() : new Date(criadaEm);
+        return new Date(inicio.getTime() + expiracao * 1000);
+    }
+
+    /**
+     * Agenda a verificação periódica (EXPIRACAO_INTERVALO_MIN=0 desativa)
+     */
+    iniciar(db) {
+        if (!INTERVALO_MIN || INTERVALO_MIN <= 0) {
+            logger.info('Expiração automática de PIX desativada');
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.executar(db).catch(error => logger.error('Erro na expiração de cobranças', error));
+        }, INTERVALO_MIN * 60 * 1000);
+
+        this.timer.unref();
+
+        logger.info('Expiração de cobranças PIX agendada', { intervaloMin: INTERVALO_MIN });
+    }
+
+    parar() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Expira as cobranças pendentes vencidas de todas as empresas
+     * @returns {Promise<{expiradas: number, reemitidas: number}>}
+     */
+    async executar(db) {
+        if (this.emExecucao) {
+            return { expiradas: 0, reemitidas: 0 };
+        }
+
+        this.emExecucao = true;
+        const resultado = { expiradas: 0, reemitidas: 0 };
+
+        try {
+            const snapshot = await db.collectionGroup('cobrancas')
+                .where('status', '==', 'pendente')
+                .where('expiraEm', '<=', new Date())
+                .limit(LOTE)
+                .get();
+
+            // Configuração bancária carregada uma vez por empresa/banco
+            const configs = new Map();
+
+            for (const cobrancaDoc of snapshot.docs) {
+                try {
+                    const expirada = await this.expirar(db, cobrancaDoc);
+                    if (!expirada) continue;
+
+                    resultado.expiradas++;
+                    await notificacoes.publicarMudancaCobranca(db, cobrancaDoc.ref, expirada.cobranca, expirada.atualizacao);
+                } catch (error) {
+                    logger.error('Erro ao expirar cobrança', { cobranca: cobrancaDoc.ref.path, erro: error.message });
+                    continue;
+                }
+
+                // Falha na reemissão não desfaz a expiração; a fatura pode ser cobrada de novo manualmente
+                try {
+                    if (await this.reemitir(db, cobrancaDoc, configs)) resultado.reemitidas++;
+                } catch (error) {
+                    logger.error('Erro ao reemitir cobrança', { cobranca: cobrancaDoc.ref.path, erro: error.message });
+                }
+            }
+
+            if (resultado.expiradas > 0) {
+                logger.info('Cobranças expiradas', resultado);
+            }
+
+        } finally {
+            this.emExecucao = false;
+        }
+
+        return resultado;
+    }
+
+    /**
+     * Marca a cobrança como expirada se ainda estiver pendente
+     * A transação evita sobrescrever um pagamento recebido pelo webhook no mesmo instante.
+     * @returns {Promise<{cobranca, atualizacao}|null>} null se a cobrança já não estava pendente
+     */
+    async expirar(db, cobrancaDoc) {
+        return db.runTransaction(async (transaction) => {
+            const atual = await transaction.get(cobrancaDoc.ref);
+            const cobranca = atual.data();
+
+            if (!atual.exists || cobranca.status !== 'pendente') {
+                return null;
+            }
+
+            const expiraEm = typeof cobranca.expiraEm?.toDate === 'function'
+                ? cobranca.expiraEm.toDate()
+                : new Date(cobranca.expiraEm);
+
+            const atualizacao = cobrancaStatus.montarAtualizacao({
+                tipo: cobranca.tipo,
+                status: 'expirada',
+                situacaoBanco: null,
+                data: expiraEm,
+                identificadores: {}
+            }, cobranca);
+
+            transaction.update(cobrancaDoc.ref, atualizacao);
+            return { cobranca, atualizacao };
+        });
+    }
+
+    /**
+     * Emite uma nova cobrança imediata para a mesma fatura, se a empresa habilitou
+     * @returns {Promise<boolean>} true se reemitida
+     */
+    async reemitir(db, cobrancaDoc, configs) {
+        const cobranca = cobrancaDoc.data();
+        const empresaId = cobrancaDoc.ref.parent.parent.id;
+        const bancoId = cobranca.banco || 'inter';
+
+        if (cobranca.tipo !== 'pix' || cobranca.tipoCobranca !== 'imediata') return false;
+        if ((cobranca.reemissao || 0) >= MAX_REEMISSOES) return false;
+
+        const chave = `${empresaId}/${bancoId}`;
+        if (!configs.has(chave)) {
+            configs.set(chave, await bankRegistry.carregarConfigEmpresa(db, empresaId, bancoId));
+        }
+
+        const resolvido = configs.get(chave);
+        if (!resolvido || !resolvido.config.ativo || !resolvido.config.reemitirPixExpirado) return false;
+
+        const { provider, config } = resolvido;
+
+        const resultado = await provider.criarPixImediato(config, {
+            valor: cobranca.valor,
+            descricao: cobranca.descricao,
+            pagador: cobranca.pagador,
+            expiracao: cobranca.expiracao || 3600
+        });
+
+        const criadaEm = new Date();
+        const novaRef = await db.collection('empresas').doc(empresaId)
+            .collection('cobrancas').add({
+                tipo: 'pix',
+                tipoCobranca: 'imediata',
+                txid: resultado.txid,
+                invoiceId: cobranca.invoiceId,
+                valor: cobranca.valor,
+                descricao: cobranca.descricao ?? null,
+                pagador: cobranca.pagador,
+                pagadorDocumento: cobranca.pagadorDocumento || null,
+                status: 'pendente',
+                qrcode: resultado.qrcode,
+                imagemQrcode: resultado.imagemQrcode,
+                banco: provider.id,
+                criadaEm,
+                expiracao: resultado.expiracao,
+                expiraEm: this.calcularExpiraEm({ tipoCobranca: 'imediata', criadaEm, expiracao: resultado.expiracao }),
+                reemitidaDe: cobrancaDoc.id,
+                reemissao: (cobranca.reemissao || 0) + 1
+            });
+
+        await cobrancaIndex.registrar(db, novaRef, provider.id, { txid: resultado.txid });
+        await cobrancaDoc.ref.update({ reemitidaPor: novaRef.id });
+
+        logger.info('Cobrança reemitida', {
+            empresaId,
+            cobrancaId: cobrancaDoc.id,
+            novaCobrancaId: novaRef.id,
+            invoiceId: cobranca.invoiceId
+        });
+        return true;
+    }
+}
+
+module.exports = new ExpiracaoService();
@@ -0,0 +1,41 @@
+/**
+ * Inicialização do Firebase Admin
+ * Compartilhada entre o servidor e os scripts de manutenção
+ */
+
+const path = require('path');
+const admin = require('firebase-admin');
+const logger = require('./logger');
+
+const initFirebaseAdmin = () => {
+    try {
+        let serviceAccount;
+
+        // Tenta carregar do JSON em variável de ambiente (produção)
+        if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+            logger.debug('Carregando Firebase de variável de ambiente');
+            serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+        }
+        // Fallback para arquivo local (desenvolvimento)
+        else {
+            const serviceAccountPath = process.env.FIREBASE_SERVICE_ACCOUNT_PATH || './serviceAccountKey.json';
+            logger.debug('Carregando Firebase de arquivo', { arquivo: serviceAccountPath });
+            // Caminhos relativos são resolvidos a partir da raiz do projeto
+            serviceAccount = require(path.resolve(__dirname, '..', serviceAccountPath));
+        }
+
+        admin.initializeApp({
+            credential: admin.credential.cert(serviceAccount)
+        });
+
+        logger.info('Firebase Admin inicializado');
+        return admin.firestore();
+    } catch (error) {
+        logger.error('Erro ao inicializar Firebase Admin - configure FIREBASE_SERVICE_ACCOUNT ou serviceAccountKey.json', {
+            erro: error.message
+        });
+        process.exit(1);
+    }
+};
+
+module.exports = { initFirebaseAdmin };
@@ -1,19 +1,174 @@
 /**
  * Serviço de integração com Banco Inter
  * Suporta OAuth 2.0 com mTLS para PIX e Boletos
+ *
+ * Todas as chamadas passam por requisicao():
+ * - um agente HTTPS mTLS keep-alive por empresa (recriado se o certificado mudar ou após limparCache)
+ * - timeout de conexão (INTER_TIMEOUT_CONEXAO_MS) e de resposta (INTER_TIMEOUT_RESPOSTA_MS)
+ * - 401: renova o token e repete uma vez
+ * - 5xx e erros de rede: novas tentativas com backoff exponencial (INTER_MAX_TENTATIVAS);
+ *   operações não idempotentes só são repetidas se a conexão não chegou a ser aberta
+ * - circuito por empresa: após INTER_CIRCUITO_FALHAS falhas seguidas de rede/5xx, as chamadas
+ *   falham imediatamente por INTER_CIRCUITO_PAUSA_SEG segundos
+ * - erros sempre como InterApiError (code, status e detalhe retornado pelo banco)
+ *
+ * O certificado do servidor do Inter é sempre verificado: CAs padrão do Node mais
+ * INTER_CA_BUNDLE e, opcionalmente, pinos por ambiente (INTER_TLS_PINS_SANDBOX /
+ * INTER_TLS_PINS_PRODUCTION). Desativar a verificação exige INTER_TLS_INSECURE_<AMBIENTE>=true.
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
 const https = require('https');
+const tls = require('tls');
 const fs = require('fs');
 const path = require('path');
 const encryptionService = require('./encryption');
+const { BankProvider } = require('./bankProvider');
+const logger = require('./logger').filho({ modulo: 'inter' });
+
+const TIMEOUT_CONEXAO_MS = parseInt(process.env.INTER_TIMEOUT_CONEXAO_MS, 10) || 5000;
+const TIMEOUT_RESPOSTA_MS = parseInt(process.env.INTER_TIMEOUT_RESPOSTA_MS, 10) || 20000;
+const MAX_TENTATIVAS = parseInt(process.env.INTER_MAX_TENTATIVAS, 10) || 3;
+const BACKOFF_BASE_MS = 500;
+const CIRCUITO_FALHAS = parseInt(process.env.INTER_CIRCUITO_FALHAS, 10) || 5;
+const CIRCUITO_PAUSA_MS = (parseInt(process.env.INTER_CIRCUITO_PAUSA_SEG, 10) || 30) * 1000;
+
+// Falhas em que a requisição não chegou ao banco (seguras mesmo para operações não idempotentes)
+const ERROS_CONEXAO = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Falhas na verificação do certificado do servidor do Inter (não adianta repetir)
+const ERROS_TLS = {
+    UNABLE_TO_GET_ISSUER_CERT_LOCALLY: 'a CA emissora não está entre as confiáveis (adicione-a em INTER_CA_BUNDLE)',
+    UNABLE_TO_GET_ISSUER_CERT: 'a CA emissora não está entre as confiáveis (adicione-a em INTER_CA_BUNDLE)',
+    UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'cadeia incompleta ou emitida por CA desconhecida (adicione a CA em INTER_CA_BUNDLE)',
+    SELF_SIGNED_CERT_IN_CHAIN: 'a cadeia termina em uma CA autoassinada não confiável (proxy com inspeção TLS?)',
+    DEPTH_ZERO_SELF_SIGNED_CERT: 'o servidor apresentou um certificado autoassinado (proxy com inspeção TLS?)',
+    CERT_HAS_EXPIRED: 'o certificado do servidor está expirado',
+    CERT_NOT_YET_VALID: 'o certificado do servidor ainda não é válido (verifique o relógio desta máquina)',
+    CERT_SIGNATURE_FAILURE: 'assinatura do certificado do servidor inválida',
+    ERR_TLS_CERT_ALTNAME_INVALID: 'o certificado não pertence ao host chamado (verifique INTER_API_URL_*)',
+    CERT_PIN_MISMATCH: 'o certificado não corresponde aos pinos configurados (INTER_TLS_PINS_*)'
+};
+
+// Escopos de PIX (cob), devoluções (pix), boletos (Cobrança v3) e gestão do webhook PIX
+const SCOPE_COBRANCA = 'cob.write cob.read pix.write pix.read boleto-cobranca.read boleto-cobranca.write webhook.read webhook.write';
+
+class InterApiError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} info - { code, status (HTTP do banco), detalhe, resposta }
+     */
+    constructor(message, { code = 'INTER_API_ERROR', status = null, detalhe = null, resposta = null } = {}) {
+        super(message);
+        this.name = 'InterApiError';
+        this.code = code;
+        this.status = status;
+        this.detalhe = detalhe;
+        this.resposta = resposta;
+    }
+}
+
+/**
+ * Agente HTTPS com timeout de conexão: o socket é destruído com ETIMEDOUT se o
+ * handshake TLS não terminar no prazo (o timeout do axios cobre a resposta)
+ */
+class AgenteInter extends https.Agent {
+    createConnection(options, callback) {
+        const socket = super.createConnection(options, callback);
+
+        const timer = setTimeout(() => {
+            const erro = new Error(`Tempo de conexão esgotado (${TIMEOUT_CONEXAO_MS}ms)`);
+            erro.code = 'ETIMEDOUT';
+            socket.destroy(erro);
+        }, TIMEOUT_CONEXAO_MS);
+        timer.unref();
+
+        socket.once('secureConnect', () => clearTimeout(timer));
+        socket.once('close', () => clearTimeout(timer));
+        return socket;
+    }
+}
 
-class InterBankService {
+/**
+ * Sufixo das variáveis de ambiente TLS do ambiente do Inter
+ */
+function sufixoAmbiente(sandbox) {
+    return sandbox ? 'SANDBOX' : 'PRODUCTION';
+}
+
+/**
+ * Pinos aceitos: fingerprint SHA-256 do certificado (hex, com ou sem ":")
+ * ou hash da chave pública no formato "sha256/<base64>"
+ */
+function lerPinos(valor) {
+    return (valor || '')
+        .split(',')
+        .map(pino => pino.trim())
+        .filter(Boolean)
+        .map(pino => pino.startsWith('sha256/')
+            ? pino
+            : pino.toUpperCase().replace(/[^0-9A-F]/g, ''));
+}
+
+function pinosDoCertificado(certificado) {
+    const chavePublica = new crypto.X509Certificate(certificado.raw).publicKey.export({ type: 'spki', format: 'der' });
+
+    return {
+        fingerprint: certificado.fingerprint256.replace(/:/g, '').toUpperCase(),
+        chave: `sha256/${crypto.createHash('sha256').update(chavePublica).digest('base64')}`
+    };
+}
+
+/**
+ * checkServerIdentity com pinagem: além do hostname, exige que algum certificado
+ * da cadeia (servidor, intermediária ou raiz) corresponda a um pino
+ */
+function verificarPinos(host, certificado, pinos) {
+    const erroHost = tls.checkServerIdentity(host, certificado);
+    if (erroHost) return erroHost;
+
+    const vistos = new Set();
+    for (let atual = certificado; atual?.raw && !vistos.has(atual.fingerprint256); atual = atual.issuerCertificate) {
+        vistos.add(atual.fingerprint256);
+        const { fingerprint, chave } = pinosDoCertificado(atual);
+        if (pinos.includes(fingerprint) || pinos.includes(chave)) return undefined;
+    }
+
+    const { fingerprint, chave } = pinosDoCertificado(certificado);
+    const erro = new Error(`Certificado apresentado por ${host}: fingerprint ${fingerprint}, chave pública ${chave}`);
+    erro.code = 'CERT_PIN_MISMATCH';
+    return erro;
+}
+
+function aguardar(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class InterBankService extends BankProvider {
     constructor() {
+        super({
+            id: 'inter',
+            nome: 'Banco Inter',
+            logo: '/assets/images/bancos/inter.png',
+            funcionalidades: ['pix', 'boleto'],
+            requerCertificado: true
+        });
         this.baseUrlSandbox = process.env.INTER_API_URL_SANDBOX || 'https://cdpj-sandbox.partners.uatinter.co';
         this.baseUrlProduction = process.env.INTER_API_URL_PRODUCTION || 'https://cdpj.partners.bancointer.com.br';
         this.tokenCache = new Map(); // Cache de tokens por empresa
+        this.agentes = new Map(); // Agente mTLS por empresa: { agente, versao }
+        this.circuitos = new Map(); // Falhas seguidas por empresa: { falhas, abertoAte }
+        this.caBundle = undefined; // Conteúdo de INTER_CA_BUNDLE (lido no primeiro uso)
+
+        for (const sandbox of [true, false]) {
+            if (this.verificacaoTlsDesativada(sandbox)) {
+                logger.warn('Verificação TLS do Banco Inter DESATIVADA por configuração', {
+                    ambiente: sandbox ? 'sandbox' : 'producao',
+                    variavel: `INTER_TLS_INSECURE_${sufixoAmbiente(sandbox)}`
+                });
+            }
+        }
     }
 
     /**
@@ -25,53 +180,315 @@ class InterBankService {
 
     /**
      * Descriptografa credenciais armazenadas (usa o serviço centralizado)
+     * Falhas geram CriptografiaError: o valor nunca é usado como texto puro.
      */
     decryptCredential(encryptedValue) {
-        // Se criptografia não estiver ativa, retorna o valor como está
-        if (!encryptionService.isConfigured()) {
-            console.warn('⚠️ Criptografia NÃO está ativa - retornando valor original');
-            return encryptedValue;
+        return encryptionService.decrypt(encryptedValue);
+    }
+
+    /**
+     * Verificação do certificado do servidor desligada explicitamente para o ambiente
+     */
+    verificacaoTlsDesativada(sandbox) {
+        return process.env[`INTER_TLS_INSECURE_${sufixoAmbiente(sandbox)}`] === 'true';
+    }
+
+    /**
+     * CAs adicionais de INTER_CA_BUNDLE (PEM, uma ou mais), somadas às CAs padrão do Node
+     */
+    carregarCaBundle() {
+        if (this.caBundle !== undefined) return this.caBundle;
+
+        const arquivo = process.env.INTER_CA_BUNDLE;
+        if (!arquivo) {
+            this.caBundle = null;
+            return null;
         }
 
+        let conteudo;
         try {
-            const decrypted = encryptionService.decrypt(encryptedValue);
-            if (!decrypted) {
-                console.error('❌ Descriptografia retornou null/vazio - valor pode não estar criptografado');
-                console.error('   Valor original length:', encryptedValue?.length);
-                // Se falhou ao descriptografar, assume que não está criptografado
-                return encryptedValue;
-            }
-            console.log('✅ Descriptografia OK - length original:', encryptedValue?.length, '-> length final:', decrypted.length);
-            return decrypted;
+            conteudo = fs.readFileSync(arquivo, 'utf8');
+            new crypto.X509Certificate(conteudo);
         } catch (error) {
-            console.error('❌ Erro ao descriptografar:', error.message);
-            return encryptedValue;
+            throw new Error(`INTER_CA_BUNDLE inválido (${arquivo}): ${error.message}`);
         }
+
+        this.caBundle = conteudo;
+        return conteudo;
     }
 
     /**
-     * Cria agente HTTPS com certificados mTLS
+     * Opções de verificação do servidor para o ambiente (sandbox ou produção)
      */
-    createHttpsAgent(certContent, keyContent) {
+    opcoesTls(sandbox) {
+        if (this.verificacaoTlsDesativada(sandbox)) {
+            return { rejectUnauthorized: false };
+        }
+
+        const opcoes = { rejectUnauthorized: true };
+
+        const caBundle = this.carregarCaBundle();
+        if (caBundle) {
+            // "ca" substitui as CAs padrão: mantém as públicas e acrescenta as do bundle
+            opcoes.ca = [...tls.rootCertificates, caBundle];
+        }
+
+        const pinos = lerPinos(process.env[`INTER_TLS_PINS_${sufixoAmbiente(sandbox)}`]);
+        if (pinos.length > 0) {
+            opcoes.checkServerIdentity = (host, certificado) => verificarPinos(host, certificado, pinos);
+        }
+
+        return opcoes;
+    }
+
+    /**
+     * Cria agente HTTPS keep-alive com certificados mTLS
+     * Aceita o par PEM (certContent + keyContent) ou o pacote PKCS#12 (pfx + passphrase).
+     * @param {boolean} sandbox - ambiente do Inter (define a verificação do servidor)
+     */
+    createHttpsAgent({ certContent, keyContent, pfx, passphrase }, sandbox = false) {
+        const opcoesTls = this.opcoesTls(sandbox);
+
+        if (opcoesTls.rejectUnauthorized === false) {
+            logger.warn('Agente mTLS criado SEM verificar o certificado do Banco Inter', {
+                ambiente: sandbox ? 'sandbox' : 'producao'
+            });
+        }
+
+        if (pfx) {
+            logger.debug('Criando HTTPS Agent mTLS', { formato: 'pfx' });
+
+            return new AgenteInter({
+                keepAlive: true,
+                pfx: pfx,
+                passphrase: passphrase || undefined,
+                ...opcoesTls
+            });
+        }
+
         // Garante que os certificados são Buffers ou strings válidas
         const cert = Buffer.isBuffer(certContent) ? certContent : Buffer.from(certContent, 'utf8');
         const key = Buffer.isBuffer(keyContent) ? keyContent : Buffer.from(keyContent, 'utf8');
 
-        console.log('🔐 Criando HTTPS Agent com certificados:');
-        console.log('   - Cert é Buffer:', Buffer.isBuffer(cert));
-        console.log('   - Cert length:', cert.length);
-        console.log('   - Cert começa com:', cert.toString('utf8').substring(0, 30));
-        console.log('   - Key é Buffer:', Buffer.isBuffer(key));
-        console.log('   - Key length:', key.length);
+        logger.debug('Criando HTTPS Agent mTLS', { formato: 'pem' });
 
-        return new https.Agent({
+        return new AgenteInter({
+            keepAlive: true,
             cert: cert,
             key: key,
-            rejectUnauthorized: false, // Importante para ambientes cloud como Render
-            pfx: undefined // Garante que não usa pfx
+            pfx: undefined, // Garante que não usa pfx
+            ...opcoesTls
         });
     }
 
+    /**
+     * Agente mTLS da empresa, reaproveitado entre chamadas
+     * A versão (hash do ambiente e dos campos de certificado) recria o agente quando o
+     * certificado ou o ambiente é trocado.
+     */
+    obterAgente(empresaConfig) {
+        const versao = crypto.createHash('sha256')
+            .update([
+                empresaConfig.sandbox ? 'sandbox' : 'producao', empresaConfig.certBase64, empresaConfig.keyBase64, empresaConfig.pfxBase64,
+                empresaConfig.pfxSenha, empresaConfig.certPath, empresaConfig.keyPath
+            ].map(valor => valor || '').join('|'))
+            .digest('hex');
+
+        const cache = this.agentes.get(empresaConfig.id);
+        if (cache && cache.versao === versao) {
+            return cache.agente;
+        }
+
+        // Certificado trocado: o agente anterior não é mais usado e suas conexões são encerradas
+        if (cache) {
+            this.descartarAgente(cache.agente);
+        }
+
+        const agente = this.criarAgenteEmpresa(empresaConfig);
+        this.agentes.set(empresaConfig.id, { agente, versao });
+        return agente;
+    }
+
+    /**
+     * Encerra as conexões de um agente fora de uso
+     * As ociosas são fechadas agora; as que estão em uso terminam a requisição e são
+     * fechadas ao voltar para o agente (keepAlive desligado), sem interromper chamadas em andamento.
+     */
+    descartarAgente(agente) {
+        agente.keepAlive = false;
+        for (const sockets of Object.values(agente.freeSockets)) {
+            sockets.forEach(socket => socket.destroy());
+        }
+    }
+
+    /**
+     * Impede chamadas enquanto o circuito da empresa estiver aberto
+     * Terminada a pausa, libera uma chamada de teste e mantém as demais bloqueadas até o resultado.
+     * @throws {InterApiError} INTER_CIRCUIT_OPEN
+     */
+    verificarCircuito(empresaId) {
+        const circuito = this.circuitos.get(empresaId);
+        if (!circuito || circuito.falhas < CIRCUITO_FALHAS) return;
+
+        const agora = Date.now();
+        if (circuito.abertoAte > agora) {
+            const segundos = Math.ceil((circuito.abertoAte - agora) / 1000);
+            throw new InterApiError(`Banco Inter indisponível: novas tentativas em ${segundos}s`, {
+                code: 'INTER_CIRCUIT_OPEN',
+                status: 503
+            });
+        }
+
+        circuito.abertoAte = agora + CIRCUITO_PAUSA_MS;
+    }
+
+    registrarFalhaCircuito(empresaId) {
+        const circuito = this.circuitos.get(empresaId) || { falhas: 0, abertoAte: 0 };
+        circuito.falhas++;
+
+        if (circuito.falhas >= CIRCUITO_FALHAS) {
+            circuito.abertoAte = Date.now() + CIRCUITO_PAUSA_MS;
+            logger.warn('Circuito do Banco Inter aberto', { empresaId, falhas: circuito.falhas, pausaMs: CIRCUITO_PAUSA_MS });
+        }
+
+        this.circuitos.set(empresaId, circuito);
+    }
+
+    /**
+     * Falha de infraestrutura (rede, timeout ou 5xx): conta para o circuito e permite nova tentativa
+     */
+    falhaTransitoria(error) {
+        if (ERROS_TLS[error.code]) return false;
+        return !error.response || error.response.status >= 500;
+    }
+
+    /**
+     * Converte o erro do axios em InterApiError
+     * @param {string} operacao - prefixo da mensagem (ex: "Falha ao criar cobrança PIX")
+     */
+    mapearErro(error, operacao) {
+        if (error instanceof InterApiError) return error;
+
+        if (ERROS_TLS[error.code]) {
+            const host = new URL(error.config?.baseURL || 'https://desconhecido').host;
+            let detalhe = `Certificado do servidor ${host} não verificado (${error.code}): ${ERROS_TLS[error.code]}`;
+            if (error.code === 'CERT_PIN_MISMATCH') detalhe += `. ${error.message}`;
+
+            return new InterApiError(`${operacao}: ${detalhe}`, { code: 'INTER_TLS_ERROR', detalhe });
+        }
+
+        if (!error.response) {
+            const timeout = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+            const detalhe = error.code === 'ECONNABORTED'
+                ? `Tempo de resposta esgotado (${TIMEOUT_RESPOSTA_MS}ms)`
+                : error.message;
+
+            return new InterApiError(`${operacao}: ${detalhe}`, {
+                code: timeout ? 'INTER_TIMEOUT' : 'INTER_NETWORK_ERROR',
+                detalhe
+            });
+        }
+
+        const { status, data } = error.response;
+        const violacoes = (data?.violacoes || []).map(violacao => violacao.razao).filter(Boolean);
+        const detalhe = [
+            data?.detail || data?.title || data?.error_description || data?.message || error.message,
+            ...violacoes
+        ].join('; ');
+
+        let code = 'INTER_API_ERROR';
+        if (status === 401 || status === 403) code = 'INTER_AUTH_ERROR';
+        else if (status === 404) code = 'INTER_NOT_FOUND';
+        else if (status === 429) code = 'INTER_RATE_LIMITED';
+        else if (status >= 500) code = 'INTER_SERVER_ERROR';
+        else if (status >= 400) code = 'INTER_REQUEST_REJECTED';
+
+        return new InterApiError(`${operacao}: ${detalhe}`, { code, status, detalhe, resposta: data });
+    }
+
+    /**
+     * Executa uma chamada à API do Inter com o agente da empresa
+     * @param {Object} empresaConfig
+     * @param {Object} opcoes - { method, url (caminho), data, params, headers, operacao,
+     *   idempotente (padrão true), autenticar (padrão true) }
+     * @returns {Promise<Object>} resposta do axios
+     * @throws {InterApiError}
+     */
+    async requisicao(empresaConfig, { method = 'get', url, data, params, headers = {}, operacao, idempotente = true, autenticar = true }) {
+        const empresaId = empresaConfig.id;
+
+        // O token é obtido dentro da chamada autenticada, que já passou pelo circuito
+        // (na chamada de teste do circuito, o token não pode ser barrado)
+        if (autenticar) this.verificarCircuito(empresaId);
+
+        let tokenRenovado = false;
+        let tentativa = 1;
+
+        while (true) {
+            const cabecalhos = { ...headers };
+            if (autenticar) {
+                cabecalhos.Authorization = `Bearer ${await this.getAccessToken(empresaConfig)}`;
+            }
+
+            try {
+                const response = await axios.request({
+                    method,
+                    baseURL: this.getBaseUrl(empresaConfig.sandbox),
+                    url,
+                    data,
+                    params,
+                    headers: cabecalhos,
+                    httpsAgent: this.obterAgente(empresaConfig),
+                    timeout: TIMEOUT_RESPOSTA_MS
+                });
+
+                this.circuitos.delete(empresaId);
+                return response;
+
+            } catch (error) {
+                if (error instanceof InterApiError || !error.isAxiosError) throw error;
+
+                const status = error.response?.status;
+
+                // Token expirado ou revogado no banco: renova uma vez
+                if (status === 401 && autenticar && !tokenRenovado) {
+                    logger.warn('Token rejeitado pelo Banco Inter (401), renovando e tentando novamente', { operacao });
+                    this.tokenCache.delete(empresaId);
+                    tokenRenovado = true;
+                    continue;
+                }
+
+                const transitoria = this.falhaTransitoria(error);
+                const podeRepetir = transitoria && (idempotente || ERROS_CONEXAO.includes(error.code));
+
+                if (podeRepetir && tentativa < MAX_TENTATIVAS) {
+                    const espera = BACKOFF_BASE_MS * 2 ** (tentativa - 1) + Math.floor(Math.random() * BACKOFF_BASE_MS);
+                    logger.warn('Falha transitória no Banco Inter, nova tentativa', {
+                        operacao, tentativa, status: status || null, codigo: error.code, esperaMs: espera
+                    });
+                    tentativa++;
+                    await aguardar(espera);
+                    continue;
+                }
+
+                if (transitoria) this.registrarFalhaCircuito(empresaId);
+
+                const erro = this.mapearErro(error, operacao);
+                const nivel = transitoria || erro.code === 'INTER_TLS_ERROR' ? 'error' : 'warn';
+                logger[nivel]('Chamada ao Banco Inter falhou', {
+                    operacao,
+                    metodo: method.toUpperCase(),
+                    caminho: url,
+                    tentativas: tentativa,
+                    codigo: erro.code,
+                    status: erro.status,
+                    detalhe: erro.detalhe
+                });
+                throw erro;
+            }
+        }
+    }
+
     /**
      * Obtém token OAuth 2.0 do Banco Inter
      */
@@ -84,150 +501,50 @@ class InterBankService {
             return cached.accessToken;
         }
 
-        try {
-            console.log('🔐 Iniciando autenticação Inter para empresa:', empresaId);
-
-            // Descriptografa credenciais
-            console.log('🔑 Criptografia ativa:', encryptionService.isConfigured());
-            const clientId = this.decryptCredential(empresaConfig.clientId);
-            const clientSecret = this.decryptCredential(empresaConfig.clientSecret);
-
-            console.log('📋 Credenciais obtidas:');
-            console.log('   - Client ID criptografado length:', empresaConfig.clientId?.length || 0);
-            console.log('   - Client ID descriptografado length:', clientId?.length || 0);
-            console.log('   - Client Secret criptografado length:', empresaConfig.clientSecret?.length || 0);
-            console.log('   - Client Secret descriptografado length:', clientSecret?.length || 0);
-            console.log('   - Chave PIX:', empresaConfig.chavePix || 'NÃO DEFINIDA');
-            console.log('   - Sandbox:', empresaConfig.sandbox);
-            console.log('   - Tem certBase64:', !!empresaConfig.certBase64);
-            console.log('   - Tem keyBase64:', !!empresaConfig.keyBase64);
-
-            // Lê certificados (podem estar em base64 no Firestore ou em arquivos)
-            let certContent, keyContent;
-
-            if (empresaConfig.certBase64 && empresaConfig.keyBase64) {
-                // Certificados armazenados em base64 - manter como Buffer
-                certContent = Buffer.from(empresaConfig.certBase64, 'base64');
-                keyContent = Buffer.from(empresaConfig.keyBase64, 'base64');
-                console.log('✅ Certificados carregados do Firestore (como Buffer)');
-                console.log('   - Cert Buffer length:', certContent.length);
-                console.log('   - Key Buffer length:', keyContent.length);
-                console.log('   - Cert preview:', certContent.toString('utf8').substring(0, 50));
-            } else if (empresaConfig.certPath && empresaConfig.keyPath) {
-                // Certificados em arquivos locais
-                const certsDir = path.join(__dirname, '..', 'certs', empresaId);
-                certContent = fs.readFileSync(path.join(certsDir, 'cert.crt'), 'utf8');
-                keyContent = fs.readFileSync(path.join(certsDir, 'cert.key'), 'utf8');
-                console.log('✅ Certificados carregados de arquivos locais');
-            } else {
-                console.error('❌ Certificados não encontrados!');
-                throw new Error('Certificados não configurados para esta empresa');
-            }
+        logger.debug('Iniciando autenticação Inter', { empresaId, sandbox: !!empresaConfig.sandbox });
 
-            const httpsAgent = this.createHttpsAgent(certContent, keyContent);
-            const baseUrl = this.getBaseUrl(empresaConfig.sandbox);
-
-            // Request de token
-            const tokenUrl = `${baseUrl}/oauth/v2/token`;
-            console.log('🌐 URL de token:', tokenUrl);
-
-            // IMPORTANTE: trim() para remover espaços invisíveis de copiar/colar
-            const clientIdClean = clientId.trim();
-            const clientSecretClean = clientSecret.trim();
-
-            console.log('🔍 Credenciais limpas:');
-            console.log('   - Client ID length após trim:', clientIdClean.length);
-            console.log('   - Client Secret length após trim:', clientSecretClean.length);
-
-            const params = new URLSearchParams();
-            params.append('client_id', clientIdClean);
-            params.append('client_secret', clientSecretClean);
-            params.append('grant_type', 'client_credentials');
-
-            // ESCOPO APENAS PIX - boleto removido temporariamente
-            const SCOPE_COBRANCA = 'cob.write cob.read';
-            params.append('scope', SCOPE_COBRANCA);
-
-            console.log('');
-            console.log('╔══════════════════════════════════════════════════════════════╗');
-            console.log('║           📋 ESCOPO SENDO ENVIADO AO BANCO INTER              ║');
-            console.log('╠══════════════════════════════════════════════════════════════╣');
-            console.log('║ SCOPE:', SCOPE_COBRANCA);
-            console.log('╚══════════════════════════════════════════════════════════════╝');
-            console.log('');
-
-            console.log('📤 Enviando request de token...');
-            console.log('   - Params:', params.toString().replace(clientSecretClean, '***SECRET***'));
-
-            const response = await axios.post(tokenUrl, params, {
-                httpsAgent,
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
-            });
+        // Descriptografa credenciais
+        // IMPORTANTE: trim() para remover espaços invisíveis de copiar/colar
+        const clientId = this.decryptCredential(empresaConfig.clientId).trim();
+        const clientSecret = this.decryptCredential(empresaConfig.clientSecret).trim();
 
-            const { access_token, expires_in } = response.data;
+        const params = new URLSearchParams();
+        params.append('client_id', clientId);
+        params.append('client_secret', clientSecret);
+        params.append('grant_type', 'client_credentials');
+        params.append('scope', SCOPE_COBRANCA);
 
-            // Armazena em cache
-            this.tokenCache.set(empresaId, {
-                accessToken: access_token,
-                expiresAt: Date.now() + ((expires_in - 60) * 1000) // Expira 1 min antes
-            });
+        logger.debug('Solicitando token ao Banco Inter', { escopo: SCOPE_COBRANCA });
 
-            console.log(`✅ Token obtido para empresa ${empresaId}`);
-            return access_token;
+        const response = await this.requisicao(empresaConfig, {
+            method: 'post',
+            url: '/oauth/v2/token',
+            data: params,
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            operacao: 'Falha na autenticação com Banco Inter',
+            autenticar: false
+        });
 
-        } catch (error) {
-            console.error('');
-            console.error('╔══════════════════════════════════════════════════════════════╗');
-            console.error('║         ❌❌❌ ERRO BANCO INTER - DETALHES COMPLETOS ❌❌❌          ║');
-            console.error('╠══════════════════════════════════════════════════════════════╣');
-            console.error('║ Empresa ID:', empresaId);
-            console.error('║ Mensagem:', error.message);
-            console.error('║ Código:', error.code || 'N/A');
-            if (error.response) {
-                console.error('║ HTTP Status:', error.response.status);
-                console.error('║ Status Text:', error.response.statusText);
-                console.error('║ Response Headers:', JSON.stringify(error.response.headers, null, 2));
-                console.error('║ Response Data (RAW):', JSON.stringify(error.response.data, null, 2));
-                console.error('║ Error Description:', error.response.data?.error_description || 'N/A');
-                console.error('║ Error:', error.response.data?.error || 'N/A');
-                console.error('║ Message:', error.response.data?.message || 'N/A');
-            }
-            if (error.request) {
-                console.error('║ Request foi enviada mas sem resposta');
-            }
-            console.error('╚══════════════════════════════════════════════════════════════╝');
-            console.error('');
+        const { access_token, expires_in } = response.data;
 
-            throw new Error(`Falha na autenticação com Banco Inter: ${error.response?.data?.error_description || error.response?.data?.message || error.message}`);
-        }
+        // Armazena em cache
+        this.tokenCache.set(empresaId, {
+            accessToken: access_token,
+            expiresAt: Date.now() + ((expires_in - 60) * 1000) // Expira 1 min antes
+        });
+
+        logger.info('Token Inter obtido', { empresaId });
+        return access_token;
     }
 
     /**
      * Cria cobrança PIX imediata (cob)
      */
     async criarPixImediato(empresaConfig, dados) {
-        const accessToken = await this.getAccessToken(empresaConfig);
-        const baseUrl = this.getBaseUrl(empresaConfig.sandbox);
-
-        // CRÍTICO: Carregar certificados como BUFFER para mTLS funcionar
-        let certContent, keyContent;
-        if (empresaConfig.certBase64 && empresaConfig.keyBase64) {
-            certContent = Buffer.from(empresaConfig.certBase64, 'base64');
-            keyContent = Buffer.from(empresaConfig.keyBase64, 'base64');
-            console.log('🔐 Certificados carregados para PIX (Buffer):');
-            console.log('   - Cert Buffer length:', certContent.length);
-            console.log('   - Key Buffer length:', keyContent.length);
-        } else {
-            throw new Error('Certificados não configurados para esta empresa');
-        }
-
-        const httpsAgent = this.createHttpsAgent(certContent, keyContent);
-        console.log('✅ httpsAgent criado para requisição PIX');
-
         const txid = this.gerarTxId();
-        const url = `${baseUrl}/pix/v2/cob/${txid}`;
+        const url = `/pix/v2/cob/${txid}`;
 
         const payload = {
             calendario: {
@@ -258,114 +575,43 @@ class InterBankService {
             payload.devedor.cnpj = dados.pagador.cnpj.replace(/\D/g, '');
         }
 
-        console.log('📤 Enviando requisição PIX para Banco Inter:');
-        console.log('   - URL:', url);
-        console.log('   - Payload:', JSON.stringify(payload, null, 2));
-
-        // Função para fazer a requisição (usada no retry)
-        const fazerRequisicao = async (token) => {
-            console.log('');
-            console.log('╔══════════════════════════════════════════════════════════════╗');
-            console.log('║     🔒 VERIFICAÇÃO mTLS ANTES DA REQUISIÇÃO PIX              ║');
-            console.log('╠══════════════════════════════════════════════════════════════╣');
-            console.log('║ httpsAgent existe:', !!httpsAgent);
-            console.log('║ httpsAgent options.cert existe:', !!httpsAgent?.options?.cert);
-            console.log('║ httpsAgent options.key existe:', !!httpsAgent?.options?.key);
-            console.log('║ Token length:', token?.length || 0);
-            console.log('╚══════════════════════════════════════════════════════════════╝');
-            console.log('');
-
-            const axiosConfig = {
-                httpsAgent: httpsAgent,
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            };
+        logger.definirContexto({ txid });
+        logger.debug('Enviando cobrança PIX ao Banco Inter', { url, payload });
 
-            console.log('🔐 Enviando PIX com Agent mTLS:', !!axiosConfig.httpsAgent);
+        // PUT com o txid gerado aqui: repetir a chamada não duplica a cobrança
+        const response = await this.requisicao(empresaConfig, {
+            method: 'put',
+            url,
+            data: payload,
+            headers: { 'Content-Type': 'application/json' },
+            operacao: 'Falha ao criar cobrança PIX'
+        });
 
-            return await axios.put(url, payload, axiosConfig);
+        const cobranca = response.data;
+
+        return {
+            txid: cobranca.txid,
+            status: cobranca.status,
+            qrcode: cobranca.pixCopiaECola,
+            imagemQrcode: cobranca.imagemQrcode ?
+                `data:image/png;base64,${cobranca.imagemQrcode}` : null,
+            valor: cobranca.valor?.original,
+            criacao: cobranca.calendario?.criacao,
+            expiracao: cobranca.calendario?.expiracao
         };
-
-        try {
-            const response = await fazerRequisicao(accessToken);
-            const cobranca = response.data;
-
-            return {
-                txid: cobranca.txid,
-                status: cobranca.status,
-                qrcode: cobranca.pixCopiaECola,
-                imagemQrcode: cobranca.imagemQrcode ?
-                    `data:image/png;base64,${cobranca.imagemQrcode}` : null,
-                valor: cobranca.valor?.original,
-                criacao: cobranca.calendario?.criacao,
-                expiracao: cobranca.calendario?.expiracao
-            };
-
-        } catch (error) {
-            // RETRY AUTOMÁTICO EM CASO DE 401
-            if (error.response?.status === 401) {
-                console.warn('⚠️ Token rejeitado (401), limpando cache e tentando novamente...');
-
-                // Limpa cache do token
-                this.limparCache(empresaConfig.id);
-
-                // Obtém novo token
-                const novoToken = await this.getAccessToken(empresaConfig);
-                console.log('✅ Novo token obtido, retentando requisição...');
-
-                try {
-                    const retryResponse = await fazerRequisicao(novoToken);
-                    const cobranca = retryResponse.data;
-
-                    return {
-                        txid: cobranca.txid,
-                        status: cobranca.status,
-                        qrcode: cobranca.pixCopiaECola,
-                        imagemQrcode: cobranca.imagemQrcode ?
-                            `data:image/png;base64,${cobranca.imagemQrcode}` : null,
-                        valor: cobranca.valor?.original,
-                        criacao: cobranca.calendario?.criacao,
-                        expiracao: cobranca.calendario?.expiracao
-                    };
-                } catch (retryError) {
-                    console.error('❌ Retry também falhou:', retryError.response?.data || retryError.message);
-                    throw new Error(`Falha ao criar cobrança PIX (após retry): ${retryError.response?.data?.detail || retryError.message}`);
-                }
-            }
-
-            console.error('❌ Erro ao criar PIX:', error.response?.data || error.message);
-            throw new Error(`Falha ao criar cobrança PIX: ${error.response?.data?.detail || error.message}`);
-        }
     }
 
     /**
      * Cria cobrança PIX com vencimento (cobv)
      */
     async criarPixVencimento(empresaConfig, dados) {
-        const accessToken = await this.getAccessToken(empresaConfig);
-        const baseUrl = this.getBaseUrl(empresaConfig.sandbox);
-
-        // CRÍTICO: Carregar certificados como BUFFER para mTLS funcionar
-        let certContent, keyContent;
-        if (empresaConfig.certBase64 && empresaConfig.keyBase64) {
-            certContent = Buffer.from(empresaConfig.certBase64, 'base64');
-            keyContent = Buffer.from(empresaConfig.keyBase64, 'base64');
-            console.log('🔐 Certificados carregados para PIX Vencimento (Buffer)');
-        } else {
-            throw new Error('Certificados não configurados para esta empresa');
-        }
-
-        const httpsAgent = this.createHttpsAgent(certContent, keyContent);
-
         const txid = this.gerarTxId();
-        const url = `${baseUrl}/pix/v2/cobv/${txid}`;
+        const url = `/pix/v2/cobv/${txid}`;
 
         const payload = {
             calendario: {
                 dataDeVencimento: dados.vencimento, // formato YYYY-MM-DD
-                validadeAposVencimento: dados.diasAposVencimento || 30
+                validadeAposVencimento: dados.diasAposVencimento ?? 30
             },
             devedor: {
                 cpf: dados.pagador.cpf?.replace(/\D/g, ''),
@@ -383,90 +629,540 @@ class InterBankService {
             payload.devedor.cnpj = dados.pagador.cnpj.replace(/\D/g, '');
         }
 
-        console.log('📤 Enviando requisição PIX para Banco Inter:');
-        console.log('   - URL:', url);
-        console.log('   - Payload:', JSON.stringify(payload, null, 2));
+        logger.definirContexto({ txid });
+        logger.debug('Enviando cobrança PIX com vencimento ao Banco Inter', { url, payload });
 
-        try {
-            const response = await axios.put(url, payload, {
-                httpsAgent,
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+        const response = await this.requisicao(empresaConfig, {
+            method: 'put',
+            url,
+            data: payload,
+            headers: { 'Content-Type': 'application/json' },
+            operacao: 'Falha ao criar cobrança PIX'
+        });
 
-            console.log('✅ Resposta do Banco Inter:', response.status);
+        const cobranca = response.data;
 
-            const cobranca = response.data;
+        return {
+            txid: cobranca.txid,
+            status: cobranca.status,
+            qrcode: cobranca.pixCopiaECola,
+            imagemQrcode: cobranca.imagemQrcode ?
+                `data:image/png;base64,${cobranca.imagemQrcode}` : null,
+            valor: cobranca.valor?.original,
+            vencimento: cobranca.calendario?.dataDeVencimento
+        };
+    }
 
+    /**
+     * Consulta status de uma cobrança PIX
+     */
+    async consultarPix(empresaConfig, txid, tipo = 'cob') {
+        const endpoint = tipo === 'cobv' ? 'cobv' : 'cob';
+
+        const response = await this.requisicao(empresaConfig, {
+            url: `/pix/v2/${endpoint}/${txid}`,
+            operacao: 'Falha ao consultar cobrança'
+        });
+
+        return this.mapearCobrancaPix(response.data);
+    }
+
+    /**
+     * Mapeia a cobrança PIX do Inter para o formato interno
+     * O Inter mantém a cobrança ATIVA depois do prazo; a expiração é calculada pelo calendário.
+     */
+    mapearCobrancaPix(cobranca) {
+        let statusInterno = 'pendente';
+        if (cobranca.status === 'CONCLUIDA') statusInterno = 'paga';
+        else if (cobranca.status === 'REMOVIDA_PELO_USUARIO_RECEBEDOR') statusInterno = 'cancelada';
+        else if (cobranca.status === 'REMOVIDA_PELO_PSP') statusInterno = 'cancelada';
+        else if (cobranca.status === 'ATIVA' && this.prazoEncerrado(cobranca.calendario)) statusInterno = 'expirada';
+
+        return {
+            txid: cobranca.txid,
+            status: statusInterno,
+            statusOriginal: cobranca.status,
+            valor: cobranca.valor?.original,
+            pix: cobranca.pix || [] // Array de pagamentos recebidos
+        };
+    }
+
+    /**
+     * Verifica se o prazo de pagamento terminou
+     * cob: criacao + expiracao (segundos); cobv: dataDeVencimento + validadeAposVencimento (dias)
+     */
+    prazoEncerrado(calendario) {
+        if (!calendario) return false;
+
+        if (calendario.dataDeVencimento) {
+            const limite = new Date(`${calendario.dataDeVencimento}T23:59:59-03:00`);
+            limite.setDate(limite.getDate() + (calendario.validadeAposVencimento ?? 30));
+            return limite.getTime() < Date.now();
+        }
+
+        if (calendario.criacao && calendario.expiracao) {
+            return new Date(calendario.criacao).getTime() + (calendario.expiracao * 1000) < Date.now();
+        }
+
+        return false;
+    }
+
+    /**
+     * Lista cobranças PIX criadas em um período (uma página)
+     * @param {Object} filtro - { tipo: 'cob' | 'cobv', inicio: Date, fim: Date, pagina }
+     * @returns {Promise<{cobrancas, paginaAtual, totalPaginas}>}
+     */
+    async listarPix(empresaConfig, { tipo = 'cob', inicio, fim, pagina = 0 }) {
+        const endpoint = tipo === 'cobv' ? 'cobv' : 'cob';
+
+        const response = await this.requisicao(empresaConfig, {
+            url: `/pix/v2/${endpoint}`,
+            params: {
+                inicio: inicio.toISOString(),
+                fim: fim.toISOString(),
+                'paginacao.paginaAtual': pagina,
+                'paginacao.itensPorPagina': 100
+            },
+            operacao: 'Falha ao listar cobranças PIX'
+        });
+
+        const paginacao = response.data.parametros?.paginacao || {};
+
+        return {
+            cobrancas: (response.data.cobs || []).map(cobranca => this.mapearCobrancaPix(cobranca)),
+            paginaAtual: paginacao.paginaAtual ?? pagina,
+            totalPaginas: paginacao.quantidadeDePaginas ?? 1
+        };
+    }
+
+    /**
+     * Revisa uma cobrança PIX (PATCH em cob/cobv)
+     * @param {Object} cobranca - documento da cobrança no Firestore (txid, tipoCobranca)
+     * @param {Object} alteracoes - { valor, expiracao, vencimento, diasAposVencimento, pagador, status }
+     */
+    async revisarPix(empresaConfig, cobranca, alteracoes) {
+        const endpoint = cobranca.tipoCobranca === 'vencimento' ? 'cobv' : 'cob';
+        const payload = {};
+
+        if (alteracoes.valor !== undefined) {
+            payload.valor = { original: alteracoes.valor.toFixed(2) };
+        }
+
+        if (endpoint === 'cob' && alteracoes.expiracao !== undefined) {
+            payload.calendario = { expiracao: alteracoes.expiracao };
+        }
+
+        if (endpoint === 'cobv' && (alteracoes.vencimento || alteracoes.diasAposVencimento !== undefined)) {
+            payload.calendario = {};
+            if (alteracoes.vencimento) payload.calendario.dataDeVencimento = alteracoes.vencimento;
+            if (alteracoes.diasAposVencimento !== undefined) payload.calendario.validadeAposVencimento = alteracoes.diasAposVencimento;
+        }
+
+        if (alteracoes.pagador) {
+            const { pagador } = alteracoes;
+            payload.devedor = pagador.cnpj
+                ? { cnpj: pagador.cnpj.replace(/\D/g, ''), nome: pagador.nome }
+                : { cpf: pagador.cpf?.replace(/\D/g, ''), nome: pagador.nome };
+        }
+
+        if (alteracoes.status) {
+            payload.status = alteracoes.status;
+        }
+
+        const response = await this.requisicao(empresaConfig, {
+            method: 'patch',
+            url: `/pix/v2/${endpoint}/${cobranca.txid}`,
+            data: payload,
+            headers: { 'Content-Type': 'application/json' },
+            operacao: 'Falha ao revisar cobrança PIX'
+        });
+
+        const resultado = response.data;
+
+        return {
+            txid: resultado.txid,
+            revisao: resultado.revisao ?? null,
+            status: resultado.status,
+            qrcode: resultado.pixCopiaECola || null,
+            imagemQrcode: resultado.imagemQrcode ?
+                `data:image/png;base64,${resultado.imagemQrcode}` : null,
+            valor: resultado.valor?.original,
+            expiracao: resultado.calendario?.expiracao,
+            vencimento: resultado.calendario?.dataDeVencimento
+        };
+    }
+
+    /**
+     * Remove a cobrança PIX (status REMOVIDA_PELO_USUARIO_RECEBEDOR)
+     */
+    async cancelarPix(empresaConfig, cobranca) {
+        return this.revisarPix(empresaConfig, cobranca, { status: 'REMOVIDA_PELO_USUARIO_RECEBEDOR' });
+    }
+
+    /**
+     * Decifra o certificado e a chave privada da empresa (base64 criptografado no Firestore)
+     * ou o pacote PFX/P12 e sua senha. O conteúdo decifrado existe apenas em memória.
+     * @returns {{certContent: Buffer, keyContent: Buffer}|{pfx: Buffer, passphrase: string|null}}
+     */
+    carregarCertificados(empresaConfig) {
+        if (empresaConfig.pfxBase64) {
             return {
-                txid: cobranca.txid,
-                status: cobranca.status,
-                qrcode: cobranca.pixCopiaECola,
-                imagemQrcode: cobranca.imagemQrcode ?
-                    `data:image/png;base64,${cobranca.imagemQrcode}` : null,
-                valor: cobranca.valor?.original,
-                vencimento: cobranca.calendario?.dataDeVencimento
+                pfx: Buffer.from(encryptionService.decrypt(empresaConfig.pfxBase64), 'base64'),
+                passphrase: empresaConfig.pfxSenha ? encryptionService.decrypt(empresaConfig.pfxSenha) : null
             };
+        }
 
-        } catch (error) {
-            console.error('❌ Erro ao criar PIX com vencimento:', error.response?.data || error.message);
-            throw new Error(`Falha ao criar cobrança PIX: ${error.response?.data?.detail || error.message}`);
+        if (!empresaConfig.certBase64 || !empresaConfig.keyBase64) {
+            throw new Error('Certificados não configurados para esta empresa');
         }
+
+        if (!encryptionService.isEncrypted(empresaConfig.certBase64) || !encryptionService.isEncrypted(empresaConfig.keyBase64)) {
+            throw new Error('Certificados sem criptografia - execute npm run criptografar-certificados');
+        }
+
+        return {
+            certContent: Buffer.from(encryptionService.decrypt(empresaConfig.certBase64), 'base64'),
+            keyContent: Buffer.from(encryptionService.decrypt(empresaConfig.keyBase64), 'base64')
+        };
     }
 
     /**
-     * Consulta status de uma cobrança PIX
+     * Cria agente mTLS a partir dos certificados da empresa
+     * (Firestore ou, em desenvolvimento, arquivos em certs/{empresaId})
      */
-    async consultarPix(empresaConfig, txid, tipo = 'cob') {
-        const accessToken = await this.getAccessToken(empresaConfig);
-        const baseUrl = this.getBaseUrl(empresaConfig.sandbox);
-
-        // CRÍTICO: Carregar certificados como BUFFER para mTLS funcionar
-        let certContent, keyContent;
-        if (empresaConfig.certBase64 && empresaConfig.keyBase64) {
-            certContent = Buffer.from(empresaConfig.certBase64, 'base64');
-            keyContent = Buffer.from(empresaConfig.keyBase64, 'base64');
-        } else {
-            throw new Error('Certificados não configurados para esta empresa');
+    criarAgenteEmpresa(empresaConfig) {
+        if (!empresaConfig.pfxBase64 && !(empresaConfig.certBase64 && empresaConfig.keyBase64) &&
+            empresaConfig.certPath && empresaConfig.keyPath) {
+            const certsDir = path.join(__dirname, '..', 'certs', empresaConfig.id);
+            logger.debug('Certificados carregados de arquivos locais', { empresaId: empresaConfig.id });
+
+            return this.createHttpsAgent({
+                certContent: fs.readFileSync(path.join(certsDir, 'cert.crt'), 'utf8'),
+                keyContent: fs.readFileSync(path.join(certsDir, 'cert.key'), 'utf8')
+            }, !!empresaConfig.sandbox);
         }
 
-        const httpsAgent = this.createHttpsAgent(certContent, keyContent);
+        return this.createHttpsAgent(this.carregarCertificados(empresaConfig), !!empresaConfig.sandbox);
+    }
 
-        const endpoint = tipo === 'cobv' ? 'cobv' : 'cob';
-        const url = `${baseUrl}/pix/v2/${endpoint}/${txid}`;
+    /**
+     * Emite boleto (Cobrança v3)
+     * A API do Inter processa a emissão de forma assíncrona: o POST devolve apenas
+     * o codigoSolicitacao, e os dados do boleto são obtidos em seguida pela consulta.
+     */
+    async emitirBoleto(empresaConfig, dados) {
+        const pagador = dados.pagador;
+        const documento = (pagador.cnpj || pagador.cpf || '').replace(/\D/g, '');
+        const endereco = pagador.endereco || {};
+
+        const payload = {
+            seuNumero: dados.seuNumero,
+            valorNominal: Number(dados.valor.toFixed(2)),
+            dataVencimento: dados.vencimento, // formato YYYY-MM-DD
+            numDiasAgenda: dados.diasAposVencimento ?? 30,
+            pagador: {
+                cpfCnpj: documento,
+                tipoPessoa: documento.length === 14 ? 'JURIDICA' : 'FISICA',
+                nome: pagador.nome,
+                email: pagador.email || '',
+                endereco: endereco.logradouro || '',
+                numero: endereco.numero || '',
+                complemento: endereco.complemento || '',
+                bairro: endereco.bairro || '',
+                cidade: endereco.cidade || '',
+                uf: endereco.uf || '',
+                cep: endereco.cep?.replace(/\D/g, '') || ''
+            }
+        };
+
+        if (dados.descricao) {
+            payload.mensagem = { linha1: dados.descricao.substring(0, 78) };
+        }
+
+        logger.debug('Enviando emissão de boleto ao Banco Inter', { seuNumero: payload.seuNumero, payload });
+
+        // POST não idempotente: só é repetido se a conexão não chegou a ser aberta
+        const response = await this.requisicao(empresaConfig, {
+            method: 'post',
+            url: '/cobranca/v3/cobrancas',
+            data: payload,
+            headers: { 'Content-Type': 'application/json' },
+            operacao: 'Falha ao emitir boleto',
+            idempotente: false
+        });
+        const { codigoSolicitacao } = response.data;
+
+        logger.info('Boleto solicitado ao Banco Inter', { codigoSolicitacao });
 
+        // Busca os dados do boleto gerado (nossoNumero, linha digitável, código de barras)
         try {
-            const response = await axios.get(url, {
-                httpsAgent,
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`
-                }
-            });
+            return await this.consultarBoleto(empresaConfig, codigoSolicitacao);
+        } catch (error) {
+            // A emissão já foi aceita pelo banco; os dados serão obtidos na próxima consulta
+            logger.warn('Boleto emitido, mas consulta inicial falhou', { codigoSolicitacao, erro: error.message });
+            return {
+                codigoSolicitacao,
+                seuNumero: payload.seuNumero,
+                status: 'pendente',
+                situacao: 'EM_PROCESSAMENTO',
+                nossoNumero: null,
+                linhaDigitavel: null,
+                codigoBarras: null,
+                pixCopiaECola: null,
+                txid: null
+            };
+        }
+    }
+
+    /**
+     * Consulta boleto pelo codigoSolicitacao (Cobrança v3)
+     */
+    async consultarBoleto(empresaConfig, codigoSolicitacao) {
+        const response = await this.requisicao(empresaConfig, {
+            url: `/cobranca/v3/cobrancas/${codigoSolicitacao}`,
+            operacao: 'Falha ao consultar boleto'
+        });
+
+        const { cobranca = {}, boleto = {}, pix = {} } = response.data;
+
+        return {
+            codigoSolicitacao: cobranca.codigoSolicitacao || codigoSolicitacao,
+            seuNumero: cobranca.seuNumero,
+            status: this.mapearSituacaoBoleto(cobranca.situacao),
+            situacao: cobranca.situacao,
+            dataSituacao: cobranca.dataSituacao || null,
+            valor: cobranca.valorNominal,
+            valorRecebido: cobranca.valorTotalRecebido ?? null,
+            origemRecebimento: cobranca.origemRecebimento || null,
+            vencimento: cobranca.dataVencimento,
+            nossoNumero: boleto.nossoNumero || null,
+            linhaDigitavel: boleto.linhaDigitavel || null,
+            codigoBarras: boleto.codigoBarras || null,
+            pixCopiaECola: pix.pixCopiaECola || null,
+            txid: pix.txid || null
+        };
+    }
+
+    /**
+     * Obtém o PDF do boleto (retorna Buffer)
+     */
+    async obterPdfBoleto(empresaConfig, codigoSolicitacao) {
+        const response = await this.requisicao(empresaConfig, {
+            url: `/cobranca/v3/cobrancas/${codigoSolicitacao}/pdf`,
+            operacao: 'Falha ao obter PDF do boleto'
+        });
+
+        // O Inter devolve o PDF em base64 dentro do JSON
+        return Buffer.from(response.data.pdf, 'base64');
+    }
+
+    /**
+     * Mapeia situação do boleto no Inter para status interno
+     */
+    mapearSituacaoBoleto(situacao) {
+        switch (situacao) {
+            case 'RECEBIDO':
+            case 'MARCADO_RECEBIDO':
+                return 'paga';
+            case 'CANCELADO':
+                return 'cancelada';
+            case 'EXPIRADO':
+                return 'expirada';
+            case 'FALHA_EMISSAO':
+                return 'falha';
+            default:
+                return 'pendente'; // A_RECEBER, ATRASADO, EM_PROCESSAMENTO
+        }
+    }
+
+    /**
+     * Converte a devolução retornada pelo Inter para o formato armazenado na cobrança
+     */
+    mapearDevolucao(devolucao) {
+        return {
+            id: devolucao.id,
+            rtrId: devolucao.rtrId || null,
+            valor: parseFloat(devolucao.valor),
+            status: devolucao.status, // EM_PROCESSAMENTO, DEVOLVIDO, NAO_REALIZADO
+            motivo: devolucao.motivo || null,
+            solicitadaEm: devolucao.horario?.solicitacao ? new Date(devolucao.horario.solicitacao) : null,
+            liquidadaEm: devolucao.horario?.liquidacao ? new Date(devolucao.horario.liquidacao) : null
+        };
+    }
+
+    /**
+     * Solicita devolução de um PIX recebido
+     * A devolução é feita sobre o pagamento (endToEndId), com id gerado por nós.
+     */
+    async solicitarDevolucao(empresaConfig, cobranca, dados) {
+        if (!cobranca.endToEndId) {
+            throw new Error('Cobrança sem endToEndId: o pagamento ainda não foi identificado');
+        }
+
+        const payload = { valor: dados.valor.toFixed(2) };
+        if (dados.descricao) payload.descricao = dados.descricao;
+
+        // PUT com o id da devolução gerado por nós: repetir não duplica a devolução
+        const response = await this.requisicao(empresaConfig, {
+            method: 'put',
+            url: `/pix/v2/pix/${cobranca.endToEndId}/devolucao/${dados.id}`,
+            data: payload,
+            headers: { 'Content-Type': 'application/json' },
+            operacao: 'Falha ao solicitar devolução'
+        });
+
+        logger.info('Devolução PIX solicitada', { empresaId: empresaConfig.id, devolucaoId: dados.id });
+        return this.mapearDevolucao(response.data);
+    }
+
+    /**
+     * Consulta uma devolução solicitada
+     */
+    async consultarDevolucao(empresaConfig, cobranca, devolucaoId) {
+        if (!cobranca.endToEndId) {
+            throw new Error('Cobrança sem endToEndId: o pagamento ainda não foi identificado');
+        }
+
+        const response = await this.requisicao(empresaConfig, {
+            url: `/pix/v2/pix/${cobranca.endToEndId}/devolucao/${devolucaoId}`,
+            operacao: 'Falha ao consultar devolução'
+        });
+
+        return this.mapearDevolucao(response.data);
+    }
+
+    /**
+     * Cadastra (ou substitui) a URL de webhook PIX da chave da empresa
+     * O Inter acrescenta /pix à URL ao enviar as notificações.
+     */
+    async registrarWebhookPix(empresaConfig, webhookUrl) {
+        const chave = encodeURIComponent(empresaConfig.chavePix);
+
+        await this.requisicao(empresaConfig, {
+            method: 'put',
+            url: `/pix/v2/webhook/${chave}`,
+            data: { webhookUrl },
+            headers: { 'Content-Type': 'application/json' },
+            operacao: 'Falha ao cadastrar webhook PIX'
+        });
 
-            const cobranca = response.data;
+        logger.info('Webhook PIX cadastrado no Banco Inter', { empresaId: empresaConfig.id });
+    }
 
-            // Mapeia status do Inter para status interno
-            let statusInterno = 'pendente';
-            if (cobranca.status === 'CONCLUIDA') statusInterno = 'paga';
-            else if (cobranca.status === 'REMOVIDA_PELO_USUARIO_RECEBEDOR') statusInterno = 'cancelada';
-            else if (cobranca.status === 'REMOVIDA_PELO_PSP') statusInterno = 'cancelada';
+    /**
+     * Consulta o webhook PIX cadastrado para a chave da empresa
+     * Retorna null se não houver webhook cadastrado
+     */
+    async consultarWebhookPix(empresaConfig) {
+        const chave = encodeURIComponent(empresaConfig.chavePix);
+
+        try {
+            const response = await this.requisicao(empresaConfig, {
+                url: `/pix/v2/webhook/${chave}`,
+                operacao: 'Falha ao consultar webhook PIX'
+            });
 
             return {
-                txid: cobranca.txid,
-                status: statusInterno,
-                statusOriginal: cobranca.status,
-                valor: cobranca.valor?.original,
-                pix: cobranca.pix || [] // Array de pagamentos recebidos
+                webhookUrl: response.data.webhookUrl,
+                chave: response.data.chave,
+                criacao: response.data.criacao || null
             };
 
         } catch (error) {
-            console.error('❌ Erro ao consultar PIX:', error.response?.data || error.message);
-            throw new Error(`Falha ao consultar cobrança: ${error.response?.data?.detail || error.message}`);
+            if (error.code === 'INTER_NOT_FOUND') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Remove o webhook PIX cadastrado para a chave da empresa
+     */
+    async removerWebhookPix(empresaConfig) {
+        const chave = encodeURIComponent(empresaConfig.chavePix);
+
+        try {
+            await this.requisicao(empresaConfig, {
+                method: 'delete',
+                url: `/pix/v2/webhook/${chave}`,
+                operacao: 'Falha ao remover webhook PIX'
+            });
+
+            logger.info('Webhook PIX removido do Banco Inter', { empresaId: empresaConfig.id });
+
+        } catch (error) {
+            // Já removido no banco
+            if (error.code === 'INTER_NOT_FOUND') {
+                return;
+            }
+            throw error;
         }
     }
 
+    /**
+     * Testa conexão obtendo um token (valida credenciais e certificados)
+     */
+    async testarConexao(empresaConfig) {
+        await this.getAccessToken(empresaConfig);
+        return { success: true };
+    }
+
+    /**
+     * Converte webhooks do Inter em eventos normalizados (ver BankProvider.parseWebhook)
+     * - pix: { pix: [{ txid, endToEndId, valor, horario, pagador, devolucoes }] }
+     *   (o Inter reenvia o pagamento com o array devolucoes quando uma devolução muda de status)
+     * - boleto: [{ codigoSolicitacao, nossoNumero, situacao, dataHoraSituacao, valorTotalRecebido, origemRecebimento }]
+     */
+    parseWebhook(tipo, body) {
+        if (tipo === 'pix') {
+            const pix = Array.isArray(body?.pix) ? body.pix : [];
+
+            return pix
+                .filter(pagamento => pagamento.txid)
+                .map(pagamento => ({
+                    tipo: 'pix',
+                    chaves: [{ campo: 'txid', valor: pagamento.txid }],
+                    status: 'paga',
+                    situacaoBanco: null,
+                    data: new Date(pagamento.horario),
+                    valorPago: parseFloat(pagamento.valor),
+                    canalPagamento: 'PIX',
+                    pagador: pagamento.pagador || null,
+                    identificadores: { endToEndId: pagamento.endToEndId || null },
+                    devolucoes: (pagamento.devolucoes || []).map(devolucao => this.mapearDevolucao(devolucao))
+                }));
+        }
+
+        // O Inter envia um array de cobranças; aceita também um objeto único
+        const itens = Array.isArray(body) ? body : [body];
+
+        return itens
+            .filter(item => item && (item.codigoSolicitacao || item.nossoNumero))
+            .map(item => {
+                const status = this.mapearSituacaoBoleto(item.situacao);
+                return {
+                    tipo: 'boleto',
+                    chaves: [
+                        { campo: 'codigoSolicitacao', valor: item.codigoSolicitacao },
+                        { campo: 'nossoNumero', valor: item.nossoNumero }
+                    ].filter(chave => chave.valor),
+                    // Situações intermediárias (A_RECEBER, ATRASADO...) não alteram o status
+                    status: ['paga', 'cancelada', 'expirada'].includes(status) ? status : null,
+                    situacaoBanco: item.situacao,
+                    data: item.dataHoraSituacao ? new Date(item.dataHoraSituacao) : new Date(),
+                    valorPago: item.valorTotalRecebido != null ? parseFloat(item.valorTotalRecebido) : null,
+                    canalPagamento: item.origemRecebimento || 'BOLETO',
+                    pagador: null,
+                    identificadores: {
+                        nossoNumero: item.nossoNumero || null,
+                        linhaDigitavel: item.linhaDigitavel || null,
+                        codigoBarras: item.codigoBarras || null
+                    }
+                };
+            });
+    }
+
     /**
      * Gera TXID único para PIX
      */
@@ -480,45 +1176,44 @@ class InterBankService {
     }
 
     /**
-     * Limpa token do cache (útil quando credenciais são atualizadas)
+     * Limpa token, agente mTLS e circuito da empresa (útil quando credenciais são atualizadas)
      */
     limparCache(empresaId) {
         this.tokenCache.delete(empresaId);
-        console.log(`🗑️ Cache de token limpo para empresa ${empresaId}`);
+        this.circuitos.delete(empresaId);
+
+        const cache = this.agentes.get(empresaId);
+        if (cache) {
+            this.agentes.delete(empresaId);
+            this.descartarAgente(cache.agente);
+        }
+
+        logger.debug('Cache da empresa limpo', { empresaId });
     }
 
     /**
      * Testa conexão completa - autentica e tenta acessar endpoint de cobrança
      */
     async testarConexaoCompleta(empresaConfig) {
-        console.log('🧪 Iniciando teste de conexão completa...');
+        logger.info('Iniciando teste de conexão completa', { empresaId: empresaConfig.id });
 
         try {
             // Passo 1: Obter token
-            const accessToken = await this.getAccessToken(empresaConfig);
-            console.log('✅ Passo 1: Token obtido com sucesso');
+            await this.getAccessToken(empresaConfig);
 
             // Passo 2: Testar acesso ao endpoint de boletos (apenas GET para listar)
-            const baseUrl = this.getBaseUrl(empresaConfig.sandbox);
-            const certContent = Buffer.from(empresaConfig.certBase64, 'base64');
-            const keyContent = Buffer.from(empresaConfig.keyBase64, 'base64');
-            const httpsAgent = this.createHttpsAgent(certContent, keyContent);
-
             // Tenta listar boletos (não precisa criar nada)
             try {
-                const testUrl = `${baseUrl}/cobranca/v3/boletos?dataInicial=${new Date().toISOString().split('T')[0]}&dataFinal=${new Date().toISOString().split('T')[0]}`;
-                console.log('🔍 Testando endpoint de boletos:', testUrl);
-
-                const response = await axios.get(testUrl, {
-                    httpsAgent,
-                    headers: {
-                        'Authorization': `Bearer ${accessToken}`,
-                        'Content-Type': 'application/json'
-                    }
+                const hoje = new Date().toISOString().split('T')[0];
+                logger.debug('Testando endpoint de boletos');
+
+                const response = await this.requisicao(empresaConfig, {
+                    url: '/cobranca/v3/boletos',
+                    params: { dataInicial: hoje, dataFinal: hoje },
+                    operacao: 'Falha ao acessar endpoint de boletos'
                 });
 
-                console.log('✅ Passo 2: Acesso ao endpoint de boletos OK');
-                console.log('   - Status:', response.status);
+                logger.info('Teste de conexão: endpoint de boletos acessível', { status: response.status });
 
                 return {
                     success: true,
@@ -527,23 +1222,19 @@ class InterBankService {
                     message: 'Conexão completa testada com sucesso!'
                 };
             } catch (boletoError) {
-                console.warn('⚠️ Endpoint de boletos falhou, testando PIX...');
+                logger.warn('Teste de conexão: endpoint de boletos falhou, testando PIX', { erro: boletoError.message });
 
                 // Tenta endpoint de PIX
                 try {
-                    const pixUrl = `${baseUrl}/pix/v2/cob`;
-                    console.log('🔍 Testando endpoint de PIX:', pixUrl);
+                    logger.debug('Testando endpoint de PIX');
 
                     // Apenas verifica se o endpoint responde (vai dar 400 sem payload, mas não 401)
-                    const pixResponse = await axios.get(`${baseUrl}/pix/v2/loc`, {
-                        httpsAgent,
-                        headers: {
-                            'Authorization': `Bearer ${accessToken}`,
-                            'Content-Type': 'application/json'
-                        }
+                    await this.requisicao(empresaConfig, {
+                        url: '/pix/v2/loc',
+                        operacao: 'Falha ao acessar endpoint de PIX'
                     });
 
-                    console.log('✅ Passo 2: Acesso ao endpoint de PIX OK');
+                    logger.info('Teste de conexão: endpoint de PIX acessível');
                     return {
                         success: true,
                         tokenOk: true,
@@ -552,11 +1243,13 @@ class InterBankService {
                     };
                 } catch (pixError) {
                     // Se for 401, o token não tem permissão
-                    if (pixError.response?.status === 401) {
+                    if (pixError.status === 401) {
                         throw new Error('Token não tem permissão para endpoints de cobrança');
                     }
                     // Outros erros (400, 404) são aceitáveis - significa que chegou no endpoint
-                    console.log('✅ Passo 2: Endpoint respondeu (erro esperado sem payload)');
+                    logger.info('Teste de conexão: endpoint de PIX respondeu (erro esperado sem payload)', {
+                        status: pixError.status
+                    });
                     return {
                         success: true,
                         tokenOk: true,
@@ -567,10 +1260,11 @@ class InterBankService {
             }
 
         } catch (error) {
-            console.error('❌ Teste de conexão falhou:', error.message);
+            logger.error('Teste de conexão falhou', { erro: error.message });
             throw error;
         }
     }
 }
 
 module.exports = new InterBankService();
+module.exports.InterApiError = InterApiError;
@@ -0,0 +1,252 @@
+/**
+ * Logger estruturado (uma linha JSON por registro)
+ *
+ * { "nivel": "info", "hora": "...", "mensagem": "...", "requestId": "...", "empresaId": "...",
+ *   "rota": "POST /api/pix/cob", "txid": "...", ...dados }
+ *
+ * - Níveis: error, warn, info, debug. LOG_LEVEL define o mínimo registrado
+ *   (padrão: info em produção, debug nos demais ambientes)
+ * - Contexto por requisição (AsyncLocalStorage): middleware() abre o contexto com requestId e
+ *   rota; definirContexto() acrescenta empresaId, txid etc. e vale para todo log da requisição
+ * - Redação automática: campos de segredos (senhas, tokens, chaves, certificados) e dados
+ *   pessoais (CPF/CNPJ, e-mail, nome do pagador) são mascarados, inclusive dentro de textos
+ * - LOG_FORMAT=texto: saída legível para desenvolvimento (sem mudar a redação)
+ */
+
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const crypto = require('crypto');
+
+const NIVEIS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const NIVEL_PADRAO = process.env.NODE_ENV === 'production' ? 'info' : 'debug';
+
+const REDIGIDO = '[REDIGIDO]';
+
+// Campos cujo valor é sempre omitido: nome exato, comparado sem maiúsculas, "_" e "-"
+// (nomes parecidos, como chaveIdempotencia ou certificadoValidoAte, continuam visíveis)
+const CAMPOS_SECRETOS = [
+    'senha', 'password', 'passphrase', 'secret', 'segredo', 'token', 'authorization',
+    'apikey', 'accesstoken', 'refreshtoken', 'idtoken', 'clientid', 'clientsecret',
+    'chaveprivada', 'privatekey', 'key', 'cert', 'certbase64', 'keybase64', 'certcontent',
+    'keycontent', 'pfx', 'pfxbase64', 'pfxsenha', 'senhapfx', 'webhooktoken', 'tokenwebhook',
+    'signature', 'assinatura', 'xqualifysignature', 'cookie', 'setcookie'
+];
+
+// Campos de dados pessoais
+const CAMPOS_PESSOAIS = ['cpf', 'cnpj', 'cpfcnpj', 'documento', 'email', 'nome', 'telefone', 'endereco'];
+
+const PADROES_TEXTO = [
+    // Blocos PEM (certificados e chaves)
+    [/-----BEGIN [A-Z ]+-----[\s\S]*?(-----END [A-Z ]+-----|$)/g, '[PEM REDIGIDO]'],
+    // Cabeçalhos de autorização e tokens na URL
+    [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, '$1 ' + REDIGIDO],
+    [/([?&](token|access_token|client_secret|client_id)=)[^&\s"]+/gi, '$1' + REDIGIDO],
+    // Valores cifrados (enc:v1:...) e segredos de webhook
+    [/enc:v1:[A-Za-z0-9+/=:_-]+/g, REDIGIDO],
+    [/whsec_[0-9a-f]+/gi, REDIGIDO],
+    // Token de webhook na URL (48 caracteres hex, ver gerarTokenWebhook)
+    [/\b[0-9a-f]{48}\b/gi, REDIGIDO],
+    // CNPJ antes do CPF (o CPF casaria com parte do CNPJ)
+    [/\b\d{2}\.?\d{3}\.?\d{3}\/?\d{4}-?\d{2}\b/g, '[CNPJ]'],
+    [/\b\d{3}\.?\d{3}\.?\d{3}-?\d{2}\b/g, '[CPF]'],
+    [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[EMAIL]']
+];
+
+const PROFUNDIDADE_MAXIMA = 6;
+
+function normalizarCampo(campo) {
+    return String(campo).toLowerCase().replace(/[_-]/g, '');
+}
+
+function campoSensivel(campo) {
+    const nome = normalizarCampo(campo);
+    return CAMPOS_SECRETOS.includes(nome) || CAMPOS_PESSOAIS.includes(nome);
+}
+
+function redigirTexto(texto) {
+    return PADROES_TEXTO.reduce((resultado, [padrao, substituto]) => resultado.replace(padrao, substituto), texto);
+}
+
+/**
+ * Erros viram objetos simples (mensagem, código, status HTTP da resposta do banco)
+ */
+function serializarErro(error) {
+    const serializado = {
+        tipo: error.name,
+        mensagem: error.message,
+        codigo: error.code
+    };
+
+    if (error.response) {
+        serializado.status = error.response.status;
+        serializado.resposta = error.response.data;
+    } else if (error.status) {
+        // Erros já mapeados (ex.: InterApiError) guardam status e resposta do banco
+        serializado.status = error.status;
+        serializado.resposta = error.resposta;
+    }
+
+    if (error.stack) {
+        serializado.stack = error.stack.split('\n').slice(0, 6).join('\n');
+    }
+
+    return serializado;
+}
+
+class Logger {
+    constructor(campos = {}, armazenamento = new AsyncLocalStorage()) {
+        this.campos = campos;
+        this.armazenamento = armazenamento;
+
+        const nivel = (process.env.LOG_LEVEL || NIVEL_PADRAO).toLowerCase();
+        this.nivel = nivel in NIVEIS ? nivel : NIVEL_PADRAO;
+        this.formatoTexto = process.env.LOG_FORMAT === 'texto';
+    }
+
+    /**
+     * Mascara segredos e dados pessoais de qualquer valor
+     */
+    redigir(valor, profundidade = 0) {
+        if (valor === null || valor === undefined) return valor;
+
+        if (typeof valor === 'string') return redigirTexto(valor);
+        if (typeof valor !== 'object') return valor;
+        if (valor instanceof Date) return valor.toISOString();
+        if (typeof valor.toDate === 'function') return valor.toDate().toISOString();
+        if (Buffer.isBuffer(valor)) return `[Buffer ${valor.length} bytes]`;
+        if (valor instanceof Error) return this.redigir(serializarErro(valor), profundidade);
+        if (profundidade >= PROFUNDIDADE_MAXIMA) return '[...]';
+
+        if (Array.isArray(valor)) {
+            return valor.map(item => this.redigir(item, profundidade + 1));
+        }
+
+        const redigido = {};
+        for (const [campo, item] of Object.entries(valor)) {
+            redigido[campo] = campoSensivel(campo) && item !== null && item !== undefined && item !== ''
+                ? (typeof item === 'boolean' ? item : REDIGIDO)
+                : this.redigir(item, profundidade + 1);
+        }
+        return redigido;
+    }
+
+    /**
+     * Logger com campos fixos (ex: { modulo: 'reconciliacao' })
+     */
+    filho(campos) {
+        const filho = new Logger({ ...this.campos, ...campos }, this.armazenamento);
+        filho.nivel = this.nivel;
+        filho.formatoTexto = this.formatoTexto;
+        return filho;
+    }
+
+    /**
+     * Executa fn com um contexto próprio (tarefas fora de requisições HTTP)
+     */
+    executarComContexto(contexto, fn) {
+        return this.armazenamento.run({ ...contexto }, fn);
+    }
+
+    /**
+     * Acrescenta campos ao contexto atual (empresaId, txid...)
+     */
+    definirContexto(campos) {
+        const contexto = this.armazenamento.getStore();
+        if (!contexto) return;
+
+        for (const [campo, valor] of Object.entries(campos)) {
+            if (valor !== undefined && valor !== null) contexto[campo] = valor;
+        }
+    }
+
+    contexto() {
+        return this.armazenamento.getStore() || {};
+    }
+
+    /**
+     * Middleware Express: contexto da requisição e registro de cada resposta
+     */
+    middleware() {
+        return (req, res, next) => {
+            const requestId = req.get('X-Request-Id') || crypto.randomUUID();
+            res.set('X-Request-Id', requestId);
+
+            const inicio = Date.now();
+
+            const contexto = { requestId, rota: `${req.method} ${req.path}` };
+
+            // O evento finish pode disparar fora do contexto assíncrono da requisição
+            res.on('finish', () => this.armazenamento.run(contexto, () => {
+                const nivel = res.statusCode >= 500 ? 'error' : (res.statusCode >= 400 ? 'warn' : 'info');
+                this.registrar(nivel, 'Requisição concluída', {
+                    status: res.statusCode,
+                    duracaoMs: Date.now() - inicio
+                });
+            }));
+
+            this.armazenamento.run(contexto, next);
+        };
+    }
+
+    /**
+     * Envolve middlewares que perdem o contexto assíncrono (ex: multer, que lê o corpo
+     * por eventos de stream): o next volta a rodar no contexto da requisição
+     */
+    manterContexto(middleware) {
+        return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+    }
+
+    ativo(nivel) {
+        return NIVEIS[nivel] <= NIVEIS[this.nivel];
+    }
+
+    registrar(nivel, mensagem, dados) {
+        if (!this.ativo(nivel)) return;
+
+        let extras = dados;
+        if (dados instanceof Error) {
+            extras = { erro: dados };
+        } else if (dados !== undefined && (typeof dados !== 'object' || dados === null || Array.isArray(dados))) {
+            extras = { dados };
+        }
+
+        const registro = this.redigir({
+            nivel,
+            hora: new Date().toISOString(),
+            mensagem,
+            ...this.campos,
+            ...this.contexto(),
+            ...extras
+        });
+
+        const saida = nivel === 'error' || nivel === 'warn' ? process.stderr : process.stdout;
+
+        if (this.formatoTexto) {
+            const { nivel: _nivel, hora, mensagem: texto, ...resto } = registro;
+            const detalhes = Object.keys(resto).length > 0 ? ` ${JSON.stringify(resto)}` : '';
+            saida.write(`${hora} ${nivel.toUpperCase().padEnd(5)} ${texto}${detalhes}\n`);
+            return;
+        }
+
+        saida.write(JSON.stringify(registro) + '\n');
+    }
+
+    error(mensagem, dados) {
+        this.registrar('error', mensagem, dados);
+    }
+
+    warn(mensagem, dados) {
+        this.registrar('warn', mensagem, dados);
+    }
+
+    info(mensagem, dados) {
+        this.registrar('info', mensagem, dados);
+    }
+
+    debug(mensagem, dados) {
+        this.registrar('debug', mensagem, dados);
+    }
+}
+
+module.exports = new Logger();
+module.exports.Logger = Logger;
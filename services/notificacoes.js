@@ -0,0 +1,345 @@
+/**
+ * Notificações de eventos para os sistemas das empresas (webhooks de saída)
+ * Entrega eventos de cobrança (cobranca.paga, cobranca.expirada, ...) às URLs assinadas
+ * pela empresa, com assinatura HMAC, novas tentativas com backoff exponencial e registro
+ * de cada entrega.
+ *
+ * Assinaturas: empresas/{empresaId}/webhooks/{assinaturaId}
+ * {
+ *   url, eventos: ["cobranca.paga", ...] (ou ["*"]),
+ *   segredo (criptografado), ativo, descricao, criadoEm, criadoPor
+ * }
+ *
+ * Entregas: empresas/{empresaId}/webhooks/{assinaturaId}/entregas/{entregaId}
+ * {
+ *   evento, eventoId, payload,
+ *   status: "pendente" | "entregue" | "falha",
+ *   tentativas, proximaTentativa, ultimaTentativaEm, entregueEm,
+ *   ultimaResposta: { status, corpo, erro, duracaoMs },
+ *   criadaEm
+ * }
+ *
+ * Cabeçalhos enviados:
+ * - X-Qualify-Event: tipo do evento
+ * - X-Qualify-Delivery: id da entrega (igual em todas as tentativas)
+ * - X-Qualify-Signature: t=<unix>,v1=<HMAC-SHA256 hex de "<t>.<corpo>" com o segredo>
+ *
+ * Destinos internos (loopback, redes privadas, metadados de nuvem) são recusados no envio
+ * (services/destinoWebhook.js); a entrega fica como falha sem novas tentativas.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const encryptionService = require('./encryption');
+const destinoWebhook = require('./destinoWebhook');
+const logger = require('./logger').filho({ modulo: 'notificacoes' });
+
+const EVENTOS_COBRANCA = [
+    'cobranca.paga',
+    'cobranca.paga_a_menor',
+    'cobranca.cancelada',
+    'cobranca.expirada',
+    'cobranca.falha',
+    'cobranca.devolvida',
+    'cobranca.parcialmente_devolvida'
+];
+
+const INTERVALO_SEG = parseInt(process.env.WEBHOOKS_INTERVALO_SEG ?? '60', 10);
+const MAX_TENTATIVAS = parseInt(process.env.WEBHOOKS_MAX_TENTATIVAS, 10) || 8;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOKS_TIMEOUT_MS, 10) || 10000;
+
+// Backoff: 1 min, 2 min, 4 min... limitado a 6 horas
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+// Entrega em andamento fica reservada por este período (evita envio duplicado pelo agendador)
+const RESERVA_MS = 5 * 60 * 1000;
+
+// Tamanho máximo do corpo da resposta guardado no registro
+const MAX_CORPO_RESPOSTA = 1000;
+
+const LOTE = 100;
+
+function paraIso(valor) {
+    if (valor && typeof valor.toDate === 'function') return valor.toDate().toISOString();
+    if (valor instanceof Date) return valor.toISOString();
+    return valor ?? null;
+}
+
+class NotificacaoService {
+    constructor() {
+        this.timer = null;
+        this.emExecucao = false;
+    }
+
+    gerarSegredo() {
+        return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+    }
+
+    /**
+     * Assinatura do corpo: HMAC-SHA256 de "<timestamp>.<corpo>"
+     */
+    assinar(segredo, timestamp, corpo) {
+        return crypto.createHmac('sha256', segredo).update(`${timestamp}.${corpo}`).digest('hex');
+    }
+
+    /**
+     * Dados da cobrança enviados nos eventos cobranca.*
+     */
+    montarDadosCobranca(cobrancaId, cobranca, statusAnterior) {
+        return {
+            cobrancaId,
+            invoiceId: cobranca.invoiceId || null,
+            tipo: cobranca.tipo,
+            tipoCobranca: cobranca.tipoCobranca || null,
+            banco: cobranca.banco || 'inter',
+            txid: cobranca.txid || null,
+            codigoSolicitacao: cobranca.codigoSolicitacao || null,
+            idExterno: cobranca.idExterno || null,
+            status: cobranca.status,
+            statusAnterior,
+            valor: cobranca.valor,
+            valorPago: cobranca.valorPago ?? null,
+            valorDevolvido: cobranca.valorDevolvido ?? null,
+            dataPagamento: paraIso(cobranca.dataPagamento),
+            dataCancelamento: paraIso(cobranca.dataCancelamento),
+            dataExpiracao: paraIso(cobranca.dataExpiracao),
+            dataDevolucao: paraIso(cobranca.dataDevolucao),
+            vencimento: cobranca.vencimento || null
+        };
+    }
+
+    /**
+     * Publica a mudança de status de uma cobrança (ignorada se o status não mudou)
+     * Nunca lança: falhas são registradas no log para não afetar quem alterou a cobrança.
+     */
+    async publicarMudancaCobranca(db, cobrancaRef, cobrancaAnterior, atualizacao) {
+        const statusAnterior = cobrancaAnterior.status || 'pendente';
+        if (!atualizacao?.status || atualizacao.status === statusAnterior) return;
+
+        const evento = `cobranca.${atualizacao.status}`;
+        if (!EVENTOS_COBRANCA.includes(evento)) return;
+
+        const empresaId = cobrancaRef.parent.parent.id;
+        const dados = this.montarDadosCobranca(cobrancaRef.id, { ...cobrancaAnterior, ...atualizacao }, statusAnterior);
+
+        try {
+            await this.publicar(db, empresaId, evento, dados);
+        } catch (error) {
+            logger.error('Erro ao publicar evento de cobrança', { evento, cobrancaId: cobrancaRef.id, erro: error.message });
+        }
+    }
+
+    /**
+     * Registra uma entrega para cada assinatura ativa interessada no evento e tenta entregá-las
+     * @returns {Promise<number>} quantidade de entregas criadas
+     */
+    async publicar(db, empresaId, evento, dados) {
+        const assinaturas = await db.collection('empresas').doc(empresaId)
+            .collection('webhooks').where('ativo', '==', true).get();
+
+        const interessadas = assinaturas.docs.filter(doc => {
+            const eventos = doc.data().eventos || [];
+            return eventos.includes('*') || eventos.includes(evento);
+        });
+
+        if (interessadas.length === 0) return 0;
+
+        const agora = new Date();
+        const payload = {
+            id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+            tipo: evento,
+            criadoEm: agora.toISOString(),
+            empresaId,
+            dados
+        };
+
+        const entregas = [];
+        for (const assinaturaDoc of interessadas) {
+            const entregaRef = assinaturaDoc.ref.collection('entregas').doc();
+            await entregaRef.set({
+                evento,
+                eventoId: payload.id,
+                payload,
+                status: 'pendente',
+                tentativas: 0,
+                proximaTentativa: agora,
+                ultimaTentativaEm: null,
+                entregueEm: null,
+                ultimaResposta: null,
+                criadaEm: agora
+            });
+            entregas.push(entregaRef);
+        }
+
+        // Primeira tentativa imediata; falhas ficam para o agendador
+        for (const entregaRef of entregas) {
+            this.entregar(db, entregaRef).catch(error =>
+                logger.error('Erro na entrega de webhook', { entregaId: entregaRef.id, erro: error.message }));
+        }
+
+        return entregas.length;
+    }
+
+    /**
+     * Envia uma entrega pendente e registra o resultado
+     * @returns {Promise<Object|null>} entrega atualizada (null se não estava pendente)
+     */
+    async entregar(db, entregaRef) {
+        const assinaturaRef = entregaRef.parent.parent;
+
+        // Reserva a entrega para que o agendador não a envie ao mesmo tempo
+        const entrega = await db.runTransaction(async (transaction) => {
+            const atual = await transaction.get(entregaRef);
+            if (!atual.exists || atual.data().status !== 'pendente') return null;
+
+            transaction.update(entregaRef, { proximaTentativa: new Date(Date.now() + RESERVA_MS) });
+            return atual.data();
+        });
+
+        if (!entrega) return null;
+
+        const assinaturaDoc = await assinaturaRef.get();
+        const assinatura = assinaturaDoc.exists ? assinaturaDoc.data() : null;
+
+        if (!assinatura || !assinatura.ativo) {
+            const atualizacao = {
+                status: 'falha',
+                ultimaResposta: { status: null, corpo: null, erro: 'Assinatura removida ou inativa', duracaoMs: 0 }
+            };
+            await entregaRef.update(atualizacao);
+            return { ...entrega, ...atualizacao };
+        }
+
+        const corpo = JSON.stringify(entrega.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const assinaturaHmac = this.assinar(encryptionService.decrypt(assinatura.segredo), timestamp, corpo);
+
+        const tentativas = (entrega.tentativas || 0) + 1;
+        const inicio = Date.now();
+        let resposta;
+
+        // O host pode passar a resolver para a rede interna depois do cadastro
+        const bloqueio = await destinoWebhook.verificar(assinatura.url);
+
+        if (bloqueio) {
+            resposta = { status: null, corpo: null, erro: bloqueio.codigo, duracaoMs: Date.now() - inicio };
+        } else {
+            try {
+                const response = await axios.post(assinatura.url, corpo, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'QUALIFY-Webhooks/1.0',
+                        'X-Qualify-Event': entrega.evento,
+                        'X-Qualify-Delivery': entregaRef.id,
+                        'X-Qualify-Signature': `t=${timestamp},v1=${assinaturaHmac}`
+                    },
+                    timeout: TIMEOUT_MS,
+                    maxRedirects: 0,
+                    ...destinoWebhook.agentes,
+                    // Qualquer status é registrado; só 2xx conta como entregue
+                    validateStatus: () => true,
+                    transformResponse: [data => data]
+                });
+
+                resposta = {
+                    status: response.status,
+                    corpo: String(response.data ?? '').substring(0, MAX_CORPO_RESPOSTA),
+                    erro: null,
+                    duracaoMs: Date.now() - inicio
+                };
+            } catch (error) {
+                resposta = { status: null, corpo: null, erro: error.code || error.message, duracaoMs: Date.now() - inicio };
+            }
+        }
+
+        const entregue = resposta.status >= 200 && resposta.status < 300;
+        const agora = new Date();
+        const atualizacao = {
+            tentativas,
+            ultimaTentativaEm: agora,
+            ultimaResposta: resposta
+        };
+
+        if (entregue) {
+            atualizacao.status = 'entregue';
+            atualizacao.entregueEm = agora;
+        } else if (resposta.erro === 'BLOCKED_DESTINATION') {
+            atualizacao.status = 'falha';
+            logger.warn('Entrega de webhook recusada: destino interno', { entregaId: entregaRef.id, evento: entrega.evento });
+        } else if (tentativas >= MAX_TENTATIVAS) {
+            atualizacao.status = 'falha';
+            logger.warn('Entrega de webhook desistida', { entregaId: entregaRef.id, evento: entrega.evento, tentativas });
+        } else {
+            const espera = Math.min(BACKOFF_BASE_MS * 2 ** (tentativas - 1), BACKOFF_MAX_MS);
+            atualizacao.proximaTentativa = new Date(agora.getTime() + espera);
+        }
+
+        await entregaRef.update(atualizacao);
+        return { ...entrega, ...atualizacao };
+    }
+
+    /**
+     * Recoloca uma entrega na fila (qualquer status) e tenta entregá-la imediatamente
+     */
+    async reenviar(db, entregaRef) {
+        await entregaRef.update({
+            status: 'pendente',
+            tentativas: 0,
+            proximaTentativa: new Date()
+        });
+
+        return this.entregar(db, entregaRef);
+    }
+
+    /**
+     * Agenda as novas tentativas periódicas (WEBHOOKS_INTERVALO_SEG=0 desativa)
+     */
+    iniciar(db) {
+        if (!INTERVALO_SEG || INTERVALO_SEG <= 0) {
+            logger.info('Novas tentativas de webhooks de saída desativadas');
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.executar(db).catch(error => logger.error('Erro ao reenviar webhooks de saída', error));
+        }, INTERVALO_SEG * 1000);
+
+        this.timer.unref();
+    }
+
+    parar() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Tenta novamente as entregas pendentes cujo prazo de espera terminou
+     */
+    async executar(db) {
+        if (this.emExecucao) return;
+        this.emExecucao = true;
+
+        try {
+            const snapshot = await db.collectionGroup('entregas')
+                .where('status', '==', 'pendente')
+                .where('proximaTentativa', '<=', new Date())
+                .limit(LOTE)
+                .get();
+
+            for (const entregaDoc of snapshot.docs) {
+                try {
+                    await this.entregar(db, entregaDoc.ref);
+                } catch (error) {
+                    logger.error('Erro na entrega de webhook', { entregaId: entregaDoc.id, erro: error.message });
+                }
+            }
+
+        } finally {
+            this.emExecucao = false;
+        }
+    }
+}
+
+module.exports = new NotificacaoService();
+module.exports.EVENTOS_COBRANCA = EVENTOS_COBRANCA;
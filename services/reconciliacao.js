@@ -0,0 +1,338 @@
+/**
+ * Reconciliação de cobranças PIX com o banco
+ * Recupera mudanças de status cujo webhook se perdeu.
+ *
+ * Para cada empresa com integração ativa:
+ * 1. Lista no banco as cobranças (cob e cobv) criadas na janela recente e compara
+ *    com as cobranças locais do mesmo período
+ * 2. Consulta individualmente as cobranças pendentes mais antigas que a janela
+ *
+ * Mudanças de status (paga, cancelada, expirada) são aplicadas pelo cobrancaStatus;
+ * divergências que não podem ser corrigidas automaticamente são apenas registradas.
+ *
+ * Cada execução fica em empresas/{empresaId}/reconciliacoes/{id}
+ * {
+ *   origem: "agendada" | "manual",
+ *   status: "em_andamento" | "sucesso" | "falha",
+ *   iniciadaEm, concluidaEm,
+ *   janela: { inicio, fim },
+ *   bancos: ["inter"],
+ *   consultadas, atualizadas,
+ *   discrepancias: [{ tipo, txid, cobrancaId, statusLocal, statusBanco, ... }],
+ *   erro
+ * }
+ */
+
+const bankRegistry = require('./bankRegistry');
+const cobrancaStatus = require('./cobrancaStatus');
+const logger = require('./logger').filho({ modulo: 'reconciliacao' });
+
+const INTERVALO_MIN = parseInt(process.env.RECONCILIACAO_INTERVALO_MIN ?? '15', 10);
+const JANELA_DIAS = parseInt(process.env.RECONCILIACAO_JANELA_DIAS, 10) || 3;
+const MAX_CONSULTAS = parseInt(process.env.RECONCILIACAO_MAX_CONSULTAS, 10) || 50;
+
+// Limite de discrepâncias gravadas por execução (o documento tem tamanho máximo)
+const MAX_DISCREPANCIAS = 200;
+
+class ReconciliacaoService {
+    constructor() {
+        this.timer = null;
+        this.emExecucao = false;
+    }
+
+    /**
+     * Agenda a reconciliação periódica (RECONCILIACAO_INTERVALO_MIN=0 desativa)
+     */
+    iniciar(db) {
+        if (!INTERVALO_MIN || INTERVALO_MIN <= 0) {
+            logger.info('Reconciliação agendada desativada');
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.executar(db).catch(error => logger.error('Erro na reconciliação agendada', error));
+        }, INTERVALO_MIN * 60 * 1000);
+
+        // Não impede o encerramento do processo
+        this.timer.unref();
+
+        logger.info('Reconciliação agendada', { intervaloMin: INTERVALO_MIN, janelaDias: JANELA_DIAS });
+    }
+
+    parar() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Reconcilia todas as empresas com integração bancária ativa
+     */
+    async executar(db) {
+        if (this.emExecucao) {
+            logger.warn('Reconciliação anterior ainda em andamento, ignorando');
+            return;
+        }
+
+        this.emExecucao = true;
+
+        try {
+            const snapshot = await db.collectionGroup('configuracaoBancaria').where('ativo', '==', true).get();
+            const empresas = new Set(
+                snapshot.docs
+                    .filter(doc => bankRegistry.obter(doc.id))
+                    .map(doc => doc.ref.parent.parent.id)
+            );
+
+            for (const empresaId of empresas) {
+                await this.reconciliarEmpresa(db, empresaId, 'agendada');
+            }
+
+        } finally {
+            this.emExecucao = false;
+        }
+    }
+
+    /**
+     * Reconcilia as cobranças PIX de uma empresa e grava o resultado
+     * @returns {Promise<Object>} registro da execução
+     */
+    async reconciliarEmpresa(db, empresaId, origem = 'manual') {
+        const execucaoRef = db.collection('empresas').doc(empresaId).collection('reconciliacoes').doc();
+        const fim = new Date();
+        const inicio = new Date(fim.getTime() - JANELA_DIAS * 24 * 60 * 60 * 1000);
+
+        const execucao = {
+            origem,
+            status: 'em_andamento',
+            iniciadaEm: fim,
+            concluidaEm: null,
+            janela: { inicio, fim },
+            bancos: [],
+            consultadas: 0,
+            atualizadas: 0,
+            discrepancias: [],
+            erro: null
+        };
+
+        await execucaoRef.set(execucao);
+
+        try {
+            const configs = await db.collection('empresas').doc(empresaId)
+                .collection('configuracaoBancaria').where('ativo', '==', true).get();
+            const bancos = configs.docs.map(doc => doc.id).filter(bancoId => bankRegistry.obter(bancoId));
+
+            if (bancos.length === 0) {
+                throw new Error('Integração bancária inativa');
+            }
+
+            execucao.bancos = bancos;
+
+            for (const bancoId of bancos) {
+                const { provider, config } = await bankRegistry.carregarConfigEmpresa(db, empresaId, bancoId);
+
+                await this.reconciliarJanela(db, empresaId, provider, config, execucao);
+                await this.reconciliarPendentesAntigas(db, empresaId, provider, config, execucao);
+            }
+
+            execucao.status = 'sucesso';
+            logger.info('Reconciliação concluída', {
+                empresaId,
+                consultadas: execucao.consultadas,
+                atualizadas: execucao.atualizadas,
+                discrepancias: execucao.discrepancias.length
+            });
+
+        } catch (error) {
+            execucao.status = 'falha';
+            execucao.erro = error.message;
+            logger.error('Falha na reconciliação da empresa', { empresaId, erro: error.message });
+        }
+
+        execucao.concluidaEm = new Date();
+        execucao.discrepancias = execucao.discrepancias.slice(0, MAX_DISCREPANCIAS);
+        await execucaoRef.set(execucao);
+
+        return { id: execucaoRef.id, ...execucao };
+    }
+
+    /**
+     * Compara as cobranças listadas pelo banco na janela com as cobranças locais
+     */
+    async reconciliarJanela(db, empresaId, provider, config, execucao) {
+        const { inicio, fim } = execucao.janela;
+        const cobrancasRef = db.collection('empresas').doc(empresaId).collection('cobrancas');
+
+        const locais = await cobrancasRef
+            .where('tipo', '==', 'pix')
+            .where('criadaEm', '>=', inicio)
+            .get();
+
+        const docs = locais.docs.filter(doc => this.doBanco(doc, provider));
+        const porTxid = new Map(docs.map(doc => [doc.data().txid, doc]));
+
+        for (const tipo of ['cob', 'cobv']) {
+            let pagina = 0;
+            let totalPaginas = 1;
+
+            while (pagina < totalPaginas) {
+                let resultado;
+                try {
+                    resultado = await provider.listarPix(config, { tipo, inicio, fim, pagina });
+                } catch (error) {
+                    // Banco sem listagem: as pendentes são consultadas uma a uma
+                    if (error.code === 'OPERATION_NOT_SUPPORTED') {
+                        return this.consultarPendentes(db, provider, config, docs, execucao);
+                    }
+                    throw error;
+                }
+
+                for (const cobrancaBanco of resultado.cobrancas) {
+                    execucao.consultadas++;
+                    const cobrancaDoc = porTxid.get(cobrancaBanco.txid);
+
+                    if (!cobrancaDoc) {
+                        this.registrarDiscrepancia(execucao, {
+                            tipo: 'nao_encontrada_localmente',
+                            banco: provider.id,
+                            txid: cobrancaBanco.txid,
+                            statusBanco: cobrancaBanco.statusOriginal
+                        });
+                        continue;
+                    }
+
+                    await this.compararCobranca(db, cobrancaDoc, cobrancaBanco, execucao);
+                }
+
+                totalPaginas = resultado.totalPaginas;
+                pagina++;
+            }
+        }
+    }
+
+    /**
+     * Consulta no banco as cobranças pendentes criadas antes da janela
+     */
+    async reconciliarPendentesAntigas(db, empresaId, provider, config, execucao) {
+        const snapshot = await db.collection('empresas').doc(empresaId).collection('cobrancas')
+            .where('status', '==', 'pendente')
+            .where('tipo', '==', 'pix')
+            .where('criadaEm', '<', execucao.janela.inicio)
+            .orderBy('criadaEm', 'asc')
+            .limit(MAX_CONSULTAS)
+            .get();
+
+        await this.consultarPendentes(db, provider, config, snapshot.docs.filter(doc => this.doBanco(doc, provider)), execucao);
+    }
+
+    /**
+     * Cobranças anteriores ao campo banco foram todas emitidas pelo Inter
+     */
+    doBanco(cobrancaDoc, provider) {
+        return (cobrancaDoc.data().banco || 'inter') === provider.id;
+    }
+
+    async consultarPendentes(db, provider, config, docs, execucao) {
+        for (const cobrancaDoc of docs) {
+            const cobranca = cobrancaDoc.data();
+            if (cobranca.status !== 'pendente' || !cobranca.txid) continue;
+
+            try {
+                const tipo = cobranca.tipoCobranca === 'vencimento' ? 'cobv' : 'cob';
+                const cobrancaBanco = await provider.consultarPix(config, cobranca.txid, tipo);
+                execucao.consultadas++;
+
+                await this.compararCobranca(db, cobrancaDoc, cobrancaBanco, execucao);
+
+            } catch (error) {
+                this.registrarDiscrepancia(execucao, {
+                    tipo: 'erro_consulta',
+                    txid: cobranca.txid,
+                    cobrancaId: cobrancaDoc.id,
+                    erro: error.message
+                });
+            }
+        }
+    }
+
+    /**
+     * Aplica a mudança de status de uma cobrança pendente ou registra a divergência
+     */
+    async compararCobranca(db, cobrancaDoc, cobrancaBanco, execucao) {
+        const cobranca = cobrancaDoc.data();
+
+        if (cobranca.status === cobrancaBanco.status) return;
+
+        if (cobranca.status !== 'pendente') {
+            // Status local avançado (ex.: paga/devolvida) com banco divergente: requer análise
+            if (cobrancaBanco.status === 'pendente' || cobrancaBanco.status === 'cancelada') {
+                this.registrarDiscrepancia(execucao, {
+                    tipo: 'divergencia_status',
+                    txid: cobranca.txid,
+                    cobrancaId: cobrancaDoc.id,
+                    statusLocal: cobranca.status,
+                    statusBanco: cobrancaBanco.statusOriginal
+                });
+            }
+            return;
+        }
+
+        if (cobrancaBanco.status === 'pendente') return;
+
+        const pagamento = cobrancaBanco.pix?.[0];
+        const valorPago = cobrancaBanco.pix?.length > 0
+            ? cobrancaBanco.pix.reduce((total, item) => total + parseFloat(item.valor), 0)
+            : null;
+
+        const atualizacao = await cobrancaStatus.aplicarEvento(db, cobrancaDoc, {
+            tipo: 'pix',
+            chaves: [{ campo: 'txid', valor: cobranca.txid }],
+            status: cobrancaBanco.status,
+            situacaoBanco: cobrancaBanco.statusOriginal,
+            data: pagamento?.horario ? new Date(pagamento.horario) : new Date(),
+            valorPago,
+            canalPagamento: 'PIX',
+            pagador: pagamento?.pagador || null,
+            identificadores: { endToEndId: pagamento?.endToEndId || null }
+        });
+
+        if (!atualizacao) return;
+
+        execucao.atualizadas++;
+        this.registrarDiscrepancia(execucao, {
+            tipo: 'status_atualizado',
+            txid: cobranca.txid,
+            cobrancaId: cobrancaDoc.id,
+            statusLocal: cobranca.status,
+            statusBanco: cobrancaBanco.statusOriginal,
+            novoStatus: atualizacao.status
+        });
+
+        if (valorPago !== null && Math.abs(valorPago - cobranca.valor) >= 0.01) {
+            this.registrarDiscrepancia(execucao, {
+                tipo: 'valor_divergente',
+                txid: cobranca.txid,
+                cobrancaId: cobrancaDoc.id,
+                valorLocal: cobranca.valor,
+                valorPago
+            });
+        }
+    }
+
+    registrarDiscrepancia(execucao, discrepancia) {
+        execucao.discrepancias.push(discrepancia);
+    }
+
+    /**
+     * Última execução registrada da empresa (null se nunca executada)
+     */
+    async ultimaExecucao(db, empresaId) {
+        const snapshot = await db.collection('empresas').doc(empresaId).collection('reconciliacoes')
+            .orderBy('iniciadaEm', 'desc')
+            .limit(1)
+            .get();
+
+        return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+    }
+}
+
+module.exports = new ReconciliacaoService();
@@ -0,0 +1,322 @@
+/**
+ * Testes do adapter do Asaas contra a API local (test/helpers/asaasApi.js)
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { AsaasApiLocal } = require('./helpers/asaasApi');
+
+const API_KEY = '$aact_teste_local';
+
+process.env.ENCRYPTION_KEYS = process.env.ENCRYPTION_KEYS || `teste:${'11'.repeat(32)}`;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const PAGADOR = {
+    nome: 'Maria da Silva',
+    cpf: '52998224725',
+    email: 'maria@example.com',
+    telefone: '(11) 98765-4321',
+    endereco: { cep: '01310-100', numero: '1000', logradouro: 'Av. Paulista', bairro: 'Bela Vista' }
+};
+
+describe('asaasBank', () => {
+    const api = new AsaasApiLocal(API_KEY);
+    let asaasBank;
+    let config;
+
+    before(async () => {
+        process.env.ASAAS_API_URL_SANDBOX = await api.iniciar();
+
+        // O serviço lê a URL da API ao ser carregado
+        asaasBank = require('../services/asaasBank');
+        const encryptionService = require('../services/encryption');
+
+        config = { id: 'empresa-teste', apiKey: encryptionService.encrypt(API_KEY), sandbox: true };
+    });
+
+    after(() => api.encerrar());
+
+    beforeEach(() => api.limpar());
+
+    function requisicoes(metodo, caminho) {
+        return api.requisicoes.filter(item => item.metodo === metodo && item.caminho === caminho);
+    }
+
+    describe('criarPix', () => {
+        it('cria o cliente, o pagamento PIX e retorna o QR Code', async () => {
+            const resultado = await asaasBank.criarPix(config, {
+                valor: 150.5,
+                descricao: 'Mensalidade',
+                pagador: PAGADOR,
+                expiracao: 3600,
+                invoiceId: 'fatura-1'
+            });
+
+            assert.match(resultado.txid, /^pay_/);
+            assert.equal(resultado.status, 'PENDING');
+            assert.equal(resultado.valor, '150.50');
+            assert.equal(resultado.expiracao, 3600);
+            assert.match(resultado.qrcode, /^000201/);
+            assert.match(resultado.imagemQrcode, /^data:image\/png;base64,/);
+
+            const [cliente] = requisicoes('POST', '/customers');
+            assert.equal(cliente.corpo.cpfCnpj, '52998224725');
+            assert.equal(cliente.corpo.mobilePhone, '11987654321');
+            assert.equal(cliente.corpo.postalCode, '01310100');
+            assert.equal(cliente.cabecalhos.access_token, API_KEY);
+
+            const [pagamento] = requisicoes('POST', '/payments');
+            assert.equal(pagamento.corpo.billingType, 'PIX');
+            assert.equal(pagamento.corpo.value, 150.5);
+            assert.equal(pagamento.corpo.externalReference, 'fatura-1');
+            assert.equal(requisicoes('GET', `/payments/${resultado.txid}/pixQrCode`).length, 1);
+        });
+
+        it('reutiliza o cliente já cadastrado com o mesmo documento', async () => {
+            await asaasBank.criarPix(config, { valor: 10, pagador: PAGADOR });
+            await asaasBank.criarPix(config, { valor: 20, pagador: { ...PAGADOR, cpf: '529.982.247-25' } });
+
+            assert.equal(requisicoes('POST', '/customers').length, 1);
+            assert.equal(requisicoes('POST', '/payments').length, 2);
+        });
+
+        it('repassa a mensagem de erro do Asaas', async () => {
+            await assert.rejects(
+                asaasBank.criarPix(config, { valor: 0, pagador: PAGADOR }),
+                { message: 'Falha ao criar cobrança PIX: O valor da cobrança deve ser maior que zero' }
+            );
+        });
+    });
+
+    describe('emitirBoleto', () => {
+        it('emite o boleto e retorna linha digitável, nossoNumero e URL do PDF', async () => {
+            const boleto = await asaasBank.emitirBoleto(config, {
+                valor: 99.9,
+                pagador: PAGADOR,
+                vencimento: '2030-01-15',
+                invoiceId: 'fatura-2'
+            });
+
+            assert.match(boleto.codigoSolicitacao, /^pay_/);
+            assert.equal(boleto.status, 'pendente');
+            assert.equal(boleto.situacao, 'PENDING');
+            assert.equal(boleto.seuNumero, 'fatura-2');
+            assert.equal(boleto.vencimento, '2030-01-15');
+            assert.equal(boleto.valorRecebido, null);
+            assert.ok(boleto.nossoNumero);
+            assert.match(boleto.linhaDigitavel, /^\d{47}$/);
+            assert.match(boleto.codigoBarras, /^\d{44}$/);
+            assert.match(boleto.bankSlipUrl, /^https:\/\//);
+
+            const [pagamento] = requisicoes('POST', '/payments');
+            assert.equal(pagamento.corpo.billingType, 'BOLETO');
+            assert.equal(pagamento.corpo.dueDate, '2030-01-15');
+            assert.equal(requisicoes('GET', `/payments/${boleto.codigoSolicitacao}/identificationField`).length, 1);
+        });
+
+        it('informa valorRecebido apenas para pagamentos recebidos', async () => {
+            const boleto = await asaasBank.emitirBoleto(config, { valor: 50, pagador: PAGADOR, vencimento: '2030-01-15' });
+            api.pagamentos.get(boleto.codigoSolicitacao).status = 'RECEIVED';
+
+            const consulta = await asaasBank.consultarBoleto(config, boleto.codigoSolicitacao);
+
+            assert.equal(consulta.status, 'paga');
+            assert.equal(consulta.valorRecebido, 50);
+        });
+    });
+
+    describe('criarCobrancaCartao', () => {
+        it('cobra com cartão tokenizado sem enviar dados do cartão', async () => {
+            const resultado = await asaasBank.criarCobrancaCartao(config, {
+                valor: 300,
+                pagador: PAGADOR,
+                cartao: { token: 'tok_salvo' },
+                ip: '203.0.113.10'
+            });
+
+            assert.match(resultado.id, /^pay_/);
+            assert.equal(resultado.status, 'paga');
+            assert.equal(resultado.statusOriginal, 'CONFIRMED');
+            assert.equal(resultado.cartao.token, 'tok_salvo');
+
+            const [pagamento] = requisicoes('POST', '/payments');
+            assert.equal(pagamento.corpo.billingType, 'CREDIT_CARD');
+            assert.equal(pagamento.corpo.creditCardToken, 'tok_salvo');
+            assert.equal(pagamento.corpo.remoteIp, '203.0.113.10');
+            assert.equal(pagamento.corpo.creditCard, undefined);
+            assert.equal(pagamento.corpo.creditCardHolderInfo, undefined);
+        });
+
+        it('cobra com os dados do cartão e do titular, parcelado', async () => {
+            const resultado = await asaasBank.criarCobrancaCartao(config, {
+                valor: 100,
+                parcelas: 3,
+                pagador: PAGADOR,
+                cartao: {
+                    nomeTitular: 'MARIA DA SILVA',
+                    numero: '4111 1111 1111 1111',
+                    mesValidade: '12',
+                    anoValidade: '2030',
+                    cvv: '123'
+                },
+                ip: '203.0.113.10'
+            });
+
+            assert.equal(resultado.cartao.bandeira, 'VISA');
+            assert.equal(resultado.cartao.final, '1111');
+
+            const [pagamento] = requisicoes('POST', '/payments');
+            assert.deepEqual(pagamento.corpo.creditCard, {
+                holderName: 'MARIA DA SILVA',
+                number: '4111111111111111',
+                expiryMonth: '12',
+                expiryYear: '2030',
+                ccv: '123'
+            });
+            assert.equal(pagamento.corpo.creditCardHolderInfo.cpfCnpj, '52998224725');
+            assert.equal(pagamento.corpo.creditCardHolderInfo.postalCode, '01310100');
+            assert.equal(pagamento.corpo.installmentCount, 3);
+            assert.equal(pagamento.corpo.installmentValue, 33.33);
+        });
+    });
+
+    describe('solicitarDevolucao', () => {
+        async function pagamentoRecebido(valor) {
+            const pix = await asaasBank.criarPix(config, { valor, pagador: PAGADOR });
+            api.pagamentos.get(pix.txid).status = 'RECEIVED';
+            return { txid: pix.txid, valor };
+        }
+
+        it('estorna parcialmente o valor informado', async () => {
+            const cobranca = await pagamentoRecebido(80);
+
+            const devolucao = await asaasBank.solicitarDevolucao(config, cobranca, {
+                id: 'D1',
+                valor: 30,
+                descricao: 'Desconto'
+            });
+
+            assert.equal(devolucao.id, 'D1');
+            assert.equal(devolucao.valor, 30);
+            assert.equal(devolucao.status, 'DEVOLVIDO');
+
+            const [estorno] = requisicoes('POST', `/payments/${cobranca.txid}/refund`);
+            assert.deepEqual(estorno.corpo, { value: 30, description: 'Desconto' });
+            assert.equal(api.pagamentos.get(cobranca.txid).status, 'RECEIVED');
+        });
+
+        it('estorna o valor total quando o valor não é informado', async () => {
+            const cobranca = await pagamentoRecebido(80);
+
+            const devolucao = await asaasBank.solicitarDevolucao(config, cobranca, { id: 'D2' });
+
+            assert.equal(devolucao.valor, 80);
+            assert.deepEqual(requisicoes('POST', `/payments/${cobranca.txid}/refund`)[0].corpo, {});
+            assert.equal(api.pagamentos.get(cobranca.txid).status, 'REFUNDED');
+        });
+
+        it('usa o id do pagamento de boletos e cobranças no cartão', async () => {
+            const cobranca = await pagamentoRecebido(40);
+
+            await asaasBank.solicitarDevolucao(config, { codigoSolicitacao: cobranca.txid }, { id: 'D3', valor: 10 });
+
+            assert.equal(requisicoes('POST', `/payments/${cobranca.txid}/refund`).length, 1);
+        });
+
+        it('rejeita o estorno de pagamento não recebido', async () => {
+            const pix = await asaasBank.criarPix(config, { valor: 10, pagador: PAGADOR });
+
+            await assert.rejects(
+                asaasBank.solicitarDevolucao(config, { txid: pix.txid }, { id: 'D4', valor: 10 }),
+                { message: 'Falha ao solicitar devolução: Somente cobranças recebidas podem ser estornadas' }
+            );
+        });
+    });
+
+    describe('mensagemErro', () => {
+        it('junta as descrições da lista errors do Asaas', () => {
+            const erro = new Error('Request failed with status code 400');
+            erro.response = {
+                data: {
+                    errors: [
+                        { code: 'invalid_value', description: 'Valor inválido' },
+                        { code: 'invalid_dueDate', description: 'Vencimento inválido' }
+                    ]
+                }
+            };
+
+            assert.equal(asaasBank.mensagemErro(erro), 'Valor inválido; Vencimento inválido');
+        });
+
+        it('usa a mensagem do erro quando a resposta não traz errors', () => {
+            const semResposta = new Error('connect ECONNREFUSED 127.0.0.1:1');
+            const semLista = Object.assign(new Error('Request failed with status code 502'), { response: { data: '<html>' } });
+
+            assert.equal(asaasBank.mensagemErro(semResposta), 'connect ECONNREFUSED 127.0.0.1:1');
+            assert.equal(asaasBank.mensagemErro(semLista), 'Request failed with status code 502');
+        });
+
+        it('traduz API key recusada e falhas do servidor', async () => {
+            const encryptionService = require('../services/encryption');
+            const chaveErrada = { ...config, apiKey: encryptionService.encrypt('$aact_outra') };
+
+            await assert.rejects(
+                asaasBank.testarConexao(chaveErrada),
+                { message: 'Falha na autenticação com Asaas: A chave de API fornecida é inválida' }
+            );
+
+            api.falharProxima(500, 'internal_error', 'Erro interno, tente novamente');
+            await assert.rejects(
+                asaasBank.consultarPix(config, 'pay_inexistente'),
+                { message: 'Falha ao consultar cobrança: Erro interno, tente novamente' }
+            );
+        });
+    });
+
+    describe('parseWebhook', () => {
+        it('converte pagamento recebido em evento normalizado', () => {
+            const [evento] = asaasBank.parseWebhook('asaas', {
+                event: 'PAYMENT_RECEIVED',
+                payment: {
+                    id: 'pay_123',
+                    billingType: 'BOLETO',
+                    value: 120.5,
+                    status: 'RECEIVED',
+                    paymentDate: '2026-03-10',
+                    nossoNumero: '00001234'
+                }
+            });
+
+            assert.equal(evento.tipo, 'boleto');
+            assert.equal(evento.status, 'paga');
+            assert.equal(evento.situacaoBanco, 'PAYMENT_RECEIVED');
+            assert.equal(evento.valorPago, 120.5);
+            assert.equal(evento.canalPagamento, 'BOLETO');
+            assert.equal(evento.data.toISOString(), '2026-03-10T00:00:00.000Z');
+            assert.deepEqual(evento.identificadores, { nossoNumero: '00001234' });
+            assert.deepEqual(evento.chaves.map(chave => chave.campo), ['txid', 'codigoSolicitacao', 'idExterno']);
+            assert.ok(evento.chaves.every(chave => chave.valor === 'pay_123'));
+        });
+
+        it('mapeia o tipo da cobrança e os eventos de status', () => {
+            const evento = (event, billingType) => asaasBank.parseWebhook('asaas', {
+                event,
+                payment: { id: 'pay_1', billingType, value: 10 }
+            })[0];
+
+            assert.equal(evento('PAYMENT_CONFIRMED', 'CREDIT_CARD').tipo, 'cartao');
+            assert.equal(evento('PAYMENT_CONFIRMED', 'CREDIT_CARD').status, 'paga');
+            assert.equal(evento('PAYMENT_RECEIVED_IN_CASH', 'PIX').status, 'paga');
+            assert.equal(evento('PAYMENT_DELETED', 'PIX').tipo, 'pix');
+            assert.equal(evento('PAYMENT_DELETED', 'PIX').status, 'cancelada');
+            assert.equal(evento('PAYMENT_REFUNDED', 'PIX').status, 'devolvida');
+            assert.equal(evento('PAYMENT_OVERDUE', 'BOLETO').status, null);
+        });
+
+        it('ignora corpo sem pagamento', () => {
+            assert.deepEqual(asaasBank.parseWebhook('asaas', {}), []);
+            assert.deepEqual(asaasBank.parseWebhook('asaas', { event: 'PAYMENT_RECEIVED', payment: {} }), []);
+            assert.deepEqual(asaasBank.parseWebhook('asaas', null), []);
+        });
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Testes do bloqueio de destinos internos nos webhooks de saída
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const destinoWebhook = require('../services/destinoWebhook');
+
+describe('destinoWebhook', () => {
+    before(() => {
+        delete process.env.WEBHOOKS_PERMITIR_REDE_PRIVADA;
+    });
+
+    describe('enderecoBloqueado', () => {
+        it('bloqueia endereços internos e reservados IPv4', () => {
+            for (const endereco of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.0.10', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1']) {
+                assert.equal(destinoWebhook.enderecoBloqueado(endereco), true, endereco);
+            }
+        });
+
+        it('bloqueia os equivalentes IPv6 e os prefixos que embutem IPv4', () => {
+            const enderecos = [
+                '::1', 'fd00::1', 'fe80::1', 'ff02::1',
+                '::ffff:127.0.0.1', '::ffff:a9fe:a9fe',
+                '64:ff9b::7f00:1', // NAT64
+                '2002:7f00:1::', '2002:a9fe:a9fe::', // 6to4
+                '2001:0:4136:e378::1', // Teredo
+                '100::1' // descarte
+            ];
+
+            for (const endereco of enderecos) {
+                assert.equal(destinoWebhook.enderecoBloqueado(endereco), true, endereco);
+            }
+        });
+
+        it('aceita endereços públicos', () => {
+            for (const endereco of ['8.8.8.8', '200.160.2.3', '2606:4700:4700::1111', '2800:3f0:4001:81b::200e']) {
+                assert.equal(destinoWebhook.enderecoBloqueado(endereco), false, endereco);
+            }
+        });
+
+        it('bloqueia o que não é endereço IP', () => {
+            assert.equal(destinoWebhook.enderecoBloqueado('localhost'), true);
+        });
+    });
+
+    describe('verificar', () => {
+        it('recusa URL com IP interno literal', async () => {
+            const resultado = await destinoWebhook.verificar('https://[2002:a9fe:a9fe::]/latest/meta-data');
+            assert.equal(resultado.codigo, 'BLOCKED_DESTINATION');
+        });
+
+        it('aceita URL com IP público literal', async () => {
+            assert.equal(await destinoWebhook.verificar('https://8.8.8.8/webhook'), null);
+        });
+
+        it('recusa URL inválida', async () => {
+            const resultado = await destinoWebhook.verificar('nao e url');
+            assert.equal(resultado.codigo, 'INVALID_FORMAT');
+        });
+    });
+});
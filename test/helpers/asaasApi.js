@@ -0,0 +1,216 @@
+/**
+ * Servidor HTTP local que imita a API v3 do Asaas nos testes
+ * Guarda clientes e pagamentos em memória e registra as requisições recebidas.
+ *
+ * Rotas: GET/POST /customers, POST /payments, GET/POST/DELETE /payments/{id},
+ * GET /payments/{id}/pixQrCode, GET /payments/{id}/identificationField,
+ * POST /payments/{id}/refund
+ *
+ * Erros seguem o formato do Asaas: { errors: [{ code, description }] }
+ */
+
+const http = require('http');
+
+function erro(status, code, description) {
+    return { status, corpo: { errors: [{ code, description }] } };
+}
+
+class AsaasApiLocal {
+    /**
+     * @param {string} apiKey - valor esperado no cabeçalho access_token
+     */
+    constructor(apiKey) {
+        this.apiKey = apiKey;
+        this.requisicoes = [];
+        this.clientes = new Map();
+        this.pagamentos = new Map();
+        this.falhas = [];
+        this.sequencia = 0;
+        this.servidor = http.createServer((req, res) => this.atender(req, res));
+    }
+
+    /**
+     * Inicia o servidor em uma porta livre
+     * @returns {Promise<string>} URL base (usar em ASAAS_API_URL_SANDBOX)
+     */
+    iniciar() {
+        return new Promise((resolve) => {
+            this.servidor.listen(0, '127.0.0.1', () => {
+                resolve(`http://127.0.0.1:${this.servidor.address().port}`);
+            });
+        });
+    }
+
+    encerrar() {
+        return new Promise(resolve => this.servidor.close(resolve));
+    }
+
+    limpar() {
+        this.requisicoes = [];
+        this.clientes.clear();
+        this.pagamentos.clear();
+        this.falhas = [];
+    }
+
+    /**
+     * A próxima requisição recebida responde com o erro informado
+     */
+    falharProxima(status, code, description) {
+        this.falhas.push(erro(status, code, description));
+    }
+
+    novoId(prefixo) {
+        this.sequencia++;
+        return `${prefixo}_${String(this.sequencia).padStart(6, '0')}`;
+    }
+
+    atender(req, res) {
+        let corpo = '';
+        req.on('data', parte => (corpo += parte));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const dados = corpo ? JSON.parse(corpo) : null;
+
+            this.requisicoes.push({ metodo: req.method, caminho: url.pathname, corpo: dados, cabecalhos: req.headers });
+
+            let resposta;
+            if (this.falhas.length > 0) {
+                resposta = this.falhas.shift();
+            } else if (req.headers.access_token !== this.apiKey) {
+                resposta = erro(401, 'invalid_access_token', 'A chave de API fornecida é inválida');
+            } else {
+                resposta = this.rotear(req.method, url, dados);
+            }
+
+            res.writeHead(resposta.status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(resposta.corpo));
+        });
+    }
+
+    rotear(metodo, url, dados) {
+        const partes = url.pathname.split('/').filter(Boolean);
+
+        if (partes[0] === 'customers' && partes.length === 1) {
+            return metodo === 'GET' ? this.listarClientes(url.searchParams) : this.criarCliente(dados);
+        }
+
+        if (partes[0] === 'payments') {
+            if (partes.length === 1 && metodo === 'POST') return this.criarPagamento(dados);
+
+            const pagamento = this.pagamentos.get(partes[1]);
+            if (!pagamento) return erro(404, 'invalid_object', 'Cobrança não encontrada');
+
+            if (partes.length === 2) {
+                if (metodo === 'GET') return { status: 200, corpo: pagamento };
+                if (metodo === 'DELETE') {
+                    pagamento.deleted = true;
+                    return { status: 200, corpo: { deleted: true, id: pagamento.id } };
+                }
+                Object.assign(pagamento, dados);
+                return { status: 200, corpo: pagamento };
+            }
+
+            switch (partes[2]) {
+                case 'pixQrCode':
+                    return {
+                        status: 200,
+                        corpo: {
+                            encodedImage: Buffer.from(`qr-${pagamento.id}`).toString('base64'),
+                            payload: `00020101021226820014br.gov.bcb.pix2560asaas/${pagamento.id}`,
+                            expirationDate: `${pagamento.dueDate} 23:59:59`
+                        }
+                    };
+                case 'identificationField':
+                    return {
+                        status: 200,
+                        corpo: {
+                            identificationField: '23793381286000000000300000000000100000000010000',
+                            nossoNumero: pagamento.nossoNumero,
+                            barCode: '23791000000000100003381260000000000000000000'
+                        }
+                    };
+                case 'refund':
+                    return this.estornar(pagamento, dados);
+                default:
+                    return erro(404, 'not_found', 'Rota não encontrada');
+            }
+        }
+
+        return erro(404, 'not_found', 'Rota não encontrada');
+    }
+
+    listarClientes(parametros) {
+        const cpfCnpj = parametros.get('cpfCnpj');
+        const data = [...this.clientes.values()].filter(cliente => !cpfCnpj || cliente.cpfCnpj === cpfCnpj);
+        return { status: 200, corpo: { object: 'list', totalCount: data.length, data } };
+    }
+
+    criarCliente(dados) {
+        if (!dados?.name || !dados?.cpfCnpj) {
+            return erro(400, 'invalid_customer', 'Nome e CPF/CNPJ do cliente são obrigatórios');
+        }
+
+        const cliente = { object: 'customer', id: this.novoId('cus'), ...dados };
+        this.clientes.set(cliente.id, cliente);
+        return { status: 200, corpo: cliente };
+    }
+
+    criarPagamento(dados) {
+        if (!this.clientes.has(dados.customer)) {
+            return erro(400, 'invalid_customer', 'Cliente inexistente');
+        }
+
+        if (!(dados.value > 0)) {
+            return erro(400, 'invalid_value', 'O valor da cobrança deve ser maior que zero');
+        }
+
+        const pagamento = {
+            object: 'payment',
+            id: this.novoId('pay'),
+            customer: dados.customer,
+            billingType: dados.billingType,
+            value: dados.value,
+            dueDate: dados.dueDate,
+            description: dados.description,
+            externalReference: dados.externalReference || null,
+            status: 'PENDING',
+            dateCreated: new Date().toISOString().split('T')[0],
+            nossoNumero: dados.billingType === 'BOLETO' ? String(this.sequencia).padStart(8, '0') : null,
+            bankSlipUrl: dados.billingType === 'BOLETO' ? `https://sandbox.asaas.com/b/pdf/${this.sequencia}` : null,
+            deleted: false
+        };
+
+        if (dados.billingType === 'CREDIT_CARD') {
+            if (!dados.creditCardToken && !dados.creditCard?.number) {
+                return erro(400, 'invalid_creditCard', 'Informe os dados do cartão ou o token');
+            }
+
+            const numero = dados.creditCard?.number || '4111111111111111';
+            pagamento.status = 'CONFIRMED';
+            pagamento.creditCard = {
+                creditCardBrand: 'VISA',
+                creditCardNumber: numero.slice(-4),
+                creditCardToken: dados.creditCardToken || `tok_${this.sequencia}`
+            };
+        }
+
+        this.pagamentos.set(pagamento.id, pagamento);
+        return { status: 200, corpo: pagamento };
+    }
+
+    estornar(pagamento, dados) {
+        if (!['RECEIVED', 'CONFIRMED'].includes(pagamento.status)) {
+            return erro(400, 'invalid_action', 'Somente cobranças recebidas podem ser estornadas');
+        }
+
+        const valor = dados?.value ?? pagamento.value;
+        if (valor > pagamento.value) {
+            return erro(400, 'invalid_value', 'O valor do estorno excede o valor recebido');
+        }
+
+        if (valor === pagamento.value) pagamento.status = 'REFUNDED';
+        return { status: 200, corpo: pagamento };
+    }
+}
+
+module.exports = { AsaasApiLocal };
@@ -0,0 +1,99 @@
+/**
+ * Firestore em memória para os testes
+ * Cobre apenas o que os middlewares testados usam: collection/doc aninhados, get, set,
+ * update, delete e runTransaction. Datas gravadas voltam como Timestamp, como no Firestore.
+ */
+
+const { Timestamp } = require('firebase-admin/firestore');
+
+function paraArmazenamento(valor) {
+    if (valor instanceof Date) return Timestamp.fromDate(valor);
+    if (Array.isArray(valor)) return valor.map(paraArmazenamento);
+    if (valor && typeof valor === 'object' && !(valor instanceof Timestamp)) {
+        return Object.fromEntries(Object.entries(valor).map(([campo, item]) => [campo, paraArmazenamento(item)]));
+    }
+    return valor;
+}
+
+function copiar(valor) {
+    if (Array.isArray(valor)) return valor.map(copiar);
+    if (valor && typeof valor === 'object' && !(valor instanceof Timestamp)) {
+        return Object.fromEntries(Object.entries(valor).map(([campo, item]) => [campo, copiar(item)]));
+    }
+    return valor;
+}
+
+class DocumentoMemoria {
+    constructor(banco, caminho) {
+        this.banco = banco;
+        this.path = caminho;
+        this.id = caminho.split('/').pop();
+    }
+
+    collection(nome) {
+        return new ColecaoMemoria(this.banco, `${this.path}/${nome}`);
+    }
+
+    async get() {
+        const dados = this.banco.documentos.get(this.path);
+        return {
+            id: this.id,
+            ref: this,
+            exists: dados !== undefined,
+            data: () => (dados === undefined ? undefined : copiar(dados))
+        };
+    }
+
+    async set(dados, opcoes = {}) {
+        const atual = opcoes.merge ? this.banco.documentos.get(this.path) || {} : {};
+        this.banco.documentos.set(this.path, { ...atual, ...paraArmazenamento(dados) });
+    }
+
+    async update(dados) {
+        const atual = this.banco.documentos.get(this.path);
+        if (atual === undefined) {
+            throw new Error(`Documento inexistente: ${this.path}`);
+        }
+        this.banco.documentos.set(this.path, { ...atual, ...paraArmazenamento(dados) });
+    }
+
+    async delete() {
+        this.banco.documentos.delete(this.path);
+    }
+}
+
+class ColecaoMemoria {
+    constructor(banco, caminho) {
+        this.banco = banco;
+        this.path = caminho;
+    }
+
+    doc(id) {
+        return new DocumentoMemoria(this.banco, `${this.path}/${id}`);
+    }
+}
+
+class FirestoreMemoria {
+    constructor() {
+        this.documentos = new Map();
+    }
+
+    collection(nome) {
+        return new ColecaoMemoria(this, nome);
+    }
+
+    /**
+     * Transações rodam uma por vez (sem concorrência real no teste)
+     */
+    async runTransaction(funcao) {
+        const tx = {
+            get: ref => ref.get(),
+            set: (ref, dados, opcoes) => ref.set(dados, opcoes),
+            update: (ref, dados) => ref.update(dados),
+            delete: ref => ref.delete()
+        };
+        return funcao(tx);
+    }
+}
+
+module.exports = { FirestoreMemoria };
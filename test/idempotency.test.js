@@ -0,0 +1,195 @@
+/**
+ * Testes do middleware de idempotência contra o Firestore em memória
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Timestamp } = require('firebase-admin/firestore');
+const { FirestoreMemoria } = require('./helpers/firestoreMemoria');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { idempotencia } = require('../middleware/idempotency');
+
+const EMPRESA_ID = 'empresa-teste';
+const HORA_MS = 60 * 60 * 1000;
+
+function requisicao(db, { chave, body = {}, params = {} }) {
+    return {
+        body,
+        params,
+        bankConfig: { id: EMPRESA_ID },
+        app: { get: () => db },
+        get: cabecalho => (cabecalho === 'Idempotency-Key' ? chave : undefined)
+    };
+}
+
+function resposta() {
+    return {
+        statusCode: 200,
+        cabecalhos: {},
+        corpo: undefined,
+        status(codigo) {
+            this.statusCode = codigo;
+            return this;
+        },
+        set(nome, valor) {
+            this.cabecalhos[nome] = valor;
+            return this;
+        },
+        json(corpo) {
+            this.corpo = corpo;
+            return this;
+        }
+    };
+}
+
+/**
+ * Executa o middleware; seguiu = chamou next() (a rota seria executada)
+ */
+async function executar(db, escopo, opcoes, rota) {
+    const req = requisicao(db, opcoes);
+    const res = resposta();
+    let seguiu = false;
+
+    await idempotencia(escopo)(req, res, () => {
+        seguiu = true;
+    });
+
+    if (seguiu && rota) {
+        await rota(req, res);
+    }
+
+    // Finalização do registro é feita em segundo plano
+    await new Promise(resolve => setImmediate(resolve));
+
+    return { req, res, seguiu };
+}
+
+function registroRef(db, escopo, chave) {
+    const id = crypto.createHash('sha256').update(`${escopo}:${chave}`).digest('hex');
+    return db.collection('empresas').doc(EMPRESA_ID).collection('idempotencia').doc(id);
+}
+
+describe('idempotencia', () => {
+    let db;
+
+    beforeEach(() => {
+        db = new FirestoreMemoria();
+    });
+
+    it('devolve a resposta original ao repetir a chave com o mesmo payload', async () => {
+        const opcoes = { chave: 'chave-1', body: { valor: 10 } };
+
+        await executar(db, 'pix.cob', opcoes, (req, res) => res.json({ txid: 'tx1' }));
+        const repeticao = await executar(db, 'pix.cob', opcoes);
+
+        assert.equal(repeticao.seguiu, false);
+        assert.deepEqual(repeticao.res.corpo, { txid: 'tx1' });
+        assert.equal(repeticao.res.cabecalhos['Idempotent-Replayed'], 'true');
+    });
+
+    it('recusa a mesma chave com outro payload', async () => {
+        await executar(db, 'pix.cob', { chave: 'chave-1', body: { valor: 10 } }, (req, res) => res.json({ txid: 'tx1' }));
+        const repeticao = await executar(db, 'pix.cob', { chave: 'chave-1', body: { valor: 20 } });
+
+        assert.equal(repeticao.res.statusCode, 422);
+        assert.equal(repeticao.res.corpo.code, 'IDEMPOTENCY_KEY_MISMATCH');
+    });
+
+    it('processa de novo uma chave expirada', async () => {
+        const opcoes = { chave: 'chave-1', body: { valor: 10 } };
+        await executar(db, 'pix.cob', opcoes, (req, res) => res.json({ txid: 'tx1' }));
+
+        await registroRef(db, 'pix.cob', 'chave-1').update({
+            criadaEm: Timestamp.fromMillis(Date.now() - 48 * HORA_MS),
+            expiraEm: Timestamp.fromMillis(Date.now() - HORA_MS)
+        });
+
+        const repeticao = await executar(db, 'pix.cob', opcoes, (req, res) => res.json({ txid: 'tx2' }));
+
+        assert.equal(repeticao.seguiu, true);
+        assert.deepEqual(repeticao.res.corpo, { txid: 'tx2' });
+    });
+
+    it('retorna 409 enquanto a primeira requisição está em processamento', async () => {
+        const opcoes = { chave: 'chave-1', body: { valor: 10 } };
+        await executar(db, 'pix.cob', opcoes);
+
+        const repeticao = await executar(db, 'pix.cob', opcoes);
+
+        assert.equal(repeticao.seguiu, false);
+        assert.equal(repeticao.res.statusCode, 409);
+        assert.equal(repeticao.res.corpo.code, 'IDEMPOTENCY_IN_PROGRESS');
+    });
+
+    it('libera a chave abandonada em processamento', async () => {
+        const opcoes = { chave: 'chave-1', body: { valor: 10 } };
+        await executar(db, 'pix.cob', opcoes);
+
+        await registroRef(db, 'pix.cob', 'chave-1').update({
+            criadaEm: Timestamp.fromMillis(Date.now() - 10 * 60 * 1000)
+        });
+
+        const repeticao = await executar(db, 'pix.cob', opcoes, (req, res) => res.json({ txid: 'tx1' }));
+
+        assert.equal(repeticao.seguiu, true);
+        assert.deepEqual(repeticao.res.corpo, { txid: 'tx1' });
+    });
+
+    it('libera a chave quando a rota falha', async () => {
+        const opcoes = { chave: 'chave-1', body: { valor: 10 } };
+        await executar(db, 'pix.cob', opcoes, (req, res) => res.status(400).json({ code: 'OPERATION_NOT_SUPPORTED' }));
+
+        const repeticao = await executar(db, 'pix.cob', opcoes, (req, res) => res.json({ txid: 'tx1' }));
+
+        assert.equal(repeticao.seguiu, true);
+        assert.deepEqual(repeticao.res.corpo, { txid: 'tx1' });
+    });
+
+    it('mantém a chave quando a rota falha depois da chamada ao banco', async () => {
+        const opcoes = { chave: 'chave-1', body: { valor: 10 } };
+        let chamadasBanco = 0;
+
+        const rota = async (req, res) => {
+            chamadasBanco++;
+            await req.idempotencia.registrarResultadoBanco({ txid: 'tx1' });
+            res.status(500).json({ code: 'PIX_CREATION_ERROR' });
+        };
+
+        await executar(db, 'pix.cob', opcoes, rota);
+        const repeticao = await executar(db, 'pix.cob', opcoes, rota);
+
+        assert.equal(chamadasBanco, 1);
+        assert.equal(repeticao.res.statusCode, 500);
+        assert.equal(repeticao.res.cabecalhos['Idempotent-Replayed'], 'true');
+
+        const registro = (await registroRef(db, 'pix.cob', 'chave-1').get()).data();
+        assert.deepEqual(registro.resultadoBanco, { txid: 'tx1' });
+    });
+
+    it('não libera a chave abandonada depois da chamada ao banco', async () => {
+        const opcoes = { chave: 'chave-1', body: { valor: 10 } };
+        await executar(db, 'pix.cob', opcoes, req => req.idempotencia.registrarResultadoBanco({ txid: 'tx1' }));
+
+        await registroRef(db, 'pix.cob', 'chave-1').update({
+            criadaEm: Timestamp.fromMillis(Date.now() - 10 * 60 * 1000)
+        });
+
+        const repeticao = await executar(db, 'pix.cob', opcoes);
+
+        assert.equal(repeticao.seguiu, false);
+        assert.equal(repeticao.res.corpo.code, 'IDEMPOTENCY_IN_PROGRESS');
+    });
+
+    it('separa a mesma chave enviada para outro recurso da rota', async () => {
+        const rota = (req, res) => res.json({ txid: req.params.txid });
+
+        await executar(db, 'pix.devolucao', { chave: 'chave-1', params: { txid: 'A' } }, rota);
+        const outraCobranca = await executar(db, 'pix.devolucao', { chave: 'chave-1', params: { txid: 'B' } }, rota);
+
+        assert.equal(outraCobranca.seguiu, true);
+        assert.deepEqual(outraCobranca.res.corpo, { txid: 'B' });
+    });
+});